@@ -0,0 +1,180 @@
+/**
+ * Where the serverless functions read and save paintings.json
+ *
+ * Chosen with the CATALOG_STORE environment variable:
+ *   file   - The paintings.json on disk (the default, except in Vercel production deployments).
+ *            Deployed functions can't write to their own files, so this is for local use.
+ *   github - Commits changes to paintings.json in the GitHub repository (the production default),
+ *            which redeploys the site. Needs GITHUB_TOKEN (with contents write access) and
+ *            GITHUB_REPO ("owner/name"); GITHUB_BRANCH defaults to main.
+ *
+ * A store has read() → paintings and update(change, message), where change(paintings)
+ * edits the array in place and returns true if anything changed, and message describes
+ * the change (or is a function returning the description once change() has run).
+ * createFileStore() and createGitHubStore() keep other JSON files the same way, such as
+ * the private checkout log (see checkout-log.js).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const DATA_PATH = 'public/data/paintings.json';
+
+// Same formatting as the Node scripts, so commits only show the real change
+function serialize(data) {
+  return JSON.stringify(data, null, 2);
+}
+
+/**
+ * Create a store that keeps a JSON file on disk
+ * @param {string} filePath - Path of the file
+ * @param {*} empty - Contents to start from when the file doesn't exist yet (default: the file must exist)
+ * @returns {Object} Store with read() and update()
+ */
+function createFileStore(filePath, empty) {
+  return {
+    path: filePath,
+
+    async read() {
+      try {
+        return JSON.parse(await fs.readFile(this.path, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT' || empty === undefined) throw error;
+        return JSON.parse(JSON.stringify(empty));
+      }
+    },
+
+    async update(change) {
+      const data = await this.read();
+
+      if (change(data)) {
+        await fs.mkdir(path.dirname(this.path), { recursive: true });
+        await fs.writeFile(this.path, serialize(data));
+      }
+    }
+  };
+}
+
+/**
+ * Create a store that commits a JSON file to a GitHub repository
+ * @param {Object} options - Options
+ * @param {string} options.filePath - Path of the file in the repository
+ * @param {string} options.repoVariable - Environment variable naming the repository ("owner/name")
+ * @param {string} options.branchVariable - Environment variable naming the branch (default: main)
+ * @param {*} options.empty - Contents to start from when the file doesn't exist yet (default: the file must exist)
+ * @returns {Object} Store with read() and update()
+ */
+function createGitHubStore({ filePath, repoVariable, branchVariable, empty }) {
+  return {
+    apiUrl: 'https://api.github.com',
+    maxAttempts: 3,                   // Retries when another commit lands first
+
+    getContentsUrl() {
+      const repo = process.env[repoVariable];
+
+      if (!process.env.GITHUB_TOKEN || !repo) {
+        throw new Error(`GITHUB_TOKEN and ${repoVariable} must be set`);
+      }
+
+      return `${this.apiUrl}/repos/${repo}/contents/${filePath}`;
+    },
+
+    getBranch() {
+      return process.env[branchVariable] || 'main';
+    },
+
+    async request(url, options = {}) {
+      return fetch(url, {
+        ...options,
+        headers: {
+          'Authorization': `Bearer ${process.env.GITHUB_TOKEN}`,
+          'Accept': 'application/vnd.github+json',
+          'User-Agent': 'georgieoriginals.com',
+          ...options.headers
+        }
+      });
+    },
+
+    // Read the file along with the blob sha needed to update it (none if it doesn't exist yet)
+    async fetchFile() {
+      const response = await this.request(`${this.getContentsUrl()}?ref=${encodeURIComponent(this.getBranch())}`);
+
+      if (response.status === 404 && empty !== undefined) {
+        return { sha: undefined, data: JSON.parse(JSON.stringify(empty)) };
+      }
+
+      if (!response.ok) {
+        throw new Error(`GitHub error ${response.status} reading ${filePath}`);
+      }
+
+      const file = await response.json();
+
+      return {
+        sha: file.sha,
+        data: JSON.parse(Buffer.from(file.content, 'base64').toString('utf8'))
+      };
+    },
+
+    async read() {
+      return (await this.fetchFile()).data;
+    },
+
+    async update(change, message) {
+      for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+        const { sha, data } = await this.fetchFile();
+
+        if (!change(data)) return;
+
+        const response = await this.request(this.getContentsUrl(), {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            message: typeof message === 'function' ? message() : message,
+            sha,
+            branch: this.getBranch(),
+            content: Buffer.from(serialize(data)).toString('base64')
+          })
+        });
+
+        if (response.ok) return;
+
+        // 409: the file changed since it was read (422: it was created), so start again from the new version
+        if (response.status !== 409 && !(response.status === 422 && !sha)) {
+          throw new Error(`GitHub error ${response.status} updating ${filePath}`);
+        }
+      }
+
+      throw new Error(`Gave up updating ${filePath} after ${this.maxAttempts} attempts`);
+    }
+  };
+}
+
+const stores = {
+  file: createFileStore(path.join(__dirname, '..', '..', DATA_PATH)),
+  github: createGitHubStore({ filePath: DATA_PATH, repoVariable: 'GITHUB_REPO', branchVariable: 'GITHUB_BRANCH' })
+};
+
+/**
+ * Pick the store used when CATALOG_STORE isn't set
+ * @returns {string} Key of stores
+ */
+function getDefaultStoreName() {
+  return process.env.VERCEL_ENV === 'production' ? 'github' : 'file';
+}
+
+/**
+ * Get a catalog store by name
+ * @param {string} name - Key of stores (default: CATALOG_STORE, or the default for the environment)
+ * @returns {Object} Store with read() and update()
+ */
+function getStore(name = process.env.CATALOG_STORE || getDefaultStoreName()) {
+  const store = stores[name];
+
+  if (!store) {
+    throw new Error(`Unknown CATALOG_STORE "${name}". Use one of: ${Object.keys(stores).join(', ')}`);
+  }
+
+  return store;
+}
+
+module.exports = { stores, getStore, createFileStore, createGitHubStore };
@@ -0,0 +1,99 @@
+/**
+ * Private record of the checkouts the webhook has counted
+ *
+ * Providers can send the same event more than once, so the webhook claims each checkout
+ * id here before changing paintings.json, and skips ids that were already claimed. The
+ * ids are purchase references, so the log is kept out of the public site and repository,
+ * and ids older than CONFIG.keepDays are dropped (Stripe stops resending after 3 days).
+ *
+ * Chosen with the CHECKOUT_LOG environment variable:
+ *   file   - .data/checkout-log.json on disk (the default, except in Vercel production
+ *            deployments). Ignored by git and by Vercel, and for local use only.
+ *   github - Commits checkout-log.json to a private GitHub repository (the production
+ *            default). Needs GITHUB_TOKEN (with contents write access to it) and
+ *            CHECKOUT_LOG_REPO ("owner/name"); CHECKOUT_LOG_BRANCH defaults to main.
+ *
+ * The log is an object of checkout ids, each with the time it was claimed.
+ */
+
+const path = require('path');
+const { createFileStore, createGitHubStore } = require('./catalog-store');
+
+const CONFIG = {
+  keepDays: 30
+};
+
+const logs = {
+  file: createFileStore(path.join(__dirname, '..', '..', '.data', 'checkout-log.json'), {}),
+  github: createGitHubStore({
+    filePath: 'checkout-log.json',
+    repoVariable: 'CHECKOUT_LOG_REPO',
+    branchVariable: 'CHECKOUT_LOG_BRANCH',
+    empty: {}
+  })
+};
+
+/**
+ * Pick the log used when CHECKOUT_LOG isn't set
+ * @returns {string} Key of logs
+ */
+function getDefaultLogName() {
+  return process.env.VERCEL_ENV === 'production' ? 'github' : 'file';
+}
+
+/**
+ * Get a checkout log by name
+ * @param {string} name - Key of logs (default: CHECKOUT_LOG, or the default for the environment)
+ * @returns {Object} Store with read() and update()
+ */
+function getCheckoutLog(name = process.env.CHECKOUT_LOG || getDefaultLogName()) {
+  const log = logs[name];
+
+  if (!log) {
+    throw new Error(`Unknown CHECKOUT_LOG "${name}". Use one of: ${Object.keys(logs).join(', ')}`);
+  }
+
+  return log;
+}
+
+/**
+ * Claim a checkout, dropping ids past CONFIG.keepDays
+ * @param {Object} log - Checkout log
+ * @param {string} id - Checkout id
+ * @param {Date} now - Current time (default: now)
+ * @returns {Promise<boolean>} False if the checkout had already been claimed
+ */
+async function claimCheckout(log, id, now = new Date()) {
+  const cutoff = now.getTime() - CONFIG.keepDays * 24 * 60 * 60 * 1000;
+  let claimed = false;
+
+  await log.update(entries => {
+    const expired = Object.keys(entries).filter(key => Date.parse(entries[key]) < cutoff);
+    expired.forEach(key => delete entries[key]);
+
+    claimed = !entries[id];
+    if (!claimed) return expired.length > 0;
+
+    entries[id] = now.toISOString();
+    return true;
+  }, 'Record a checkout');
+
+  return claimed;
+}
+
+/**
+ * Release a claimed checkout, so the provider's retry is counted
+ * @param {Object} log - Checkout log
+ * @param {string} id - Checkout id
+ * @returns {Promise<void>}
+ */
+async function releaseCheckout(log, id) {
+  await log.update(entries => {
+    if (!entries[id]) return false;
+
+    delete entries[id];
+    return true;
+  }, 'Release a checkout');
+}
+
+module.exports = { CONFIG, logs, getCheckoutLog, claimCheckout, releaseCheckout };
@@ -0,0 +1,35 @@
+/**
+ * Limited edition sales in checkout metadata
+ *
+ * Payment providers only keep metadata as short strings, so checkout writes the
+ * editions being bought as "paintingId:printId:quantity" entries joined by commas,
+ * and the webhook reads them back once payment succeeds.
+ */
+
+/**
+ * Write limited edition sales into checkout metadata
+ * @param {Array<Object>} editions - Editions from buildLineItems() in checkout.js
+ * @returns {string} e.g. "3:a3-giclee:2,5:canvas-large:1"
+ */
+function formatEditions(editions) {
+  return editions.map(({ paintingId, printId, quantity }) => `${paintingId}:${printId}:${quantity}`).join(',');
+}
+
+/**
+ * Read limited edition sales back out of checkout metadata
+ * @param {string} value - Output of formatEditions()
+ * @returns {Array<Object>} { paintingId, printId, quantity }, skipping anything malformed
+ */
+function parseEditions(value) {
+  return String(value || '')
+    .split(',')
+    .map(entry => {
+      const [paintingId, printId, quantity] = entry.split(':');
+      return { paintingId: Number(paintingId), printId, quantity: Number(quantity) };
+    })
+    .filter(({ paintingId, printId, quantity }) =>
+      Number.isInteger(paintingId) && paintingId > 0 && printId && Number.isInteger(quantity) && quantity > 0
+    );
+}
+
+module.exports = { formatEditions, parseEditions };
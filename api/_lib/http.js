@@ -0,0 +1,90 @@
+/**
+ * Request and response helpers for the serverless functions
+ *
+ * Written against plain Node request/response objects, so the functions run
+ * the same on Vercel, under `vercel dev` and behind a bare http.createServer().
+ */
+
+const I18n = require('../../js/i18n.js');
+
+const MAX_BODY_BYTES = 20 * 1024;
+
+/**
+ * Read the raw request body
+ * Vercel only parses the body when req.body is read, so the stream is still available.
+ * @param {IncomingMessage} req - Request
+ * @param {number} limit - Largest body accepted, in bytes
+ * @returns {Promise<string>} Body text
+ */
+async function readRawBody(req, limit = MAX_BODY_BYTES) {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of req) {
+    size += chunk.length;
+
+    if (size > limit) {
+      throw Object.assign(new Error('Request body too large'), { status: 413 });
+    }
+
+    chunks.push(Buffer.from(chunk));
+  }
+
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Read a JSON request body, using the platform's parsed copy if there is one
+ * @param {IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body ({} if empty)
+ */
+async function readJsonBody(req) {
+  if (req.body !== undefined) {
+    return typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+  }
+
+  const raw = await readRawBody(req);
+  return raw ? JSON.parse(raw) : {};
+}
+
+/**
+ * Send a JSON response
+ * @param {ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} data - Response body
+ */
+function sendJson(res, status, data) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Cache-Control', 'no-store');
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * Send an error the page can show in the visitor's language: error is the English message,
+ * and code and params its key in js/messages.js and parameters, for I18n.translateError()
+ * @param {ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {string} code - Message key, e.g. "cart.empty"
+ * @param {Object} params - Message parameters
+ * @param {Object} extra - Other fields of the response body
+ */
+function sendError(res, status, code, params = {}, extra = {}) {
+  sendJson(res, status, { ok: false, error: I18n.t(code, params, I18n.DEFAULT_LOCALE), code, params, ...extra });
+}
+
+/**
+ * Reject anything but POST
+ * @param {IncomingMessage} req - Request
+ * @param {ServerResponse} res - Response
+ * @returns {boolean} True if the request was rejected
+ */
+function rejectUnlessPost(req, res) {
+  if (req.method === 'POST') return false;
+
+  res.setHeader('Allow', 'POST');
+  sendJson(res, 405, { ok: false, error: 'Method not allowed' });
+  return true;
+}
+
+module.exports = { readRawBody, readJsonBody, sendJson, sendError, rejectUnlessPost };
@@ -0,0 +1,82 @@
+/**
+ * Mail transports for the serverless functions
+ *
+ * Chosen with the MAIL_TRANSPORT environment variable:
+ *   stub   - Logs messages and keeps them in memory instead of sending
+ *            (the default, except in Vercel production deployments)
+ *   resend - Sends through the Resend API (needs RESEND_API_KEY; the production default)
+ *
+ * A transport is an object with an async send(message) method, where message is
+ * { to, from, replyTo, subject, text }.
+ */
+
+const transports = {
+  stub: {
+    sent: [],
+
+    async send(message) {
+      this.sent.push(message);
+      console.log(`[mail stub] To: ${message.to}\nReply-To: ${message.replyTo}\nSubject: ${message.subject}\n\n${message.text}\n`);
+      return { id: `stub-${this.sent.length}` };
+    }
+  },
+
+  resend: {
+    endpoint: 'https://api.resend.com/emails',
+
+    async send(message) {
+      const apiKey = process.env.RESEND_API_KEY;
+
+      if (!apiKey) {
+        throw new Error('RESEND_API_KEY is not set');
+      }
+
+      const response = await fetch(this.endpoint, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          from: message.from,
+          to: [message.to],
+          reply_to: message.replyTo,
+          subject: message.subject,
+          text: message.text
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error(`Resend error ${response.status}: ${await response.text()}`);
+      }
+
+      return response.json();
+    }
+  }
+};
+
+/**
+ * Pick the transport used when MAIL_TRANSPORT isn't set, so a production
+ * deployment never quietly logs inquiries instead of sending them
+ * @returns {string} Key of transports
+ */
+function getDefaultTransportName() {
+  return process.env.VERCEL_ENV === 'production' ? 'resend' : 'stub';
+}
+
+/**
+ * Get a mail transport by name
+ * @param {string} name - Key of transports (default: MAIL_TRANSPORT, or the default for the environment)
+ * @returns {Object} Transport with a send(message) method
+ */
+function getTransport(name = process.env.MAIL_TRANSPORT || getDefaultTransportName()) {
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}". Use one of: ${Object.keys(transports).join(', ')}`);
+  }
+
+  return transport;
+}
+
+module.exports = { transports, getTransport };
@@ -0,0 +1,184 @@
+/**
+ * Payment providers for checkout
+ *
+ * Chosen with the PAYMENT_PROVIDER environment variable:
+ *   fake   - Approves every checkout straight away, without taking payment, and accepts
+ *            unsigned webhooks (the default locally, including under `vercel dev`; refused
+ *            in Vercel deployments, since a preview can share the production catalog store)
+ *   stripe - Stripe Checkout (needs STRIPE_SECRET_KEY and STRIPE_WEBHOOK_SECRET; the default
+ *            in Vercel deployments)
+ *
+ * A provider has two methods:
+ *   createCheckout({ lineItems, metadata, successUrl, cancelUrl }) → { id, url }
+ *     lineItems are { name, description, amount, currency, quantity } with amount in
+ *     the currency's smallest unit (e.g. cents); the visitor is sent to url to pay.
+ *   parseWebhook(rawBody, headers) → { type: 'checkout.completed', id, metadata } or null
+ *     Verifies that a webhook request came from the provider (throwing if it didn't)
+ *     and returns the completed checkout, or null for events that need no action.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Convert a price to the currency's smallest unit
+ * @param {Object} price - { amount, currency }, amount in whole units
+ * @returns {number} e.g. 120000 for $1,200
+ */
+function toMinorUnits(price) {
+  const digits = new Intl.NumberFormat('en', { style: 'currency', currency: price.currency })
+    .resolvedOptions().maximumFractionDigits;
+
+  return Math.round(price.amount * Math.pow(10, digits));
+}
+
+// Flatten nested values into Stripe's form encoding, e.g. line_items[0][quantity]=1
+function toFormParams(value, prefix = '', params = new URLSearchParams()) {
+  if (value !== null && typeof value === 'object') {
+    Object.entries(value).forEach(([key, item]) => {
+      toFormParams(item, prefix ? `${prefix}[${key}]` : key, params);
+    });
+  } else if (value !== undefined) {
+    params.append(prefix, String(value));
+  }
+
+  return params;
+}
+
+const providers = {
+  fake: {
+    sessions: [],
+
+    async createCheckout({ lineItems, metadata, successUrl }) {
+      const id = `fake_${crypto.randomUUID()}`;
+      this.sessions.push({ id, lineItems, metadata });
+      return { id, url: successUrl };
+    },
+
+    // Accepts unsigned JSON: { "type": "checkout.completed", "id": "...", "metadata": { ... } }
+    parseWebhook(rawBody) {
+      const event = JSON.parse(rawBody);
+      return event.type === 'checkout.completed' ? { type: event.type, id: event.id, metadata: event.metadata || {} } : null;
+    }
+  },
+
+  stripe: {
+    endpoint: 'https://api.stripe.com/v1/checkout/sessions',
+    signatureTolerance: 300,          // Seconds a webhook signature stays valid
+
+    async createCheckout({ lineItems, metadata, successUrl, cancelUrl }) {
+      const secretKey = process.env.STRIPE_SECRET_KEY;
+
+      if (!secretKey) {
+        throw new Error('STRIPE_SECRET_KEY is not set');
+      }
+
+      const params = toFormParams({
+        mode: 'payment',
+        success_url: successUrl,
+        cancel_url: cancelUrl,
+        metadata,
+        // Prints and originals are shipped, so ask for an address
+        shipping_address_collection: { allowed_countries: (process.env.STRIPE_SHIPPING_COUNTRIES || 'US').split(',') },
+        line_items: lineItems.map(item => ({
+          quantity: item.quantity,
+          price_data: {
+            currency: item.currency.toLowerCase(),
+            unit_amount: item.amount,
+            product_data: { name: item.name, description: item.description }
+          }
+        }))
+      });
+
+      const response = await fetch(this.endpoint, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${secretKey}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: params.toString()
+      });
+
+      const session = await response.json();
+
+      if (!response.ok) {
+        throw new Error(`Stripe error ${response.status}: ${session.error ? session.error.message : 'unknown'}`);
+      }
+
+      return { id: session.id, url: session.url };
+    },
+
+    parseWebhook(rawBody, headers) {
+      const secret = process.env.STRIPE_WEBHOOK_SECRET;
+
+      if (!secret) {
+        throw new Error('STRIPE_WEBHOOK_SECRET is not set');
+      }
+
+      // Stripe-Signature: t=<timestamp>,v1=<signature>[,v1=...]
+      const parts = String(headers['stripe-signature'] || '').split(',').map(part => part.split('='));
+      const timestamp = Number((parts.find(([key]) => key === 't') || [])[1]);
+      const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+
+      const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+      const valid = signatures.some(signature =>
+        signature.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+      );
+
+      // Old signatures are refused so captured requests can't be replayed (false for a missing timestamp too)
+      const recent = Math.abs(Date.now() / 1000 - timestamp) <= this.signatureTolerance;
+
+      if (!valid || !recent) {
+        throw Object.assign(new Error('Invalid Stripe signature'), { status: 400 });
+      }
+
+      const event = JSON.parse(rawBody);
+      const session = event.data && event.data.object;
+
+      // Delayed payment methods (e.g. bank debits) complete in a later event
+      const paid = (event.type === 'checkout.session.completed' && session.payment_status === 'paid') ||
+        event.type === 'checkout.session.async_payment_succeeded';
+
+      return paid ? { type: 'checkout.completed', id: session.id, metadata: session.metadata || {} } : null;
+    }
+  }
+};
+
+/**
+ * Check whether the functions are running in a Vercel deployment (preview or production),
+ * rather than on this machine (VERCEL_ENV is "development" under `vercel dev`)
+ * @returns {boolean} True if deployed
+ */
+function isDeployed() {
+  return Boolean(process.env.VERCEL_ENV) && process.env.VERCEL_ENV !== 'development';
+}
+
+/**
+ * Pick the provider used when PAYMENT_PROVIDER isn't set
+ * @returns {string} Key of providers
+ */
+function getDefaultProviderName() {
+  return isDeployed() ? 'stripe' : 'fake';
+}
+
+/**
+ * Get a payment provider by name
+ * @param {string} name - Key of providers (default: PAYMENT_PROVIDER, or the default for the environment)
+ * @returns {Object} Provider with createCheckout() and parseWebhook()
+ */
+function getProvider(name = process.env.PAYMENT_PROVIDER || getDefaultProviderName()) {
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Unknown PAYMENT_PROVIDER "${name}". Use one of: ${Object.keys(providers).join(', ')}`);
+  }
+
+  // Anyone could post an unsigned webhook and mark paintings as sold
+  if (name === 'fake' && isDeployed()) {
+    throw new Error(`The fake payment provider can't be used in a Vercel deployment (VERCEL_ENV=${process.env.VERCEL_ENV}). Set PAYMENT_PROVIDER=stripe.`);
+  }
+
+  return provider;
+}
+
+module.exports = { providers, getProvider, toMinorUnits };
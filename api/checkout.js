@@ -0,0 +1,175 @@
+/**
+ * Checkout API (Vercel serverless function)
+ *
+ * POST /api/checkout with JSON { items: [{ paintingId, option, quantity }] }, where
+ * option is "original" or the id of one of the painting's prints. Prices, and how many
+ * of a limited edition are left, come from paintings.json, never from the request.
+ * Responds with { ok: true, url } to send the visitor to the payment page, or { ok: false, error, code, params }
+ * where error is in English, and code and params are its key in js/messages.js and parameters,
+ * so the page can show it in the visitor's language. The request's locale (a key of
+ * I18n.LOCALES) picks the language of the painting titles in params.
+ *
+ * Environment variables:
+ *   SITE_URL         - Where visitors return after paying (default: https://georgieoriginals.com)
+ *   PAYMENT_PROVIDER - fake or stripe (see _lib/payments.js)
+ *   CATALOG_STORE    - file or github (see _lib/catalog-store.js)
+ */
+
+const Catalog = require('../js/catalog.js');
+const I18n = require('../js/i18n.js');
+const { getProvider, toMinorUnits } = require('./_lib/payments');
+const { getStore } = require('./_lib/catalog-store');
+const { readJsonBody, sendJson, sendError, rejectUnlessPost } = require('./_lib/http');
+const { formatEditions } = require('./_lib/editions');
+
+const CONFIG = {
+  siteUrl: process.env.SITE_URL || 'https://georgieoriginals.com',
+  maxItems: 20,
+  maxQuantity: 10                     // Of each print; originals are one of a kind
+};
+
+// Error shown to the visitor, as opposed to a failure on our side
+class CheckoutError extends Error {
+  /**
+   * @param {string} code - Key of the message in js/messages.js
+   * @param {Object} params - Message parameters
+   */
+  constructor(code, params = {}) {
+    super(I18n.t(code, params, I18n.DEFAULT_LOCALE));
+    this.code = code;
+    this.params = params;
+  }
+}
+
+/**
+ * Turn cart items into line items, checking each against the catalog
+ * @param {Array} items - Items from the request
+ * @param {Array} paintings - Current paintings
+ * @param {string} locale - Key of I18n.LOCALES for the titles in error messages (default: English)
+ * @returns {{lineItems: Array, originals: Array<number>, editions: Array<Object>}} Line items, ids of
+ *   originals being bought, and the limited edition prints being bought as { paintingId, printId, quantity }
+ */
+function buildLineItems(items, paintings, locale = I18n.DEFAULT_LOCALE) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new CheckoutError('cart.empty');
+  }
+
+  if (items.length > CONFIG.maxItems) {
+    throw new CheckoutError('cart.tooManyItems', { max: CONFIG.maxItems });
+  }
+
+  const lineItems = [];
+  const originals = [];
+  const editions = [];
+
+  items.forEach(item => {
+    const painting = item && paintings[Catalog.findIndex(paintings, item.paintingId)];
+    const option = painting && Catalog.findPurchaseOption(painting, item.option);
+
+    if (!option) {
+      throw painting
+        ? new CheckoutError('cart.noLongerAvailable', { title: Catalog.getTitle(painting, locale) })
+        : new CheckoutError('cart.somethingUnavailable');
+    }
+
+    const isOriginal = option.id === Catalog.ORIGINAL_OPTION;
+    const quantity = isOriginal ? 1 : Number(item.quantity) || 1;
+
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > CONFIG.maxQuantity) {
+      throw new CheckoutError('cart.quantityRange', { max: CONFIG.maxQuantity });
+    }
+
+    if (isOriginal) {
+      // The same original twice would be sold twice
+      if (originals.includes(painting.id)) return;
+      originals.push(painting.id);
+    }
+
+    if (option.edition) {
+      // Counting the same print listed twice together
+      const sold = editions.find(edition => edition.paintingId === painting.id && edition.printId === option.id);
+      const total = quantity + (sold ? sold.quantity : 0);
+
+      if (total > option.edition.remaining) {
+        throw new CheckoutError('cart.editionLeft', {
+          count: option.edition.remaining,
+          title: Catalog.getTitle(painting, locale),
+          option: option.label
+        });
+      }
+
+      if (sold) {
+        sold.quantity = total;
+      } else {
+        editions.push({ paintingId: painting.id, printId: option.id, quantity });
+      }
+    }
+
+    lineItems.push({
+      name: isOriginal ? `${painting.title} (original)` : `${painting.title} - ${option.label}`,
+      description: Catalog.getDetailsText(painting) || undefined,
+      amount: toMinorUnits(option.price),
+      currency: option.price.currency,
+      quantity
+    });
+  });
+
+  if (new Set(lineItems.map(item => item.currency)).size > 1) {
+    throw new CheckoutError('cart.mixedCurrencies');
+  }
+
+  return { lineItems, originals, editions };
+}
+
+/**
+ * Create the request handler
+ * @param {Object} options - Options
+ * @param {Object} options.provider - Payment provider (default: from PAYMENT_PROVIDER)
+ * @param {Object} options.store - Catalog store (default: from CATALOG_STORE)
+ * @returns {Function} Handler taking (req, res)
+ */
+function createHandler({ provider = null, store = null } = {}) {
+  return async function handler(req, res) {
+    if (rejectUnlessPost(req, res)) return;
+
+    let body;
+
+    try {
+      body = await readJsonBody(req);
+    } catch (error) {
+      sendJson(res, error.status || 400, { ok: false, error: 'Invalid request' });
+      return;
+    }
+
+    try {
+      // Read the latest catalog, which may have sales the deployed copy doesn't show yet
+      const paintings = await (store || getStore()).read();
+      const locale = body && I18n.LOCALES[body.locale] ? body.locale : I18n.DEFAULT_LOCALE;
+      const { lineItems, originals, editions } = buildLineItems(body && body.items, paintings, locale);
+
+      const session = await (provider || getProvider()).createCheckout({
+        lineItems,
+        // The webhook marks these originals as sold, and takes these prints off their
+        // editions, once payment succeeds
+        metadata: { originals: originals.join(','), editions: formatEditions(editions) },
+        successUrl: `${CONFIG.siteUrl}/?checkout=success`,
+        cancelUrl: `${CONFIG.siteUrl}/?checkout=cancelled`
+      });
+
+      sendJson(res, 200, { ok: true, url: session.url });
+
+    } catch (error) {
+      if (error instanceof CheckoutError) {
+        sendError(res, 400, error.code, error.params);
+        return;
+      }
+
+      console.error('Checkout could not be started:', error);
+      sendError(res, 502, 'cart.unavailable');
+    }
+  };
+}
+
+module.exports = createHandler();
+module.exports.createHandler = createHandler;
+module.exports.buildLineItems = buildLineItems;
@@ -0,0 +1,128 @@
+/**
+ * Inquiry API (Vercel serverless function)
+ *
+ * POST /api/inquire with JSON { name, email, message, paintingId, website }
+ * and emails the message to the artist through the configured mail transport
+ * (see _lib/mail.js). Responds with { ok: true }, or { ok: false, error, code, params, errors, codes }:
+ * error is in English, and code and params are its key in js/messages.js and parameters, so
+ * the page can show it in the visitor's language. errors holds an English message per invalid
+ * field, and codes the { code, params } of each.
+ *
+ * Environment variables:
+ *   INQUIRY_TO     - Address inquiries are sent to
+ *   INQUIRY_FROM   - Sender address (must be allowed by the mail provider)
+ *   MAIL_TRANSPORT - stub or resend (see _lib/mail.js)
+ */
+
+const Catalog = require('../js/catalog.js');
+const I18n = require('../js/i18n.js');
+const Inquiry = require('../js/inquiry.js');
+const paintings = require('../public/data/paintings.json');
+const { getTransport } = require('./_lib/mail');
+const { readJsonBody, sendJson, sendError, rejectUnlessPost } = require('./_lib/http');
+
+const CONFIG = {
+  siteUrl: 'https://georgieoriginals.com',
+  to: process.env.INQUIRY_TO || 'aaron@aaronroy.com',
+  from: process.env.INQUIRY_FROM || 'Georgie Originals <inquiries@georgieoriginals.com>'
+};
+
+// Build the email sent to the artist. The painting's title and status come
+// from the catalog, not from what the visitor sent.
+function buildMessage(values, painting) {
+  const subjects = {
+    general: `Message from ${values.name}`,
+    inquiry: `Inquiry about "${painting && painting.title}"`,
+    similar: `Request for something similar to "${painting && painting.title}"`
+  };
+
+  const lines = [
+    `Name: ${values.name}`,
+    `Email: ${values.email}`
+  ];
+
+  if (painting) {
+    const status = Catalog.getStatus(painting);
+
+    lines.push(`Painting: ${painting.title} (id ${painting.id}${status === 'available' ? '' : `, ${Catalog.getLabel('status', status).toLowerCase()}`})`);
+    lines.push(`Link: ${CONFIG.siteUrl}${Catalog.getPagePath(painting)}`);
+  }
+
+  lines.push('', values.message);
+
+  return {
+    to: CONFIG.to,
+    from: CONFIG.from,
+    replyTo: values.email,
+    subject: `${subjects[Inquiry.getKind(painting)]} - Georgie Originals`,
+    text: lines.join('\n')
+  };
+}
+
+/**
+ * Create the request handler
+ * @param {Object} options - Options
+ * @param {Object} options.transport - Mail transport (default: from MAIL_TRANSPORT)
+ * @returns {Function} Handler taking (req, res)
+ */
+function createHandler({ transport = null } = {}) {
+  return async function handler(req, res) {
+    if (rejectUnlessPost(req, res)) return;
+
+    let fields;
+
+    try {
+      fields = await readJsonBody(req);
+    } catch (error) {
+      sendJson(res, error.status || 400, { ok: false, error: 'Invalid request' });
+      return;
+    }
+
+    if (!fields || typeof fields !== 'object') {
+      sendJson(res, 400, { ok: false, error: 'Invalid request' });
+      return;
+    }
+
+    // Pretend to accept spam so bots don't learn to skip the honeypot
+    if (fields[Inquiry.honeypotField]) {
+      sendJson(res, 200, { ok: true });
+      return;
+    }
+
+    const { values, codes } = Inquiry.validate(fields, I18n.DEFAULT_LOCALE);
+    let painting = null;
+
+    if (values.paintingId !== null) {
+      painting = paintings[Catalog.findIndex(paintings, String(values.paintingId))] || null;
+
+      if (!painting) {
+        codes.paintingId = { code: 'inquiry.unknownPainting', params: {} };
+      }
+    }
+
+    if (Object.keys(codes).length > 0) {
+      // The painting can only be wrong if it was removed after the page loaded
+      const code = Object.keys(codes).some(key => key !== 'paintingId') ? 'inquiry.checkFields' : 'inquiry.paintingRemoved';
+
+      sendError(res, 400, code, {}, {
+        errors: Inquiry.translateErrors(codes, I18n.DEFAULT_LOCALE),
+        codes
+      });
+      return;
+    }
+
+    try {
+      await (transport || getTransport()).send(buildMessage(values, painting));
+    } catch (error) {
+      console.error('Inquiry could not be sent:', error);
+      sendError(res, 502, 'inquiry.failed');
+      return;
+    }
+
+    sendJson(res, 200, { ok: true });
+  };
+}
+
+module.exports = createHandler();
+module.exports.createHandler = createHandler;
+module.exports.buildMessage = buildMessage;
@@ -0,0 +1,150 @@
+/**
+ * Payment Webhook (Vercel serverless function)
+ *
+ * The payment provider calls POST /api/webhook when a checkout completes. Originals
+ * bought in it are marked "status": "sold" in paintings.json, so they show as Sold
+ * once the site has been rebuilt (with the github store, the commit redeploys it),
+ * and limited edition prints bought in it are taken off their edition's remaining count.
+ *
+ * Providers can send the same event more than once, so each checkout is claimed in the
+ * private checkout log (_lib/checkout-log.js) first, and skipped if it comes again.
+ * Checkout ids stay out of paintings.json and its commit messages, which are public.
+ *
+ * With Stripe, point a webhook at https://<site>/api/webhook for the
+ * checkout.session.completed and checkout.session.async_payment_succeeded events.
+ */
+
+const { getProvider } = require('./_lib/payments');
+const { getStore } = require('./_lib/catalog-store');
+const { getCheckoutLog, claimCheckout, releaseCheckout } = require('./_lib/checkout-log');
+const { readRawBody, sendJson, rejectUnlessPost } = require('./_lib/http');
+const { parseEditions } = require('./_lib/editions');
+
+const CONFIG = {
+  maxBodyBytes: 512 * 1024              // Provider events are larger than form posts
+};
+
+/**
+ * Mark paintings as sold and take prints off their limited editions
+ * @param {Object} store - Catalog store
+ * @param {Array<number>} ids - Painting ids
+ * @param {Array<Object>} editions - { paintingId, printId, quantity } from the checkout
+ * @returns {Promise<{sold: Array<string>, prints: Array<string>}>} Titles of the paintings that
+ *   were marked as sold, and descriptions of the prints taken off their editions
+ */
+async function recordSale(store, ids, editions) {
+  let sold = [];
+  let prints = [];
+
+  await store.update(paintings => {
+    const soldPaintings = paintings.filter(painting => ids.includes(painting.id) && painting.status !== 'sold');
+
+    soldPaintings.forEach(painting => {
+      painting.status = 'sold';
+      // A hold that was still recorded no longer applies
+      delete painting.statusUntil;
+    });
+
+    sold = soldPaintings.map(painting => painting.title);
+    prints = [];
+
+    editions.forEach(({ paintingId, printId, quantity }) => {
+      const painting = paintings.find(candidate => candidate.id === paintingId);
+      const print = painting && (painting.prints || []).find(candidate => candidate.id === printId);
+
+      if (!print || !print.edition || print.edition.remaining === 0) return;
+
+      // Checkout checked what was left, but a sale can complete after the last print has gone
+      print.edition.remaining = Math.max(0, print.edition.remaining - quantity);
+      prints.push(`${quantity} × "${painting.title}" ${print.id} (${print.edition.remaining} left)`);
+    });
+
+    return sold.length > 0 || prints.length > 0;
+  }, () => {
+    const changes = [];
+
+    if (sold.length > 0) changes.push(`Mark ${sold.map(title => `"${title}"`).join(', ')} as sold`);
+    if (prints.length > 0) changes.push(`${changes.length ? 'sell' : 'Sell'} ${prints.join(', ')}`);
+
+    return changes.join('; ');
+  });
+
+  return { sold, prints };
+}
+
+/**
+ * Create the request handler
+ * @param {Object} options - Options
+ * @param {Object} options.provider - Payment provider (default: from PAYMENT_PROVIDER)
+ * @param {Object} options.store - Catalog store (default: from CATALOG_STORE)
+ * @param {Object} options.log - Checkout log (default: from CHECKOUT_LOG)
+ * @returns {Function} Handler taking (req, res)
+ */
+function createHandler({ provider = null, store = null, log = null } = {}) {
+  return async function handler(req, res) {
+    if (rejectUnlessPost(req, res)) return;
+
+    let event;
+
+    try {
+      // Signatures are checked against the exact bytes that were sent
+      const rawBody = await readRawBody(req, CONFIG.maxBodyBytes);
+      event = (provider || getProvider()).parseWebhook(rawBody, req.headers);
+    } catch (error) {
+      console.error('Webhook rejected:', error.message);
+      sendJson(res, error.status || 400, { ok: false, error: 'Invalid webhook' });
+      return;
+    }
+
+    // Other events are acknowledged so the provider doesn't retry them
+    if (!event) {
+      sendJson(res, 200, { ok: true });
+      return;
+    }
+
+    const ids = String(event.metadata.originals || '')
+      .split(',')
+      .map(Number)
+      .filter(id => Number.isInteger(id) && id > 0);
+    const editions = parseEditions(event.metadata.editions);
+
+    if (ids.length === 0 && editions.length === 0) {
+      sendJson(res, 200, { ok: true, sold: [], prints: [] });
+      return;
+    }
+
+    // Events without an id (e.g. posted by hand to the fake provider) can't be told apart
+    const checkoutLog = event.id ? log || getCheckoutLog() : null;
+
+    try {
+      if (checkoutLog && !(await claimCheckout(checkoutLog, event.id))) {
+        console.log(`Checkout ${event.id} was already recorded`);
+        sendJson(res, 200, { ok: true, sold: [], prints: [] });
+        return;
+      }
+    } catch (error) {
+      console.error('Could not check the checkout log:', error);
+      sendJson(res, 500, { ok: false, error: 'Could not update the catalog' });
+      return;
+    }
+
+    try {
+      const { sold, prints } = await recordSale(store || getStore(), ids, editions);
+
+      console.log(`Checkout ${event.id} completed${sold.length ? `; marked as sold: ${sold.join(', ')}` : ''}${prints.length ? `; prints sold: ${prints.join(', ')}` : ''}`);
+      sendJson(res, 200, { ok: true, sold, prints });
+    } catch (error) {
+      // A failed response makes the provider retry later, so let the retry count the checkout
+      console.error('Could not record the sale:', error);
+      if (checkoutLog) {
+        await releaseCheckout(checkoutLog, event.id).catch(releaseError => {
+          console.error('Could not release the checkout:', releaseError);
+        });
+      }
+      sendJson(res, 500, { ok: false, error: 'Could not update the catalog' });
+    }
+  };
+}
+
+module.exports = createHandler();
+module.exports.createHandler = createHandler;
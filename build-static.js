@@ -0,0 +1,718 @@
+/**
+ * Static Build Script
+ *
+ * Pre-renders the gallery so crawlers and visitors without JavaScript see the paintings:
+ * 1. Writes the gallery markup and Schema.org structured data into index.html
+ *    (between the gallery:start/end and structured-data:start/end comments),
+ *    which Gallery then hydrates instead of rebuilding, and the Exhibitions section
+ *    from exhibitions.json (between the exhibitions:start/end comments)
+ * 2. Writes a page for each painting to paintings/<slug>/index.html, with its exhibitions
+ *    and provenance, and Open Graph tags pointing at its card from generate-og-image.js
+ *    (or the painting itself)
+ * 3. Writes a page for each series in series.json to series/<slug>/index.html
+ * 4. Writes the home page, painting and series pages again for each other language in
+ *    I18n.LOCALES, e.g. fr/index.html and fr/paintings/<slug>/index.html, with titles and
+ *    descriptions from each entry's translations (falling back to English). The home page
+ *    is index.html with its data-i18n text translated, as I18n.translatePage does in the
+ *    browser. Every page, and index.html (between the alternates:start/end comments), links
+ *    to its other languages with hreflang
+ * 5. Writes sitemap.xml listing the home page and every painting and series page, in every language
+ * 6. Adds a hash of each file's contents to the URLs of the styles and scripts the pages
+ *    load (/js/gallery.js?v=1a2b3c4d5e), as vercel.json caches them for a year
+ *
+ * Run after changing paintings.json or optimizing images.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const Catalog = require('./js/catalog.js');
+const I18n = require('./js/i18n.js');
+const StructuredData = require('./js/structured-data.js');
+const Inquiry = require('./js/inquiry.js');
+
+const CONFIG = {
+  siteUrl: 'https://georgieoriginals.com',
+  siteName: 'Georgie Originals',
+  dataPath: './public/data/paintings.json',
+  manifestPath: './public/data/images.json',
+  ogManifestPath: './public/data/og-images.json',
+  seriesPath: './public/data/series.json',
+  exhibitionsPath: './public/data/exhibitions.json',
+  indexPath: './index.html',
+
+  // Pages in other languages go under a folder named after the language, e.g. ./fr/paintings
+  pagesDir: './paintings',
+  seriesDir: './series',
+  sitemapPath: './sitemap.xml',
+
+  // Folders of the styles and scripts the pages load, versioned with a hash of their contents
+  // (the same hash as the service worker's precache list, see generate-service-worker.js)
+  assetDirs: ['/css/', '/js/'],
+  assetHashLength: 10,
+
+  // Must match Gallery.imageSizes so the browser reuses the same variant
+  gridImageSizes: '(max-width: 480px) 100vw, (max-width: 1200px) 50vw, 600px',
+  pageImageSizes: '(max-width: 768px) 100vw, 60vw',
+  viewImageSizes: '96px'
+};
+
+// Helper: Escape text for use in HTML content and attributes
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Helper: Indent every line of a block of markup
+function indent(markup, spaces) {
+  const padding = ' '.repeat(spaces);
+  return markup.split('\n').map(line => line ? padding + line : line).join('\n');
+}
+
+// Helper: Translate a message whose parameters are markup, escaping the message itself
+function translateHtml(key, params, locale) {
+  const placeholders = Object.fromEntries(Object.keys(params).map(name => [name, `{${name}}`]));
+  return I18n.interpolate(escapeHtml(I18n.t(key, placeholders, locale)), params, locale);
+}
+
+// Helper: Folder the pages in a language are written to
+function getOutputDir(dir, locale) {
+  return locale === I18n.DEFAULT_LOCALE ? dir : path.join(locale, dir);
+}
+
+// Helper: Path of the home page in a language, with optional query parameters and hash
+function getHomePath(locale, params = {}, hash = '') {
+  const query = new URLSearchParams(params).toString();
+  return `${I18n.getPath('/', locale)}${query ? `?${query}` : ''}${hash}`;
+}
+
+// Helper: Details for a painting page, with dimensions in both units
+// since the page can't know which one the visitor uses
+function getPageDetailsText(painting, locale) {
+  const dimensions = Catalog.getDimensions(painting);
+
+  return [
+    painting.year,
+    Catalog.getMedium(painting, locale),
+    dimensions ? Catalog.formatDimensionsInBothUnits(dimensions, Catalog.DEFAULT_UNIT, locale) : ''
+  ].filter(Boolean).join(' • ');
+}
+
+// Render a <picture> with the responsive variants from the image manifest (see Picture.update)
+function renderPicture(src, sizes, manifestEntries, attributes) {
+  const entry = manifestEntries[src];
+  const lines = [];
+  const srcset = variants => variants.map(variant => `${variant.src} ${variant.width}w`).join(', ');
+
+  if (entry) {
+    [['avif', 'image/avif'], ['webp', 'image/webp']].forEach(([format, type]) => {
+      if (entry.sources[format]) {
+        lines.push(`  <source type="${type}" srcset="${escapeHtml(srcset(entry.sources[format]))}" sizes="${escapeHtml(sizes)}">`);
+      }
+    });
+  }
+
+  const imgAttributes = { ...attributes, src };
+
+  if (entry && entry.sources.jpeg) {
+    imgAttributes.srcset = srcset(entry.sources.jpeg);
+    imgAttributes.sizes = sizes;
+  }
+
+  const attributeText = Object.entries(imgAttributes)
+    .map(([key, value]) => `${key}="${escapeHtml(value)}"`)
+    .join(' ');
+
+  lines.push(`  <img ${attributeText}>`);
+
+  return ['<picture>', ...lines, '</picture>'].join('\n');
+}
+
+// Get the square thumbnail of an image, if it has one (see Picture.getSquare)
+function getSquare(src, manifestEntries) {
+  const entry = manifestEntries[src];
+  return entry && entry.square ? entry.square : src;
+}
+
+// Render a painting's status badge (none while it's available), as a line at the given indent
+function renderStatusBadge(painting, spaces, locale = I18n.DEFAULT_LOCALE) {
+  const badge = Catalog.getStatusBadge(painting, new Date(), locale);
+
+  return badge
+    ? `\n${' '.repeat(spaces)}<span class="status-badge status-${Catalog.getStatus(painting)}">${escapeHtml(badge)}</span>`
+    : '';
+}
+
+// Render a painting's tags (none if it has no tags), as a line at the given indent
+function renderTagList(painting, spaces, locale = I18n.DEFAULT_LOCALE) {
+  const tags = Catalog.getTags(painting);
+  const padding = ' '.repeat(spaces);
+
+  return tags.length > 0
+    ? `\n${padding}<ul class="tag-list" aria-label="${escapeHtml(I18n.t('painting.tags', {}, locale))}">${tags.map(tag => `<li class="tag">${escapeHtml(Catalog.formatTag(tag))}</li>`).join('')}</ul>`
+    : '';
+}
+
+// Render where a painting has been shown and who has owned it (nothing if neither is known),
+// as lines at the given indent
+function renderHistory(painting, exhibitions, spaces, locale) {
+  const shown = Catalog.getExhibitions(painting, exhibitions);
+  const provenance = painting.provenance || [];
+  const lines = [];
+
+  if (shown.length > 0) {
+    lines.push(
+      `<h2>${escapeHtml(I18n.t('painting.exhibitions', {}, locale))}</h2>`,
+      '<ul class="painting-page-exhibitions">',
+      ...shown.map(exhibition => `  <li>${escapeHtml(Catalog.formatExhibition(exhibition, locale))}</li>`),
+      '</ul>'
+    );
+  }
+
+  if (provenance.length > 0) {
+    lines.push(
+      `<h2>${escapeHtml(I18n.t('painting.provenance', {}, locale))}</h2>`,
+      '<ol class="painting-page-provenance">',
+      ...provenance.map(ownership => {
+        const period = Catalog.formatOwnershipPeriod(ownership, locale);
+        const note = ownership.note ? ` <span class="provenance-note">${escapeHtml(ownership.note)}</span>` : '';
+
+        return `  <li>${escapeHtml(ownership.owner)}${period ? `, ${escapeHtml(period)}` : ''}${note}</li>`;
+      }),
+      '</ol>'
+    );
+  }
+
+  return lines.length > 0
+    ? '\n' + indent(['<section class="painting-page-history">', ...lines.map(line => `  ${line}`), '</section>'].join('\n'), spaces)
+    : '';
+}
+
+// Render the Exhibitions section of index.html, most recent first, with links to the
+// paintings shown in each (nothing until exhibitions.json lists an exhibition).
+// Its headings are marked up for I18n.translatePage; the exhibitions are as written.
+function renderExhibitionsSection(exhibitions, paintings, locale) {
+  if (exhibitions.length === 0) return '';
+
+  const items = Catalog.sortExhibitions(exhibitions).map(exhibition => {
+    const place = [exhibition.title ? exhibition.venue : '', exhibition.city].filter(Boolean).join(', ');
+    const shown = paintings.filter(painting => (painting.exhibitions || []).includes(exhibition.slug));
+    const lines = [
+      `<h3 class="exhibition-title">${escapeHtml(exhibition.title || exhibition.venue)}</h3>`,
+      `<p class="exhibition-details">${escapeHtml(place)} • ${escapeHtml(Catalog.formatExhibitionDates(exhibition, locale))}</p>`
+    ];
+
+    if (exhibition.description) {
+      lines.push(`<p class="exhibition-description">${escapeHtml(exhibition.description)}</p>`);
+    }
+
+    if (shown.length > 0) {
+      const links = shown.map(painting => `<a href="${Catalog.getPagePath(painting, locale)}">${escapeHtml(Catalog.getTitle(painting, locale))}</a>`);
+      lines.push(`<p class="exhibition-paintings"><span data-i18n="exhibitions.showing">Showing</span> ${links.join(', ')}</p>`);
+    }
+
+    if (exhibition.url) {
+      lines.push(`<p><a href="${escapeHtml(exhibition.url)}" class="exhibition-link" rel="noopener" data-i18n="exhibitions.link">About the exhibition</a></p>`);
+    }
+
+    return ['<li class="exhibition">', ...lines.map(line => `  ${line}`), '</li>'].join('\n');
+  });
+
+  return `<section id="exhibitions" class="exhibitions-section">
+  <div class="container">
+    <h2 data-i18n="exhibitions.title">Exhibitions</h2>
+    <ul class="exhibition-list">
+${indent(items.join('\n'), 6)}
+    </ul>
+  </div>
+</section>`;
+}
+
+// Render one gallery item, matching Gallery.createGalleryItem
+// (series pages have no lightbox, so they label items differently)
+function renderGalleryItem(painting, index, manifestEntries, labelKey = 'gallery.viewInLightbox', locale = I18n.DEFAULT_LOCALE) {
+  const title = Catalog.getTitle(painting, locale);
+  const label = I18n.t(labelKey, { title }, locale);
+  const position = Catalog.getObjectPosition(painting);
+  const picture = renderPicture(painting.thumbnail || painting.image, CONFIG.gridImageSizes, manifestEntries, {
+    alt: I18n.t('painting.alt', { title }, locale),
+    loading: 'lazy',
+    ...(position && { style: `object-position: ${position}` })
+  });
+
+  const statusBadge = renderStatusBadge(painting, 6, locale);
+  const tagList = renderTagList(painting, 6, locale);
+
+  return `<a class="gallery-item" href="${Catalog.getPagePath(painting, locale)}" data-index="${index}" aria-label="${escapeHtml(label)}">
+  <figure>
+${indent(picture, 4)}
+    <figcaption class="painting-info">
+      <h3 class="painting-title">${escapeHtml(title)}</h3>
+      <p class="painting-details">${escapeHtml(Catalog.getDetailsText(painting, Catalog.DEFAULT_UNIT, locale))}</p>${tagList}${statusBadge}
+    </figcaption>
+  </figure>
+</a>`;
+}
+
+// Render the gallery grid, matching Gallery.render with no filters applied
+function renderGallery(paintings, manifestEntries, locale) {
+  const items = paintings.map((painting, index) => renderGalleryItem(painting, index, manifestEntries, 'gallery.viewInLightbox', locale));
+  return `<div class="gallery-grid">\n${indent(items.join('\n'), 2)}\n</div>`;
+}
+
+// Render a JSON-LD script element
+function renderStructuredData(data) {
+  return `<script type="application/ld+json" id="${StructuredData.scriptId}">\n${StructuredData.serialize(data)}\n</script>`;
+}
+
+// Render the Open Graph image tags for a painting page
+function renderOgImageTags(painting, ogImages, locale) {
+  const card = ogImages[Catalog.getSlug(painting)];
+  const imageUrl = escapeHtml(`${CONFIG.siteUrl}${card ? card.image : painting.image}`);
+  const lines = [`<meta property="og:image" content="${imageUrl}">`];
+
+  // Only the generated cards have a known size
+  if (card) {
+    lines.push(`<meta property="og:image:width" content="${card.width}">`);
+    lines.push(`<meta property="og:image:height" content="${card.height}">`);
+  }
+
+  lines.push(`<meta property="og:image:alt" content="${escapeHtml(I18n.t('painting.alt', { title: Catalog.getTitle(painting, locale) }, locale))}">`);
+
+  return { tags: indent(lines.join('\n'), 2), imageUrl };
+}
+
+// Render the hreflang links to a page in every language, x-default being English
+function renderAlternates(getPagePath) {
+  const link = (hreflang, locale) =>
+    `<link rel="alternate" hreflang="${hreflang}" href="${escapeHtml(`${CONFIG.siteUrl}${getPagePath(locale)}`)}">`;
+
+  return [
+    ...Object.keys(I18n.LOCALES).map(locale => link(locale, locale)),
+    link('x-default', I18n.DEFAULT_LOCALE)
+  ].join('\n');
+}
+
+// Render the language switcher, matching I18n.createSwitcher
+function renderLocaleSwitcher(getPagePath, locale) {
+  const links = Object.entries(I18n.LOCALES).map(([key, { name }]) => {
+    const current = key === locale ? ' aria-current="true"' : '';
+    return `  <li><a href="${escapeHtml(getPagePath(key))}" hreflang="${key}" lang="${key}"${current}>${escapeHtml(name)}</a></li>`;
+  });
+
+  return [`<ul class="locale-switcher" aria-label="${escapeHtml(I18n.t('locale.label', {}, locale))}">`, ...links, '</ul>'].join('\n');
+}
+
+// Render a page of the site (painting and series pages) around its main content.
+// getPagePath gives the page's path in a language, for its hreflang links and language switcher.
+function renderPage({ locale, getPagePath, title, description, ogImage, structuredData, main }) {
+  const t = key => escapeHtml(I18n.t(key, {}, locale));
+  const home = hash => escapeHtml(getHomePath(locale, {}, hash));
+  const url = `${CONFIG.siteUrl}${getPagePath(locale)}`;
+
+  return `<!DOCTYPE html>
+<html lang="${locale}">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="description" content="${escapeHtml(description)}">
+  <meta name="author" content="Georgie Originals">
+
+  <title>${escapeHtml(title)}</title>
+  <link rel="canonical" href="${url}">
+${indent(renderAlternates(getPagePath), 2)}
+
+  <!-- Favicons -->
+  <link rel="icon" type="image/x-icon" sizes="16x16 32x32 48x48" href="/public/images/favicon.ico">
+  <link rel="icon" type="image/svg+xml" href="/public/images/favicon.svg">
+  <link rel="icon" type="image/png" sizes="32x32" href="/public/images/favicon-32x32.png">
+  <link rel="apple-touch-icon" sizes="180x180" href="/public/images/apple-touch-icon.png">
+  <link rel="manifest" href="/site.webmanifest">
+
+  <!-- Stylesheet -->
+  <link rel="stylesheet" href="/css/styles.css">
+
+  <!-- Open Graph tags for social sharing -->
+  <meta property="og:title" content="${escapeHtml(title)}">
+  <meta property="og:description" content="${escapeHtml(description)}">
+  <meta property="og:type" content="article">
+  <meta property="og:url" content="${url}">
+  <meta property="og:locale" content="${I18n.getTag(locale).replace('-', '_')}">
+${ogImage.tags}
+
+  <!-- Twitter Card tags -->
+  <meta name="twitter:card" content="summary_large_image">
+  <meta name="twitter:title" content="${escapeHtml(title)}">
+  <meta name="twitter:description" content="${escapeHtml(description)}">
+  <meta name="twitter:image" content="${ogImage.imageUrl}">
+
+  <!-- Schema.org structured data -->
+${indent(renderStructuredData(structuredData), 2)}
+</head>
+<body>
+
+  <!-- Header -->
+  <header class="site-header">
+    <div class="container">
+      <p class="site-title"><a href="${home()}">Georgie Originals</a></p>
+      <nav class="site-nav" aria-label="${t('nav.label')}">
+        <ul>
+          <li><a href="${home('#about')}">${t('nav.about')}</a></li>
+          <li><a href="${home('#gallery')}">${t('nav.gallery')}</a></li>
+          <li><a href="${home('#contact')}">${t('nav.contact')}</a></li>
+          <li class="locale-nav">
+${indent(renderLocaleSwitcher(getPagePath, locale), 12)}
+          </li>
+        </ul>
+      </nav>
+    </div>
+  </header>
+
+  <main>
+${indent(main, 4)}
+  </main>
+
+  <!-- Footer -->
+  <footer class="site-footer">
+    <div class="container">
+      <p>&copy; ${new Date().getFullYear()} ${t('site.rights')}</p>
+      <p class="footer-links">
+        <a href="${home('#about')}">${t('nav.about')}</a>
+        <span>|</span>
+        <a href="${home('#gallery')}">${t('nav.gallery')}</a>
+        <span>|</span>
+        <a href="${home('#contact')}">${t('nav.contact')}</a>
+      </p>
+    </div>
+  </footer>
+
+  <!-- Vercel Analytics -->
+  <script defer src="/_vercel/insights/script.js"></script>
+
+</body>
+</html>
+`;
+}
+
+// Render the standalone page for one painting in a language
+function renderPaintingPage(painting, index, paintings, seriesList, exhibitions, manifestEntries, ogImages, locale) {
+  const t = (key, params) => I18n.t(key, params, locale);
+  const slug = Catalog.getSlug(painting);
+  const title = Catalog.getTitle(painting, locale);
+  const paintingDescription = Catalog.getDescription(painting, locale);
+  const description = paintingDescription ||
+    t('painting.description', { title, details: Catalog.getDetailsText(painting, Catalog.DEFAULT_UNIT, locale) });
+
+  const prev = paintings[(index - 1 + paintings.length) % paintings.length];
+  const next = paintings[(index + 1) % paintings.length];
+
+  const picture = renderPicture(painting.image, CONFIG.pageImageSizes, manifestEntries, {
+    class: 'painting-page-image',
+    alt: t('painting.alt', { title })
+  });
+
+  // Extra views (side, detail, in-room...) as captioned thumbnails linking to the full image
+  const viewsHtml = (painting.views || []).length > 0
+    ? '\n' + indent([
+      '<div class="painting-page-views">',
+      ...painting.views.map(view => indent([
+        '<figure class="painting-page-view">',
+        `  <a href="${escapeHtml(view.image)}">`,
+        indent(renderPicture(getSquare(view.thumbnail, manifestEntries), CONFIG.viewImageSizes, manifestEntries, {
+          alt: t('painting.viewAlt', { title, view: view.label }),
+          loading: 'lazy'
+        }), 4),
+        '  </a>',
+        `  <figcaption>${escapeHtml(view.label)}</figcaption>`,
+        '</figure>'
+      ].join('\n'), 2)),
+      '</div>'
+    ].join('\n'), 8)
+    : '';
+
+  const descriptionHtml = paintingDescription
+    ? `\n        <p class="painting-page-description">${escapeHtml(paintingDescription)}</p>`
+    : '';
+
+  const series = Catalog.findSeries(seriesList, painting.series);
+  const seriesLink = series &&
+    `<a href="${Catalog.getSeriesPath(series, locale)}">${escapeHtml(I18n.localize(series, 'title', locale))}</a>`;
+  const seriesHtml = series
+    ? `\n        <p class="painting-page-series">${translateHtml('painting.series', { series: seriesLink }, locale)}</p>`
+    : '';
+
+  // Indented to match the markup below, before renderPage() indents it
+  const tagList = renderTagList(painting, 8, locale);
+  const history = renderHistory(painting, exhibitions, 8, locale);
+  const statusBadge = renderStatusBadge(painting, 8, locale);
+
+  return renderPage({
+    locale,
+    getPagePath: pageLocale => Catalog.getPagePath(painting, pageLocale),
+    title: t('page.title', { title }),
+    description,
+    ogImage: renderOgImageTags(painting, ogImages, locale),
+    structuredData: StructuredData.forPainting(painting, locale),
+    main: `<article class="painting-page">
+  <div class="container">
+    <div class="painting-page-content">
+${indent(picture, 6)}
+      <div class="painting-page-info">
+        <h1 class="painting-page-title">${escapeHtml(title)}</h1>
+        <p class="painting-details">${escapeHtml(getPageDetailsText(painting, locale))}</p>${descriptionHtml}${seriesHtml}${tagList}${viewsHtml}${history}${statusBadge}
+        <p class="painting-page-actions">
+          <a href="${escapeHtml(getHomePath(locale, { painting: slug }))}" class="cta-button">${escapeHtml(t('painting.viewInGallery'))}</a>
+          <a href="${escapeHtml(getHomePath(locale, { inquire: slug }, '#contact'))}" class="cta-button">${escapeHtml(Inquiry.getLabel(painting, locale))}</a>
+        </p>
+      </div>
+    </div>
+    <nav class="painting-page-nav" aria-label="${escapeHtml(t('painting.more'))}">
+      <a href="${Catalog.getPagePath(prev, locale)}" rel="prev">‹ ${escapeHtml(Catalog.getTitle(prev, locale))}</a>
+      <a href="${Catalog.getPagePath(next, locale)}" rel="next">${escapeHtml(Catalog.getTitle(next, locale))} ›</a>
+    </nav>
+  </div>
+</article>`
+  });
+}
+
+// Render the page for one series in a language: its title and description above its paintings
+function renderSeriesPage(series, seriesPaintings, paintings, manifestEntries, ogImages, locale) {
+  const title = I18n.localize(series, 'title', locale);
+  const seriesDescription = I18n.localize(series, 'description', locale);
+  const description = seriesDescription || I18n.t('series.description', { title }, locale);
+
+  // Indices match the gallery's, as on the home page
+  const items = seriesPaintings.map(painting =>
+    renderGalleryItem(painting, paintings.indexOf(painting), manifestEntries, 'gallery.view', locale)
+  );
+
+  const descriptionHtml = seriesDescription
+    ? `\n      <p class="gallery-series-description">${escapeHtml(seriesDescription)}</p>`
+    : '';
+
+  return renderPage({
+    locale,
+    getPagePath: pageLocale => Catalog.getSeriesPath(series, pageLocale),
+    title: I18n.t('page.title', { title }, locale),
+    description,
+    // Shared with the card of the series' first painting
+    ogImage: renderOgImageTags(seriesPaintings[0], ogImages, locale),
+    structuredData: StructuredData.forSeries(series, seriesPaintings, locale),
+    main: `<section class="series-page">
+  <div class="container">
+    <header class="gallery-series-header">
+      <h1 class="series-page-title">${escapeHtml(title)}</h1>${descriptionHtml}
+      <p class="painting-page-actions">
+        <a href="${escapeHtml(getHomePath(locale, { series: series.slug }))}" class="cta-button">${escapeHtml(I18n.t('painting.viewInGallery', {}, locale))}</a>
+      </p>
+    </header>
+    <div class="gallery-grid">
+${indent(items.join('\n'), 6)}
+    </div>
+  </div>
+</section>`
+  });
+}
+
+// Render sitemap.xml, with each page's other languages as alternates
+function renderSitemap(paintings, seriesGroups) {
+  const pages = [
+    locale => getHomePath(locale),
+    ...paintings.map(painting => locale => Catalog.getPagePath(painting, locale)),
+    ...seriesGroups.map(group => locale => Catalog.getSeriesPath(group.series, locale))
+  ];
+  const locales = Object.keys(I18n.LOCALES);
+  const url = pagePath => escapeHtml(`${CONFIG.siteUrl}${pagePath}`);
+
+  const entries = pages.flatMap(getPagePath => locales.map(locale => [
+    `  <url>`,
+    `    <loc>${url(getPagePath(locale))}</loc>`,
+    ...locales.map(alternate =>
+      `    <xhtml:link rel="alternate" hreflang="${alternate}" href="${url(getPagePath(alternate))}"/>`
+    ),
+    `  </url>`
+  ].join('\n')));
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">
+${entries.join('\n')}
+</urlset>
+`;
+}
+
+// Read a generated or optional JSON file, or the fallback if it doesn't exist yet
+async function readOptionalJson(filePath, fallback = {}) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    return fallback;
+  }
+}
+
+// Replace the markup between <!-- name:start --> and <!-- name:end --> comments
+function replaceSection(html, name, markup) {
+  const pattern = new RegExp(`([ \\t]*)<!-- ${name}:start -->[\\s\\S]*?<!-- ${name}:end -->`);
+  const match = pattern.exec(html);
+
+  if (!match) {
+    throw new Error(`${CONFIG.indexPath} is missing the <!-- ${name}:start --> and <!-- ${name}:end --> markers`);
+  }
+
+  const padding = match[1];
+  const content = markup ? `${indent(markup, padding.length)}\n` : '';
+  const replacement = `${padding}<!-- ${name}:start -->\n${content}${padding}<!-- ${name}:end -->`;
+
+  return html.replace(pattern, () => replacement);
+}
+
+// Translate the text marked up with data-i18n and data-i18n-attr, as I18n.translatePage
+// does in the browser (the marked up elements only hold text)
+function translateMarkup(html, locale) {
+  const t = key => escapeHtml(I18n.t(key, {}, locale));
+
+  return html
+    .replace(/(<([a-z0-9]+)\b[^>]*\sdata-i18n="([^"]+)"[^>]*>)[^<]*(<\/\2>)/g,
+      (match, open, tag, key, close) => `${open}${t(key)}${close}`)
+    .replace(/<[^>]*\sdata-i18n-attr="([^"]+)"[^>]*>/g, (element, pairs) => pairs.split(',').reduce((result, pair) => {
+      const [attribute, key] = pair.split(':').map(part => part.trim());
+      return result.replace(new RegExp(`(\\s${attribute}=")[^"]*"`), (match, start) => `${start}${t(key)}"`);
+    }, element));
+}
+
+// Render index.html in a language from the English page: the pre-rendered gallery, structured
+// data, exhibitions and hreflang links, and for other languages the page's own text and URL
+function renderIndex(html, locale, paintings, exhibitions, manifestEntries) {
+  html = replaceSection(html, 'alternates', renderAlternates(getHomePath));
+  html = replaceSection(html, 'structured-data', renderStructuredData(StructuredData.forGallery(paintings, locale)));
+  html = replaceSection(html, 'gallery', renderGallery(paintings, manifestEntries, locale));
+  html = replaceSection(html, 'exhibitions', renderExhibitionsSection(exhibitions, paintings, locale));
+
+  if (locale === I18n.DEFAULT_LOCALE) return html;
+
+  return translateMarkup(html, locale)
+    .replace(/<html lang="[^"]*">/, `<html lang="${locale}">`)
+    .replace(/(<meta property="og:url" content=")[^"]*"/, (match, start) => `${start}${CONFIG.siteUrl}${getHomePath(locale)}"`);
+}
+
+// Hash the contents of each style and script, keyed by site path (e.g. /js/gallery.js)
+async function readAssetVersions() {
+  const versions = {};
+
+  for (const dir of CONFIG.assetDirs) {
+    const files = (await fs.readdir(path.join('.', dir))).filter(file => !file.startsWith('.'));
+
+    for (const file of files) {
+      const contents = await fs.readFile(path.join('.', dir, file));
+      versions[dir + file] = crypto.createHash('sha256').update(contents).digest('hex').slice(0, CONFIG.assetHashLength);
+    }
+  }
+
+  return versions;
+}
+
+// Point the page's styles and scripts at their current version, replacing any earlier one
+function versionAssets(html, versions) {
+  return html.replace(/(\s(?:src|href)=")(\/(?:css|js)\/[^"?#]+)(?:\?v=[0-9a-f]*)?"/g, (match, start, sitePath) =>
+    versions[sitePath] ? `${start}${sitePath}?v=${versions[sitePath]}"` : match
+  );
+}
+
+// Write index.html, and the home page in each other language (e.g. fr/index.html)
+async function writeIndex(paintings, exhibitions, manifestEntries, versions) {
+  const html = await fs.readFile(CONFIG.indexPath, 'utf8');
+
+  for (const locale of Object.keys(I18n.LOCALES)) {
+    const indexPath = getOutputDir(CONFIG.indexPath, locale);
+
+    await fs.mkdir(path.dirname(indexPath), { recursive: true });
+    await fs.writeFile(indexPath, versionAssets(renderIndex(html, locale, paintings, exhibitions, manifestEntries), versions));
+  }
+}
+
+// Write pages to <pagesDir>/<slug>/index.html, removing pages whose slug is no longer used
+async function writePages(pagesDir, pages, versions) {
+  const slugs = pages.map(page => page.slug);
+
+  await fs.mkdir(pagesDir, { recursive: true });
+
+  for (const dir of await fs.readdir(pagesDir)) {
+    if (!slugs.includes(dir)) {
+      await fs.rm(path.join(pagesDir, dir), { recursive: true, force: true });
+    }
+  }
+
+  for (const page of pages) {
+    const dir = path.join(pagesDir, page.slug);
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, 'index.html'), versionAssets(page.html, versions));
+  }
+}
+
+// Write one page per painting in a language
+async function writePaintingPages(paintings, seriesList, exhibitions, manifestEntries, ogImages, versions, locale) {
+  await writePages(getOutputDir(CONFIG.pagesDir, locale), paintings.map((painting, index) => ({
+    slug: Catalog.getSlug(painting),
+    html: renderPaintingPage(painting, index, paintings, seriesList, exhibitions, manifestEntries, ogImages, locale)
+  })), versions);
+}
+
+// Write one page per series that has paintings in a language
+async function writeSeriesPages(seriesGroups, paintings, manifestEntries, ogImages, versions, locale) {
+  await writePages(getOutputDir(CONFIG.seriesDir, locale), seriesGroups.map(({ series, indices }) => ({
+    slug: series.slug,
+    html: renderSeriesPage(series, indices.map(index => paintings[index]), paintings, manifestEntries, ogImages, locale)
+  })), versions);
+}
+
+async function main() {
+  console.log('🎨 Georgie Originals - Static Build\n');
+  console.log('='.repeat(60) + '\n');
+
+  try {
+    const paintings = JSON.parse(await fs.readFile(CONFIG.dataPath, 'utf8'));
+
+    // Images that haven't been optimized yet are rendered as plain <img> tags,
+    // and paintings without a card share the painting itself
+    const manifest = await readOptionalJson(CONFIG.manifestPath);
+    const ogImages = await readOptionalJson(CONFIG.ogManifestPath);
+    const seriesList = await readOptionalJson(CONFIG.seriesPath, []);
+    const exhibitions = await readOptionalJson(CONFIG.exhibitionsPath, []);
+
+    // Series in the order of series.json, leaving out any without paintings
+    const seriesGroups = Catalog.groupBySeries(paintings, paintings.map((painting, index) => index), seriesList)
+      .filter(group => group.series);
+
+    // Paintings refer to images by their optimized or thumbnail path (see Picture.setManifest)
+    const manifestEntries = {};
+    Object.values(manifest).forEach(entry => {
+      manifestEntries[entry.image] = entry;
+      manifestEntries[entry.thumbnail] = entry;
+    });
+
+    const versions = await readAssetVersions();
+
+    await writeIndex(paintings, exhibitions, manifestEntries, versions);
+    console.log(`✓ Pre-rendered ${paintings.length} paintings and ${exhibitions.length} exhibitions into ${Object.keys(I18n.LOCALES).map(locale => getOutputDir(CONFIG.indexPath, locale)).join(', ')}`);
+
+    for (const locale of Object.keys(I18n.LOCALES)) {
+      await writePaintingPages(paintings, seriesList, exhibitions, manifestEntries, ogImages, versions, locale);
+      console.log(`✓ Wrote ${paintings.length} painting pages to ${getOutputDir(CONFIG.pagesDir, locale)}/`);
+
+      await writeSeriesPages(seriesGroups, paintings, manifestEntries, ogImages, versions, locale);
+      console.log(`✓ Wrote ${seriesGroups.length} series pages to ${getOutputDir(CONFIG.seriesDir, locale)}/`);
+    }
+
+    await fs.writeFile(CONFIG.sitemapPath, renderSitemap(paintings, seriesGroups));
+    console.log(`✓ Wrote ${CONFIG.sitemapPath}`);
+
+  } catch (error) {
+    console.error('✗ Fatal error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,194 @@
+/**
+ * Print Resolution Check Script
+ *
+ * Checks that the photo of each painting has enough pixels for the prints it offers:
+ * a print needs its size in inches times the target DPI (dots per inch) on each side.
+ * Canvas texture hides more than paper, so canvas prints get by with a lower DPI
+ * (see CONFIG.targetDpi).
+ *
+ * Prints are compared with the photo long side to long side. A print of a different
+ * shape is checked as though the photo were cropped to fill it, and flagged as cropped.
+ * Prints without a size can't be checked and are listed as skipped. So are the prints
+ * of paintings whose original photo isn't in this checkout: the optimized copy is only
+ * 1200px wide, far smaller than what the prints would be made from.
+ *
+ * Warns about prints that fall short or couldn't be checked against an original; with
+ * --strict, also exits with a non-zero status.
+ */
+
+const sharp = require('sharp');
+const fs = require('fs').promises;
+const { parseArgs } = require('util');
+const Catalog = require('./js/catalog.js');
+const { findSourceImage, fromWebPath } = require('./optimize-images.js');
+
+const CONFIG = {
+  dataPath: './public/data/paintings.json',
+
+  // Pixels per inch each print should have, by material; prints without one are treated as paper
+  targetDpi: {
+    paper: 300,
+    canvas: 150
+  },
+  defaultMaterial: 'paper',
+
+  // Shapes within this fraction of the photo's print without noticeable cropping
+  aspectTolerance: 0.02
+};
+
+// Helper: Get an image's width and height as shown, allowing for EXIF rotation
+async function getImageSize(imagePath) {
+  const { width, height, orientation } = await sharp(imagePath).metadata();
+
+  // Orientations 5-8 are rotated a quarter turn
+  return orientation >= 5 ? { width: height, height: width } : { width, height };
+}
+
+/**
+ * Work out the resolution a print would have
+ * @param {Object} size - The print's size (dimensions, as in paintings.json)
+ * @param {Object} image - { width, height } of the photo in pixels
+ * @param {string} material - Key of CONFIG.targetDpi (default: CONFIG.defaultMaterial)
+ * @returns {Object} { dpi, targetDpi, ok, cropped, needed: { width, height } in pixels }
+ */
+function checkPrintResolution(size, image, material = CONFIG.defaultMaterial) {
+  const targetDpi = CONFIG.targetDpi[material] || CONFIG.targetDpi[CONFIG.defaultMaterial];
+  const toInches = value => Catalog.convert(value, size.unit, 'in');
+
+  const [printLong, printShort] = [toInches(size.width), toInches(size.height)].sort((a, b) => b - a);
+  const [imageLong, imageShort] = [image.width, image.height].sort((a, b) => b - a);
+
+  // Filling the print crops whichever side of the photo has pixels to spare
+  const dpi = Math.floor(Math.min(imageLong / printLong, imageShort / printShort));
+  const cropped = Math.abs((imageLong / imageShort) / (printLong / printShort) - 1) > CONFIG.aspectTolerance;
+
+  return {
+    dpi,
+    targetDpi,
+    ok: dpi >= targetDpi,
+    cropped,
+    needed: {
+      width: Math.ceil(toInches(size.width) * targetDpi),
+      height: Math.ceil(toInches(size.height) * targetDpi)
+    }
+  };
+}
+
+/**
+ * Find the original photo of a painting, which its prints are made from
+ * @param {Object} painting - Painting data object
+ * @returns {Promise<{path: string|null, optimized: boolean}>} Path of the original (null if it
+ *   isn't here), and whether only the optimized copy was found
+ */
+async function findOriginalImage(painting) {
+  const sourcePath = await findSourceImage(painting);
+
+  // findSourceImage() falls back to the optimized copy, which is too small to judge prints by
+  const optimized = sourcePath !== null && sourcePath === fromWebPath(painting.image);
+
+  return { path: optimized ? null : sourcePath, optimized };
+}
+
+// Check every print of every painting, printing a line for each
+async function checkPaintings(paintings) {
+  const counts = { ok: 0, low: 0, skipped: 0, noOriginal: 0, cropped: 0 };
+
+  for (const painting of paintings) {
+    const prints = painting.prints || [];
+    if (prints.length === 0) continue;
+
+    const { path: sourcePath, optimized } = await findOriginalImage(painting);
+
+    if (!sourcePath) {
+      console.warn(`⚠ ${painting.title}: ${optimized ? 'only the optimized copy was found' : 'no image found'}, so its prints can't be checked. Add the original photo to public/images/paintings/`);
+      counts.noOriginal += prints.length;
+      continue;
+    }
+
+    const image = await getImageSize(sourcePath);
+    console.log(`${painting.title} (${sourcePath}, ${image.width} × ${image.height}px)`);
+
+    prints.forEach(print => {
+      if (!print.size) {
+        console.log(`  - ${print.id}: no size, so it can't be checked`);
+        counts.skipped++;
+        return;
+      }
+
+      const material = print.material || CONFIG.defaultMaterial;
+      const result = checkPrintResolution(print.size, image, material);
+      const description = `${print.id}: ${Catalog.formatDimensions(print.size)} on ${material} at ${result.dpi} DPI`;
+      const crop = result.cropped ? ' (cropped to fit)' : '';
+
+      if (result.ok) {
+        console.log(`  ✓ ${description}${crop}`);
+        counts.ok++;
+      } else {
+        console.warn(`  ⚠ ${description}${crop}; needs ${result.targetDpi} DPI, about ${result.needed.width} × ${result.needed.height}px`);
+        counts.low++;
+      }
+
+      if (result.cropped) counts.cropped++;
+    });
+  }
+
+  return counts;
+}
+
+async function main() {
+  console.log('🎨 Georgie Originals - Print Resolution Check\n');
+  console.log('='.repeat(60) + '\n');
+
+  try {
+    const { values } = parseArgs({
+      options: {
+        strict: { type: 'boolean', default: false }
+      }
+    });
+
+    const paintings = JSON.parse(await fs.readFile(CONFIG.dataPath, 'utf8'));
+    const counts = await checkPaintings(paintings);
+    const total = counts.ok + counts.low + counts.skipped + counts.noOriginal;
+
+    console.log('\n' + '='.repeat(60));
+
+    if (total === 0) {
+      console.log('No paintings offer prints yet.');
+      return;
+    }
+
+    console.log(`✓ Sharp enough: ${counts.ok}`);
+    if (counts.low > 0) {
+      console.log(`⚠ Below the target DPI: ${counts.low} (use a larger photo, or offer a smaller size)`);
+    }
+    if (counts.noOriginal > 0) {
+      console.log(`⚠ No original photo to check against: ${counts.noOriginal}`);
+    }
+    if (counts.cropped > 0) {
+      console.log(`- Cropped to fit: ${counts.cropped}`);
+    }
+    if (counts.skipped > 0) {
+      console.log(`- Not checked: ${counts.skipped}`);
+    }
+    console.log(`Target DPI: ${Object.entries(CONFIG.targetDpi).map(([material, dpi]) => `${dpi} on ${material}`).join(', ')}`);
+
+    if (values.strict && (counts.low > 0 || counts.noOriginal > 0)) {
+      process.exit(1);
+    }
+
+  } catch (error) {
+    console.error('✗ Fatal error:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run the script when called directly (the tests require the checks)
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  CONFIG,
+  checkPrintResolution,
+  findOriginalImage
+};
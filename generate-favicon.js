@@ -1,17 +1,42 @@
 /**
  * Favicon Generation Script
  *
- * Generates favicons in multiple sizes from the Sunflower painting
- * Creates: favicon.ico, apple-touch-icon, and various PNG sizes
+ * Generates the site icons from one painting (the Sunflower by default), cropped
+ * square around its focal point in paintings.json (or its most eye-catching region):
+ * - favicon.ico holding 16, 32 and 48px images, plus PNG favicons and favicon.svg
+ * - apple-touch-icon and Android icons, with maskable versions padded to the safe zone
+ * - The web app manifest, with its theme color and screenshots taken from the artwork
+ *
+ * Usage:
+ *   npm run favicon
+ *   npm run favicon -- --painting blue-thunder --focal-point 30,60
  */
 
 const sharp = require('sharp');
 const fs = require('fs').promises;
 const path = require('path');
+const { parseArgs } = require('util');
+const Catalog = require('./js/catalog.js');
+const { CONFIG: IMAGE_CONFIG, getSourceName, cropToAspect } = require('./optimize-images.js');
 
 const CONFIG = {
-  sourceImage: './public/images/paintings/originals/12_Sunflower.jpeg',
+  // Painting the icons are made from (slug or id), and the point to center the square
+  // crop on, as percentages from the left and top of the photo (null uses the painting's
+  // focalPoint from paintings.json)
+  source: {
+    painting: 'sunflower',
+    focalPoint: null
+  },
   outputDir: './public/images',
+  manifestPath: './site.webmanifest',   // At the root so its scope can be the whole site
+  dataPath: './public/data/paintings.json',
+  backgroundColor: '#ffffff',           // Matches --color-bg in css/styles.css
+  screenshotsDir: './public/images/screenshots',
+  // Previews of the gallery shown by install prompts: wide for desktops, narrow for phones
+  screenshots: {
+    'gallery-wide.jpg': { width: 1280, height: 800, columns: 4, formFactor: 'wide' },
+    'gallery-narrow.jpg': { width: 750, height: 1334, columns: 2, formFactor: 'narrow' }
+  },
   sizes: {
     'favicon-16x16.png': 16,
     'favicon-32x32.png': 32,
@@ -19,18 +44,71 @@ const CONFIG = {
     'apple-touch-icon.png': 180,  // Apple touch icon
     'android-chrome-192x192.png': 192,
     'android-chrome-512x512.png': 512,
+  },
+  icoSizes: [16, 32, 48],
+  // Android crops maskable icons to shapes that fit a circle 80% of the icon's width,
+  // so the painting is shrunk to that and the rest filled with the theme color
+  maskableSafeZone: 0.8,
+  maskableSizes: {
+    'android-chrome-maskable-192x192.png': 192,
+    'android-chrome-maskable-512x512.png': 512
+  },
+  svg: {
+    filename: 'favicon.svg',
+    imageSize: 96,                // Pixels of the embedded painting; enough for high-DPI tabs
+    cornerRadius: 0.15            // Fraction of the width
   }
 };
 
-async function generateFavicon(size, filename) {
+// Read --painting and --focal-point over the CONFIG.source defaults
+function getSourceOptions() {
+  const { values } = parseArgs({
+    options: {
+      painting: { type: 'string' },
+      'focal-point': { type: 'string' }
+    }
+  });
+
+  const source = { ...CONFIG.source };
+
+  if (values.painting) {
+    source.painting = values.painting;
+  }
+
+  if (values['focal-point']) {
+    const [x, y] = values['focal-point'].split(',').map(Number);
+
+    if (![x, y].every(value => value >= 0 && value <= 100)) {
+      throw new Error(`Couldn't read --focal-point "${values['focal-point']}". Use x,y percentages, e.g. 30,60`);
+    }
+
+    source.focalPoint = { x, y };
+  }
+
+  return source;
+}
+
+// Find the full-resolution photo of the source painting
+async function getSourceImage(paintingKey) {
+  const paintings = JSON.parse(await fs.readFile(CONFIG.dataPath, 'utf8'));
+  const painting = paintings[Catalog.findIndex(paintings, paintingKey)];
+
+  if (!painting) {
+    throw new Error(`No painting found with id or slug "${paintingKey}"`);
+  }
+
+  const sourcePath = path.join(IMAGE_CONFIG.inputDir, getSourceName(painting.image));
+  await fs.access(sourcePath);
+
+  return { painting, sourcePath };
+}
+
+async function generateFavicon(square, size, filename) {
   const outputPath = path.join(CONFIG.outputDir, filename);
 
   try {
-    await sharp(CONFIG.sourceImage)
-      .resize(size, size, {
-        fit: 'cover',
-        position: 'center'
-      })
+    await sharp(square)
+      .resize(size, size)
       .png({ quality: 100 })
       .toFile(outputPath);
 
@@ -42,24 +120,53 @@ async function generateFavicon(size, filename) {
   }
 }
 
-async function createICO() {
-  // For .ico, we'll use the 32x32 PNG and just rename/copy it
-  // Modern browsers support PNG favicons, but we'll create a basic .ico
-  const source32 = path.join(CONFIG.outputDir, 'favicon-32x32.png');
+/**
+ * Pack PNG images into an ICO file. Each image keeps its PNG compression, which
+ * every browser that reads favicon.ico supports.
+ * @param {Array<{size: number, png: Buffer}>} images - Square PNGs, up to 256px
+ * @returns {Buffer} ICO file contents
+ */
+function packICO(images) {
+  const headerSize = 6;
+  const entrySize = 16;
+
+  const header = Buffer.alloc(headerSize);
+  header.writeUInt16LE(0, 0);                 // Reserved
+  header.writeUInt16LE(1, 2);                 // 1 = icon
+  header.writeUInt16LE(images.length, 4);
+
+  let offset = headerSize + entrySize * images.length;
+
+  const entries = images.map(({ size, png }) => {
+    const entry = Buffer.alloc(entrySize);
+    entry.writeUInt8(size >= 256 ? 0 : size, 0);  // Width (0 means 256)
+    entry.writeUInt8(size >= 256 ? 0 : size, 1);  // Height
+    entry.writeUInt8(0, 2);                       // Colors in the palette (none)
+    entry.writeUInt8(0, 3);                       // Reserved
+    entry.writeUInt16LE(1, 4);                    // Color planes
+    entry.writeUInt16LE(32, 6);                   // Bits per pixel
+    entry.writeUInt32LE(png.length, 8);
+    entry.writeUInt32LE(offset, 12);
+
+    offset += png.length;
+    return entry;
+  });
+
+  return Buffer.concat([header, ...entries, ...images.map(image => image.png)]);
+}
+
+async function createICO(square) {
   const icoPath = path.join(CONFIG.outputDir, 'favicon.ico');
 
   try {
-    // Sharp doesn't support ICO format, so we'll use 32px PNG as fallback
-    // Most modern browsers will use the PNG versions anyway
-    await sharp(CONFIG.sourceImage)
-      .resize(32, 32, {
-        fit: 'cover',
-        position: 'center'
-      })
-      .png({ quality: 100 })
-      .toFile(icoPath);
+    const images = await Promise.all(CONFIG.icoSizes.map(async size => ({
+      size,
+      png: await sharp(square).resize(size, size).ensureAlpha().png().toBuffer()
+    })));
+
+    await fs.writeFile(icoPath, packICO(images));
 
-    console.log('✓ Generated favicon.ico (32x32)');
+    console.log(`✓ Generated favicon.ico (${CONFIG.icoSizes.map(size => `${size}x${size}`).join(', ')})`);
     return true;
   } catch (error) {
     console.error('✗ Failed to generate favicon.ico:', error.message);
@@ -67,66 +174,220 @@ async function createICO() {
   }
 }
 
-async function generateManifest() {
+// Android icons that can be cropped to any shape without losing the painting's edges
+async function generateMaskableIcon(square, size, filename, backgroundColor) {
+  const inner = Math.round(size * CONFIG.maskableSafeZone);
+  const padding = Math.floor((size - inner) / 2);
+
+  try {
+    await sharp({ create: { width: size, height: size, channels: 3, background: backgroundColor } })
+      .composite([{ input: await sharp(square).resize(inner, inner).toBuffer(), left: padding, top: padding }])
+      .png({ quality: 100 })
+      .toFile(path.join(CONFIG.outputDir, filename));
+
+    console.log(`✓ Generated ${filename} (${size}x${size}, maskable)`);
+    return true;
+  } catch (error) {
+    console.error(`✗ Failed to generate ${filename}:`, error.message);
+    return false;
+  }
+}
+
+// An SVG favicon with rounded corners, which browsers scale cleanly to any tab size
+async function generateSVG(square) {
+  const { filename, imageSize, cornerRadius } = CONFIG.svg;
+  const jpeg = await sharp(square).resize(imageSize, imageSize).jpeg({ quality: 85 }).toBuffer();
+  const radius = Math.round(imageSize * cornerRadius);
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" viewBox="0 0 ${imageSize} ${imageSize}">
+  <clipPath id="corners"><rect width="${imageSize}" height="${imageSize}" rx="${radius}"/></clipPath>
+  <image width="${imageSize}" height="${imageSize}" clip-path="url(#corners)" xlink:href="data:image/jpeg;base64,${jpeg.toString('base64')}"/>
+</svg>
+`;
+
+  await fs.writeFile(path.join(CONFIG.outputDir, filename), svg);
+  console.log(`✓ Generated ${filename}`);
+}
+
+// Helper: Format an { r, g, b } color as #rrggbb
+function toHex({ r, g, b }) {
+  return '#' + [r, g, b].map(value => value.toString(16).padStart(2, '0')).join('');
+}
+
+// The most common strong color in the source painting, used for the browser UI of the
+// installed app. Greys are skipped, since photos of canvases include the wall behind them.
+async function getThemeColor(sourcePath) {
+  const { data } = await sharp(sourcePath)
+    .resize(64, 64, { fit: 'inside' })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const buckets = new Map();
+
+  for (let i = 0; i < data.length; i += 3) {
+    const [r, g, b] = [data[i], data[i + 1], data[i + 2]];
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+
+    if (max - min < 64 || max < 48) continue;
+
+    // Group similar colors: 8 levels per channel
+    const key = (r >> 5) * 64 + (g >> 5) * 8 + (b >> 5);
+    const bucket = buckets.get(key) || { r: 0, g: 0, b: 0, count: 0 };
+
+    bucket.r += r;
+    bucket.g += g;
+    bucket.b += b;
+    bucket.count += 1;
+    buckets.set(key, bucket);
+  }
+
+  const top = [...buckets.values()].sort((a, b) => b.count - a.count)[0];
+
+  if (!top) return CONFIG.backgroundColor;
+
+  return toHex({
+    r: Math.round(top.r / top.count),
+    g: Math.round(top.g / top.count),
+    b: Math.round(top.b / top.count)
+  });
+}
+
+// Compose a preview of the gallery: the site name above a grid of painting thumbnails
+async function generateScreenshot(filename, { width, height, columns }) {
+  const paintings = JSON.parse(await fs.readFile(CONFIG.dataPath, 'utf8'));
+  const headerHeight = Math.round(width / 10);
+  const gap = Math.round(width / 40);
+  const cellWidth = Math.floor((width - gap * (columns + 1)) / columns);
+  const cellHeight = Math.round(cellWidth * 1.25);
+  const rows = Math.ceil((height - headerHeight) / (cellHeight + gap));
+
+  const header = Buffer.from(`<svg width="${width}" height="${headerHeight}" xmlns="http://www.w3.org/2000/svg">
+    <text x="50%" y="60%" text-anchor="middle" font-family="Helvetica, Arial, sans-serif"
+      font-size="${Math.round(headerHeight / 3)}" letter-spacing="2" fill="#000">GEORGIE ORIGINALS</text>
+  </svg>`);
+
+  const tiles = await Promise.all(paintings.slice(0, columns * rows).map(async (painting, index) => ({
+    input: await sharp(path.join('.', painting.thumbnail))
+      .resize(cellWidth, cellHeight, { fit: 'cover' })
+      .toBuffer(),
+    left: gap + (index % columns) * (cellWidth + gap),
+    top: headerHeight + Math.floor(index / columns) * (cellHeight + gap)
+  })));
+
+  await fs.mkdir(CONFIG.screenshotsDir, { recursive: true });
+
+  // The last row runs past the bottom edge, like a page that scrolls
+  const page = await sharp({
+    create: { width, height: headerHeight + rows * (cellHeight + gap), channels: 3, background: CONFIG.backgroundColor }
+  })
+    .composite([{ input: header, left: 0, top: 0 }, ...tiles])
+    .png()
+    .toBuffer();
+
+  await sharp(page)
+    .extract({ left: 0, top: 0, width, height })
+    .jpeg({ quality: 80 })
+    .toFile(path.join(CONFIG.screenshotsDir, filename));
+
+  console.log(`✓ Generated screenshots/${filename} (${width}x${height})`);
+}
+
+async function generateManifest(themeColor) {
   const manifest = {
+    id: "/",
     name: "Georgie Originals",
     short_name: "Georgie Originals",
+    description: "Original paintings by Georgina Roy",
+    start_url: "/",
+    scope: "/",
     icons: [
       {
-        src: "/public/images/android-chrome-192x192.png",
-        sizes: "192x192",
-        type: "image/png"
+        src: `/public/images/${CONFIG.svg.filename}`,
+        sizes: "any",
+        type: "image/svg+xml",
+        purpose: "any"
       },
-      {
-        src: "/public/images/android-chrome-512x512.png",
-        sizes: "512x512",
-        type: "image/png"
-      }
+      ...['192x192', '512x512'].map(size => ({
+        src: `/public/images/android-chrome-${size}.png`,
+        sizes: size,
+        type: "image/png",
+        purpose: "any"
+      })),
+      ...Object.entries(CONFIG.maskableSizes).map(([filename, size]) => ({
+        src: `/public/images/${filename}`,
+        sizes: `${size}x${size}`,
+        type: "image/png",
+        purpose: "maskable"
+      }))
     ],
-    theme_color: "#ffffff",
-    background_color: "#ffffff",
+    screenshots: Object.entries(CONFIG.screenshots).map(([filename, screenshot]) => ({
+      src: `/public/images/screenshots/${filename}`,
+      sizes: `${screenshot.width}x${screenshot.height}`,
+      type: "image/jpeg",
+      form_factor: screenshot.formFactor,
+      label: "The gallery of paintings"
+    })),
+    theme_color: themeColor,
+    background_color: CONFIG.backgroundColor,
     display: "standalone"
   };
 
-  const manifestPath = path.join(CONFIG.outputDir, 'site.webmanifest');
-  await fs.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
-  console.log('✓ Generated site.webmanifest');
+  await fs.writeFile(CONFIG.manifestPath, JSON.stringify(manifest, null, 2));
+  console.log(`✓ Generated site.webmanifest (theme color ${themeColor})`);
 }
 
 async function main() {
-  console.log('🎨 Generating Favicons from Sunflower Painting\n');
-  console.log('='.repeat(60) + '\n');
-
   try {
-    // Check source image exists
-    await fs.access(CONFIG.sourceImage);
+    const source = getSourceOptions();
+    const { painting, sourcePath } = await getSourceImage(source.painting);
+
+    console.log(`🎨 Generating Favicons from ${painting.title}\n`);
+    console.log('='.repeat(60) + '\n');
+
+    // --focal-point wins over the painting's own; without either, sharp picks the square
+    const square = await cropToAspect(sourcePath, 1, source.focalPoint || painting.focalPoint);
+    const themeColor = await getThemeColor(sourcePath);
 
     // Generate all sizes
     console.log('Generating favicon sizes...\n');
 
     for (const [filename, size] of Object.entries(CONFIG.sizes)) {
-      await generateFavicon(size, filename);
+      await generateFavicon(square, size, filename);
     }
 
-    // Create .ico file
-    await createICO();
+    for (const [filename, size] of Object.entries(CONFIG.maskableSizes)) {
+      await generateMaskableIcon(square, size, filename, themeColor);
+    }
+
+    // Create .ico and .svg files
+    await createICO(square);
+    await generateSVG(square);
+
+    // Generate web manifest and its screenshots for PWA support
+    for (const [filename, screenshot] of Object.entries(CONFIG.screenshots)) {
+      await generateScreenshot(filename, screenshot);
+    }
 
-    // Generate web manifest for PWA support
-    await generateManifest();
+    await generateManifest(themeColor);
 
     console.log('\n' + '='.repeat(60));
     console.log('SUCCESS! All favicons generated.');
     console.log('='.repeat(60));
     console.log('\nGenerated files:');
-    console.log('- favicon.ico (32x32)');
+    console.log(`- favicon.ico (${CONFIG.icoSizes.join(', ')}px)`);
+    console.log(`- ${CONFIG.svg.filename}`);
     console.log('- favicon-16x16.png');
     console.log('- favicon-32x32.png');
     console.log('- favicon-48x48.png');
     console.log('- apple-touch-icon.png (180x180)');
     console.log('- android-chrome-192x192.png');
     console.log('- android-chrome-512x512.png');
-    console.log('- site.webmanifest');
-    console.log('\nNext step: Add favicon links to index.html <head>');
+    console.log(`- ${Object.keys(CONFIG.maskableSizes).join(', ')}`);
+    console.log('- screenshots/gallery-wide.jpg, screenshots/gallery-narrow.jpg');
+    console.log('- site.webmanifest (in the site root)');
+    console.log('\nNext step: npm run build (to update the service worker\'s precache list)');
 
   } catch (error) {
     console.error('✗ Fatal error:', error.message);
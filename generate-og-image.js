@@ -1,68 +1,350 @@
 /**
  * Open Graph Image Generation Script
  *
- * Generates OG image (1200x630px) from the Fiesta painting
- * for social media sharing (Facebook, Twitter, LinkedIn, etc.)
+ * Generates the images shown when the site is shared on social media
+ * (Facebook, Twitter, LinkedIn, etc.):
+ * 1. The site-wide OG image (1200x630px) from the Fiesta painting
+ * 2. A 1200x630px card for every painting in paintings.json, with the painting
+ *    letterboxed (or cropped to fill) next to (or under) its title and "Georgie Originals"
+ *
+ * Crops keep the painting's focalPoint from paintings.json in view, or its most
+ * eye-catching region when it has none.
+ *
+ * Cards are named with a hash of their source image, text and layout, and
+ * listed in public/data/og-images.json for build-static.js. Unchanged cards
+ * are skipped.
  */
 
 const sharp = require('sharp');
+const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
+const Catalog = require('./js/catalog.js');
+const {
+  CONFIG: IMAGE_CONFIG,
+  removeFiles,
+  toWebPath,
+  cropToAspect,
+  findSourceImage
+} = require('./optimize-images.js');
 
 const CONFIG = {
-  sourceImage: './public/images/paintings/originals/11_fiesta.jpeg',
+  sitePainting: 'fiesta',      // Painting (slug or id) the site-wide image is cropped from
   outputPath: './public/images/og-image.jpg',
+  dataPath: './public/data/paintings.json',
+  cardsDir: './public/images/og',
+  manifestPath: './public/data/og-images.json',
   width: 1200,
   height: 630,
-  quality: 90
+  quality: 90,
+  hashLength: IMAGE_CONFIG.hashLength,
+
+  // Painting card layout
+  card: {
+    layout: 'side',            // 'side': painting left, text right; 'overlay': text band across the bottom of the painting
+    fit: 'contain',            // 'contain': whole painting, letterboxed; 'cover': cropped to fill its area
+    background: '#fafafa',     // Letterbox color around the painting
+    padding: 40,
+    textPanelWidth: 420,       // Width of the text column ('side' layout)
+    bandHeight: 150,           // Height of the text band ('overlay' layout)
+    bandColor: 'rgba(0, 0, 0, 0.65)',
+    textColor: '#000',         // Title color ('side' layout; the band always uses white)
+    mutedColor: '#666',
+    fontFamily: "'Helvetica Neue', Arial, sans-serif",
+    titleSize: 52,
+    detailsSize: 24,
+    brandSize: 28,
+    brandText: 'Georgie Originals',
+    maxTitleLines: 3
+  }
 };
 
+// Helper: Escape text for use in SVG
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Helper: Split text into lines of roughly maxChars characters
+function wrapText(text, maxChars, maxLines) {
+  const lines = [];
+
+  text.split(/\s+/).forEach(word => {
+    const last = lines[lines.length - 1];
+
+    if (last !== undefined && (last + ' ' + word).length <= maxChars) {
+      lines[lines.length - 1] = last + ' ' + word;
+    } else {
+      lines.push(word);
+    }
+  });
+
+  if (lines.length > maxLines) {
+    lines.length = maxLines;
+    lines[maxLines - 1] += '…';
+  }
+
+  return lines;
+}
+
+// Helper: Year and medium shown under the title
+function getDetailsText(painting) {
+  return [painting.year, painting.medium].filter(Boolean).join(' • ');
+}
+
+// Work out where the painting and the text go on the card
+function getCardAreas() {
+  const { width, height } = CONFIG;
+  const { layout, padding, textPanelWidth, bandHeight } = CONFIG.card;
+
+  if (layout === 'overlay') {
+    return {
+      image: { left: 0, top: 0, width, height },
+      text: { left: padding, top: height - bandHeight, width: width - padding * 2, height: bandHeight }
+    };
+  }
+
+  return {
+    image: { left: padding, top: padding, width: width - textPanelWidth - padding * 2, height: height - padding * 2 },
+    text: { left: width - textPanelWidth, top: padding, width: textPanelWidth - padding, height: height - padding * 2 }
+  };
+}
+
+// Render the title, details and brand as an SVG the size of the card
+function renderCardText(painting, area) {
+  const { card } = CONFIG;
+  const overlay = card.layout === 'overlay';
+  const titleColor = overlay ? '#fff' : card.textColor;
+  const mutedColor = overlay ? '#ddd' : card.mutedColor;
+
+  // Rough average glyph width for a sans-serif font; the band shares its line with the brand
+  const titleWidth = overlay ? area.width - card.brandText.length * card.brandSize * 0.65 - card.padding : area.width;
+  const maxChars = Math.floor(titleWidth / (card.titleSize * 0.55));
+  const titleLines = overlay
+    ? wrapText(painting.title, maxChars, 1)
+    : wrapText(painting.title, maxChars, card.maxTitleLines);
+
+  const lineHeight = Math.round(card.titleSize * 1.15);
+  const details = getDetailsText(painting);
+  const elements = [];
+
+  if (overlay) {
+    elements.push(`<rect x="0" y="${area.top}" width="${CONFIG.width}" height="${area.height}" fill="${card.bandColor}"/>`);
+  }
+
+  // Side layout centers the text block vertically; the band starts near its top
+  const blockHeight = card.titleSize + (titleLines.length - 1) * lineHeight + (details ? card.detailsSize * 1.8 : 0);
+  let y = overlay
+    ? area.top + card.padding / 2 + card.titleSize
+    : area.top + (area.height - blockHeight) / 2 + card.titleSize;
+
+  titleLines.forEach((line, index) => {
+    if (index > 0) y += lineHeight;
+    elements.push(`<text x="${area.left}" y="${y}" font-size="${card.titleSize}" font-weight="300" fill="${titleColor}">${escapeXml(line)}</text>`);
+  });
+
+  if (details) {
+    y += card.detailsSize * 1.8;
+    elements.push(`<text x="${area.left}" y="${y}" font-size="${card.detailsSize}" fill="${mutedColor}">${escapeXml(details)}</text>`);
+  }
+
+  // The band has the brand at the right of the title; the side column has it at the bottom
+  const brand = overlay
+    ? { x: area.left + area.width, y: area.top + card.padding / 2 + card.titleSize, anchor: 'end' }
+    : { x: area.left, y: area.top + area.height, anchor: 'start' };
+  elements.push(`<text x="${brand.x}" y="${brand.y}" text-anchor="${brand.anchor}" font-size="${card.brandSize}" letter-spacing="2" fill="${titleColor}">${escapeXml(card.brandText)}</text>`);
+
+  return Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${CONFIG.width}" height="${CONFIG.height}" font-family="${escapeXml(card.fontFamily)}">
+  ${elements.join('\n  ')}
+</svg>`);
+}
+
+// Hash the inputs of a card so changed paintings get a new filename
+async function hashCard(sourcePath, painting) {
+  const settings = JSON.stringify([
+    CONFIG.width,
+    CONFIG.height,
+    CONFIG.quality,
+    CONFIG.card,
+    painting.title,
+    getDetailsText(painting),
+    painting.focalPoint || IMAGE_CONFIG.cropStrategy
+  ]);
+
+  return crypto.createHash('sha256')
+    .update(await fs.readFile(sourcePath))
+    .update(settings)
+    .digest('hex')
+    .slice(0, CONFIG.hashLength);
+}
+
+// Generate the card for one painting
+async function generateCard(painting, outputPath, sourcePath) {
+  const areas = getCardAreas();
+
+  const { width, height } = areas.image;
+  const source = CONFIG.card.fit === 'cover'
+    ? await cropToAspect(sourcePath, width / height, painting.focalPoint)
+    : sourcePath;
+
+  const image = await sharp(source)
+    .resize(width, height, {
+      fit: 'contain',
+      background: CONFIG.card.background
+    })
+    .toBuffer();
+
+  await sharp({
+    create: {
+      width: CONFIG.width,
+      height: CONFIG.height,
+      channels: 3,
+      background: CONFIG.card.background
+    }
+  })
+    .composite([
+      { input: image, left: areas.image.left, top: areas.image.top },
+      { input: renderCardText(painting, areas.text), left: 0, top: 0 }
+    ])
+    .jpeg({
+      quality: CONFIG.quality,
+      progressive: true
+    })
+    .toFile(outputPath);
+}
+
+// Generate the site-wide image shown for the home page
+async function generateSiteImage() {
+  const paintings = JSON.parse(await fs.readFile(CONFIG.dataPath, 'utf8'));
+  const painting = paintings[Catalog.findIndex(paintings, CONFIG.sitePainting)];
+  const sourcePath = painting && await findSourceImage(painting);
+
+  // Check source image exists
+  if (!sourcePath) {
+    throw new Error(`No image found for the site painting "${CONFIG.sitePainting}"`);
+  }
+  console.log(`✓ Source image found: ${sourcePath}\n`);
+
+  // Get source image metadata
+  const metadata = await sharp(sourcePath).metadata();
+  console.log(`Source dimensions: ${metadata.width}x${metadata.height}`);
+  console.log(`Target dimensions: ${CONFIG.width}x${CONFIG.height}`);
+  console.log(`Cropped around: ${painting.focalPoint ? `focal point ${painting.focalPoint.x}%, ${painting.focalPoint.y}%` : `the ${IMAGE_CONFIG.cropStrategy} strategy`}\n`);
+
+  // Generate OG image (1200x630, cropped around the focal point)
+  await sharp(await cropToAspect(sourcePath, CONFIG.width / CONFIG.height, painting.focalPoint))
+    .resize(CONFIG.width, CONFIG.height)
+    .jpeg({
+      quality: CONFIG.quality,
+      progressive: true
+    })
+    .toFile(CONFIG.outputPath);
+
+  // Get file size
+  const stats = await fs.stat(CONFIG.outputPath);
+  const fileSizeKB = (stats.size / 1024).toFixed(2);
+
+  console.log(`✓ Created: ${CONFIG.outputPath} (${fileSizeKB} KB)\n`);
+}
+
+// Generate a card for every painting, skipping unchanged ones
+async function generatePaintingCards() {
+  const paintings = JSON.parse(await fs.readFile(CONFIG.dataPath, 'utf8'));
+
+  let previous = {};
+  try {
+    previous = JSON.parse(await fs.readFile(CONFIG.manifestPath, 'utf8'));
+  } catch (error) {
+    // No cards generated yet
+  }
+
+  await fs.mkdir(CONFIG.cardsDir, { recursive: true });
+
+  const manifest = {};
+  const counts = { created: 0, skipped: 0, failed: 0 };
+
+  for (const painting of paintings) {
+    const slug = Catalog.getSlug(painting);
+    const sourcePath = await findSourceImage(painting);
+
+    if (!sourcePath) {
+      console.error(`✗ ${painting.title}: no image found`);
+      counts.failed++;
+      continue;
+    }
+
+    const hash = await hashCard(sourcePath, painting);
+    const outputPath = path.join(CONFIG.cardsDir, `${slug}.${hash}.jpg`);
+    const entry = {
+      hash,
+      image: toWebPath(outputPath),
+      width: CONFIG.width,
+      height: CONFIG.height
+    };
+
+    const existing = previous[slug];
+    const exists = await fs.access(outputPath).then(() => true, () => false);
+
+    if (existing && existing.hash === hash && exists) {
+      manifest[slug] = existing;
+      counts.skipped++;
+      continue;
+    }
+
+    try {
+      await generateCard(painting, outputPath, sourcePath);
+      manifest[slug] = entry;
+      counts.created++;
+      console.log(`✓ ${painting.title} → ${entry.image}`);
+    } catch (error) {
+      console.error(`✗ ${painting.title}: ${error.message}`);
+      counts.failed++;
+    }
+  }
+
+  // Remove cards for paintings that changed or no longer exist
+  const current = new Set(Object.values(manifest).map(entry => path.basename(entry.image)));
+  const stale = (await fs.readdir(CONFIG.cardsDir))
+    .filter(file => !current.has(file))
+    .map(file => path.join(CONFIG.cardsDir, file));
+
+  await removeFiles(stale);
+  await fs.writeFile(CONFIG.manifestPath, JSON.stringify(manifest, null, 2));
+
+  return { ...counts, removed: stale.length };
+}
+
 async function generateOGImage() {
-  console.log('🎨 Generating Open Graph Image from Fiesta Painting\n');
+  console.log('🎨 Generating Open Graph Images\n');
   console.log('='.repeat(60) + '\n');
 
   try {
-    // Check source image exists
-    await fs.access(CONFIG.sourceImage);
-    console.log(`✓ Source image found: ${CONFIG.sourceImage}\n`);
-
-    // Get source image metadata
-    const metadata = await sharp(CONFIG.sourceImage).metadata();
-    console.log(`Source dimensions: ${metadata.width}x${metadata.height}`);
-    console.log(`Target dimensions: ${CONFIG.width}x${CONFIG.height}\n`);
-
-    // Generate OG image (1200x630, cropped to center)
-    await sharp(CONFIG.sourceImage)
-      .resize(CONFIG.width, CONFIG.height, {
-        fit: 'cover',
-        position: 'center'
-      })
-      .jpeg({
-        quality: CONFIG.quality,
-        progressive: true
-      })
-      .toFile(CONFIG.outputPath);
-
-    // Get file size
-    const stats = await fs.stat(CONFIG.outputPath);
-    const fileSizeKB = (stats.size / 1024).toFixed(2);
-
-    console.log('Processing...\n');
-    console.log('='.repeat(60));
-    console.log('SUCCESS! OG image generated.');
+    await generateSiteImage();
+
+    console.log('Generating painting cards...\n');
+    const counts = await generatePaintingCards();
+
+    console.log('\n' + '='.repeat(60));
+    console.log('SUCCESS! OG images generated.');
     console.log('='.repeat(60));
-    console.log(`\n✓ Created: ${CONFIG.outputPath}`);
+    console.log(`\n✓ Site image: ${CONFIG.outputPath}`);
+    console.log(`✓ Painting cards: ${counts.created} created, ${counts.skipped} unchanged, ${counts.removed} removed`);
+    if (counts.failed > 0) {
+      console.log(`✗ Failed: ${counts.failed}`);
+    }
     console.log(`✓ Dimensions: ${CONFIG.width}x${CONFIG.height}px`);
-    console.log(`✓ File size: ${fileSizeKB} KB`);
     console.log(`✓ Quality: ${CONFIG.quality}%`);
-    console.log('\nThis image will appear when your site is shared on:');
+    console.log('\nThese images will appear when your site is shared on:');
     console.log('- Facebook');
     console.log('- Twitter/X');
     console.log('- LinkedIn');
     console.log('- Slack');
     console.log('- WhatsApp');
     console.log('- iMessage');
-    console.log('\nNext step: Update Open Graph meta tags in index.html');
+    console.log('\nNext step: npm run build (to add the painting cards to the painting pages)');
 
   } catch (error) {
     console.error('✗ Fatal error:', error.message);
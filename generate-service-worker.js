@@ -0,0 +1,124 @@
+/**
+ * Service Worker Precache Script
+ *
+ * Writes the list of files sw.js caches on install (between the precache:start and
+ * precache:end comments), each with a hash of its contents:
+ * - The gallery page in each language (index.html, fr/index.html), styles and scripts
+ * - paintings.json, series.json, exhibitions.json, the image manifest and the web app manifest and icons
+ * - Every painting's thumbnail (including extra views)
+ *
+ * Run after build-static.js, since the hashes of the gallery pages include the pre-rendered gallery.
+ * `npm run build` runs both.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const Catalog = require('./js/catalog.js');
+const I18n = require('./js/i18n.js');
+
+const CONFIG = {
+  swPath: './sw.js',
+  dataPath: './public/data/paintings.json',
+  hashLength: 10,                     // Same as assetHashLength in build-static.js, so precached styles
+                                      // and scripts have the URLs the pages load them from
+
+  // The gallery page in each language, e.g. '/' for index.html and '/fr/' for fr/index.html
+  pages: Object.keys(I18n.LOCALES).map(locale => I18n.getPath('/', locale)),
+
+  // Other site paths to precache; paths ending in / include every file in the folder
+  precache: [
+    '/css/',
+    '/js/',
+    '/public/data/paintings.json',
+    '/public/data/images.json',
+    '/public/data/series.json',
+    '/public/data/exhibitions.json',
+    '/site.webmanifest',
+    '/public/images/favicon.ico',
+    '/public/images/favicon.svg',
+    '/public/images/android-chrome-192x192.png',
+    '/public/images/android-chrome-512x512.png'
+  ]
+};
+
+// Helper: Turn a site path into a file path
+function toFilePath(sitePath) {
+  return path.join('.', sitePath, CONFIG.pages.includes(sitePath) ? 'index.html' : '');
+}
+
+// Helper: Hash a file's contents
+async function hashFile(sitePath) {
+  try {
+    const contents = await fs.readFile(toFilePath(sitePath));
+    return crypto.createHash('sha256').update(contents).digest('hex').slice(0, CONFIG.hashLength);
+  } catch (error) {
+    throw new Error(`Can't precache ${sitePath}: ${error.message}`);
+  }
+}
+
+// List the site paths to precache
+async function getPrecachePaths() {
+  const paths = [...CONFIG.pages];
+
+  for (const sitePath of CONFIG.precache) {
+    if (sitePath.endsWith('/')) {
+      const files = (await fs.readdir(toFilePath(sitePath))).filter(file => !file.startsWith('.')).sort();
+      paths.push(...files.map(file => sitePath + file));
+    } else {
+      paths.push(sitePath);
+    }
+  }
+
+  // Thumbnails, so the gallery grid still shows offline
+  const paintings = JSON.parse(await fs.readFile(CONFIG.dataPath, 'utf8'));
+
+  paintings.forEach(painting => {
+    Catalog.getViews(painting).forEach(view => paths.push(view.thumbnail));
+  });
+
+  return [...new Set(paths)];
+}
+
+// Replace the precache list in sw.js
+function replacePrecache(source, entries) {
+  const pattern = /\/\/ precache:start\n[\s\S]*?\/\/ precache:end/;
+
+  if (!pattern.test(source)) {
+    throw new Error(`${CONFIG.swPath} is missing the // precache:start and // precache:end markers`);
+  }
+
+  const list = entries.map(([sitePath, revision]) => `  ['${sitePath}', '${revision}']`).join(',\n');
+
+  return source.replace(pattern, () => `// precache:start\nconst PRECACHE = [\n${list}\n];\n// precache:end`);
+}
+
+async function main() {
+  console.log('🎨 Georgie Originals - Service Worker Precache\n');
+  console.log('='.repeat(60) + '\n');
+
+  try {
+    const entries = [];
+
+    for (const sitePath of await getPrecachePaths()) {
+      entries.push([sitePath, await hashFile(sitePath)]);
+    }
+
+    const source = await fs.readFile(CONFIG.swPath, 'utf8');
+    const updated = replacePrecache(source, entries);
+
+    if (updated === source) {
+      console.log(`✓ ${CONFIG.swPath} is up to date (${entries.length} files)`);
+      return;
+    }
+
+    await fs.writeFile(CONFIG.swPath, updated);
+    console.log(`✓ Wrote ${entries.length} files to the precache list in ${CONFIG.swPath}`);
+
+  } catch (error) {
+    console.error('✗ Fatal error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,321 @@
+/**
+ * Cart Module
+ * Keeps the originals and prints a visitor wants to buy, and starts checkout
+ * through /api/checkout
+ */
+
+const Cart = {
+  endpoint: '/api/checkout',
+  storageKey: 'georgie-originals-cart',
+  paintings: [],
+  items: [],                 // { paintingId, option, quantity }
+  dialog: null,
+  button: null,
+
+  /**
+   * Restore the saved cart and set up the cart button and dialog
+   * @param {Array} paintings - Array of painting objects
+   */
+  init(paintings) {
+    this.paintings = paintings;
+    this.button = document.querySelector('.cart-button');
+    this.items = this.getSaved();
+    this.prune();
+
+    this.createDialog();
+
+    if (this.button) {
+      this.button.addEventListener('click', () => this.open());
+    }
+
+    this.handleReturn();
+    this.update();
+  },
+
+  /**
+   * Check the cart again once the paintings have changed (e.g. the latest data has loaded)
+   */
+  refresh() {
+    this.prune();
+    this.save();
+    this.update();
+  },
+
+  /**
+   * Drop anything that can no longer be bought (e.g. an original that has sold), and
+   * keep limited editions to what's left of them
+   */
+  prune() {
+    this.items = this.items.filter(item => this.getLine(item));
+    this.items.forEach(item => { item.quantity = this.getLine(item).quantity; });
+  },
+
+  /**
+   * Read the cart saved on an earlier visit
+   * @returns {Array} Saved items
+   */
+  getSaved() {
+    try {
+      const items = JSON.parse(localStorage.getItem(this.storageKey));
+      return Array.isArray(items) ? items : [];
+    } catch (error) {
+      // Storage can be unavailable (e.g. private browsing) or hold something else
+      return [];
+    }
+  },
+
+  /**
+   * Remember the cart between visits
+   */
+  save() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.items));
+    } catch (error) {
+      // The cart just won't be remembered
+    }
+  },
+
+  /**
+   * Show a message after returning from the payment page
+   */
+  handleReturn() {
+    const result = Router.get('checkout');
+    if (!result) return;
+
+    Router.replace({ checkout: null });
+
+    if (result === 'success') {
+      this.items = [];
+      this.save();
+      this.open(I18n.t('cart.success'));
+    } else if (result === 'cancelled') {
+      this.open(I18n.t('cart.cancelled'));
+    }
+  },
+
+  /**
+   * Look up the painting and purchase option for a cart item
+   * @param {Object} item - Cart item
+   * @returns {Object|null} { painting, option, quantity }, or null if it can't be bought
+   */
+  getLine(item) {
+    const painting = item && this.paintings[Catalog.findIndex(this.paintings, item.paintingId)];
+    const option = painting && Catalog.findPurchaseOption(painting, item.option);
+
+    // A limited edition may have sold down since the item was added
+    return option ? { painting, option, quantity: Math.min(item.quantity || 1, Catalog.getMaxQuantity(option)) } : null;
+  },
+
+  /**
+   * Add a painting or print to the cart and show the cart
+   * @param {Object} painting - Painting data object
+   * @param {string} optionId - Catalog.ORIGINAL_OPTION or a print id
+   */
+  add(painting, optionId = Catalog.ORIGINAL_OPTION) {
+    const existing = this.items.find(item => item.paintingId === painting.id && item.option === optionId);
+    const option = Catalog.findPurchaseOption(painting, optionId);
+    let message = '';
+
+    if (!existing) {
+      this.items.push({ paintingId: painting.id, option: optionId, quantity: 1 });
+    } else if (option && existing.quantity < Catalog.getMaxQuantity(option)) {
+      existing.quantity += 1;
+    } else if (option && optionId !== Catalog.ORIGINAL_OPTION) {
+      // There is only one of each original, which needs no explaining
+      message = I18n.t('cart.onlyLeft', { count: existing.quantity });
+    }
+
+    this.save();
+    this.update();
+    this.open(message);
+  },
+
+  /**
+   * Remove an item from the cart
+   * @param {number} index - Index in items
+   */
+  remove(index) {
+    this.items.splice(index, 1);
+    this.save();
+    this.update();
+  },
+
+  /**
+   * Create the cart dialog
+   */
+  createDialog() {
+    if (this.dialog) return;
+
+    const dialog = createElement('dialog', { className: 'cart', 'aria-labelledby': 'cart-title' });
+
+    const closeBtn = createElement('button', {
+      type: 'button',
+      className: 'cart-close',
+      'aria-label': I18n.t('cart.close')
+    }, '×');
+    closeBtn.addEventListener('click', () => this.close());
+
+    const checkoutBtn = createElement('button', {
+      type: 'button',
+      className: 'contact-button cart-checkout'
+    }, I18n.t('cart.checkout'));
+    checkoutBtn.addEventListener('click', () => this.checkout());
+
+    dialog.appendChild(createElement('div', { className: 'cart-header' }, [
+      createElement('h2', { id: 'cart-title' }, I18n.t('cart.title')),
+      closeBtn
+    ]));
+    dialog.appendChild(createElement('p', { className: 'cart-message', role: 'status' }));
+    dialog.appendChild(createElement('ul', { className: 'cart-items' }));
+    dialog.appendChild(createElement('p', { className: 'cart-empty' }, I18n.t('cart.empty')));
+    dialog.appendChild(createElement('div', { className: 'cart-footer' }, [
+      createElement('p', { className: 'cart-total' }),
+      checkoutBtn
+    ]));
+
+    // Clicks on the backdrop land on the dialog itself
+    dialog.addEventListener('click', (e) => {
+      if (e.target === dialog) this.close();
+    });
+
+    document.body.appendChild(dialog);
+    this.dialog = dialog;
+  },
+
+  /**
+   * Show the cart
+   * @param {string} message - Message to show above the items (optional)
+   */
+  open(message = '') {
+    this.setMessage(message);
+
+    if (this.dialog.open) return;
+
+    // Browsers without <dialog> support still show it, just not as a modal
+    if (typeof this.dialog.showModal === 'function') {
+      this.dialog.showModal();
+    } else {
+      this.dialog.setAttribute('open', '');
+    }
+  },
+
+  /**
+   * Hide the cart
+   */
+  close() {
+    if (typeof this.dialog.close === 'function') {
+      this.dialog.close();
+    } else {
+      this.dialog.removeAttribute('open');
+    }
+  },
+
+  /**
+   * Show a message in the cart
+   * @param {string} text - Message text
+   * @param {string} type - 'error' or '' for information
+   */
+  setMessage(text, type = '') {
+    const message = this.dialog.querySelector('.cart-message');
+
+    message.textContent = text;
+    message.className = `cart-message${type ? ` cart-message-${type}` : ''}`;
+  },
+
+  /**
+   * Redraw the cart contents and the count on the cart button
+   */
+  update() {
+    const list = this.dialog.querySelector('.cart-items');
+    const lines = this.items.map(item => this.getLine(item));
+
+    list.innerHTML = '';
+
+    lines.forEach((line, index) => {
+      if (!line) return;
+
+      const removeBtn = createElement('button', {
+        type: 'button',
+        className: 'cart-remove',
+        'aria-label': I18n.t('cart.removeItem', { title: Catalog.getTitle(line.painting), option: line.option.label })
+      }, I18n.t('cart.remove'));
+      removeBtn.addEventListener('click', () => this.remove(index));
+
+      const quantity = line.quantity > 1 ? ` × ${line.quantity}` : '';
+
+      list.appendChild(createElement('li', { className: 'cart-item' }, [
+        Picture.create(Picture.getSquare(line.painting.thumbnail || line.painting.image), '64px', { alt: '', loading: 'lazy' }),
+        createElement('div', { className: 'cart-item-info' }, [
+          createElement('span', { className: 'cart-item-title' }, Catalog.getTitle(line.painting)),
+          createElement('span', { className: 'cart-item-option' }, `${line.option.label}${quantity}`)
+        ]),
+        createElement('span', { className: 'cart-item-price' },
+          Catalog.formatPrice({ ...line.option.price, amount: line.option.price.amount * line.quantity })
+        ),
+        removeBtn
+      ]));
+    });
+
+    const total = this.getTotal(lines.filter(Boolean));
+
+    this.dialog.querySelector('.cart-empty').hidden = this.items.length > 0;
+    this.dialog.querySelector('.cart-footer').hidden = this.items.length === 0;
+    this.dialog.querySelector('.cart-total').textContent = total ? I18n.t('cart.total', { total: Catalog.formatPrice(total) }) : '';
+
+    if (this.button) {
+      const count = this.items.reduce((sum, item) => sum + (item.quantity || 1), 0);
+
+      this.button.closest('li').hidden = count === 0;
+      this.button.querySelector('.cart-count').textContent = count;
+    }
+  },
+
+  /**
+   * Add up the cart
+   * @param {Array} lines - Lines from getLine()
+   * @returns {Object|null} Total price, or null if the cart is empty or mixes currencies
+   */
+  getTotal(lines) {
+    const currencies = new Set(lines.map(line => line.option.price.currency));
+    if (currencies.size !== 1) return null;
+
+    return {
+      currency: [...currencies][0],
+      amount: lines.reduce((sum, line) => sum + line.option.price.amount * line.quantity, 0)
+    };
+  },
+
+  /**
+   * Send the cart to the checkout API and go to the payment page
+   */
+  async checkout() {
+    const checkoutBtn = this.dialog.querySelector('.cart-checkout');
+
+    checkoutBtn.disabled = true;
+    this.setMessage(I18n.t('cart.starting'));
+
+    try {
+      const response = await fetch(this.endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        // The locale picks the language of the painting titles in error messages
+        body: JSON.stringify({ items: this.items, locale: I18n.current })
+      });
+      const result = await response.json().catch(() => ({}));
+
+      if (!response.ok || !result.url) {
+        // The API sends a message key, so the error is shown in the visitor's language
+        this.setMessage(I18n.translateError(result, 'cart.unavailable'), 'error');
+        checkoutBtn.disabled = false;
+        return;
+      }
+
+      window.location.assign(result.url);
+
+    } catch (error) {
+      console.error('Checkout error:', error);
+      this.setMessage(I18n.t('cart.offline'), 'error');
+      checkoutBtn.disabled = false;
+    }
+  }
+};
@@ -0,0 +1,650 @@
+/**
+ * Catalog Module
+ * Helpers for working with painting data, shared by the browser and Node scripts
+ */
+
+const Catalog = {
+  // I18n is a global in the browser; Node scripts load it from the same file
+  i18n: typeof I18n !== 'undefined' ? I18n : require('./i18n.js'),
+
+  /**
+   * Convert text into a URL-friendly slug
+   * @param {string} text - Text to convert (e.g. a painting title)
+   * @returns {string} Lowercase, hyphen-separated slug
+   */
+  slugify(text) {
+    return String(text)
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/['’]/g, '')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  },
+
+  /**
+   * Get the stable URL slug for a painting
+   * @param {Object} painting - Painting data object
+   * @returns {string} The painting's slug, derived from its title if not set
+   */
+  getSlug(painting) {
+    return painting.slug || this.slugify(painting.title);
+  },
+
+  /**
+   * Get a painting's title in a language, falling back to the English one
+   * @param {Object} painting - Painting data object
+   * @param {string} locale - Key of I18n.LOCALES (default: the current language)
+   * @returns {string} Title
+   */
+  getTitle(painting, locale = this.i18n.current) {
+    return this.i18n.localize(painting, 'title', locale);
+  },
+
+  /**
+   * Get a painting's description in a language, falling back to the English one
+   * @param {Object} painting - Painting data object
+   * @param {string} locale - Key of I18n.LOCALES (default: the current language)
+   * @returns {string|undefined} Description, if the painting has one
+   */
+  getDescription(painting, locale = this.i18n.current) {
+    return this.i18n.localize(painting, 'description', locale);
+  },
+
+  /**
+   * Get a painting's medium in a language, falling back to the English one
+   * @param {Object} painting - Painting data object
+   * @param {string} locale - Key of I18n.LOCALES (default: the current language)
+   * @returns {string|undefined} Medium, e.g. "Oil on Canvas", if the painting has one
+   */
+  getMedium(painting, locale = this.i18n.current) {
+    return this.i18n.localize(painting, 'medium', locale);
+  },
+
+  /**
+   * Get the path of a painting's own page (generated by build-static.js)
+   * @param {Object} painting - Painting data object
+   * @param {string} locale - Key of I18n.LOCALES (default: the current language)
+   * @returns {string} Page path, e.g. /paintings/blue-thunder/ or /fr/paintings/blue-thunder/
+   */
+  getPagePath(painting, locale = this.i18n.current) {
+    return this.i18n.getPath(`/paintings/${this.getSlug(painting)}/`, locale);
+  },
+
+  /**
+   * Get every view of a painting (e.g. front, side, detail, in a room)
+   * @param {Object} painting - Painting data object
+   * @param {string} locale - Key of I18n.LOCALES to label the main view in (default: the current language)
+   * @returns {Array} Objects with label, image, thumbnail and focalPoint (if set), main image first
+   */
+  getViews(painting, locale = this.i18n.current) {
+    return [
+      { label: this.i18n.t('view.main', {}, locale), image: painting.image, thumbnail: painting.thumbnail, focalPoint: painting.focalPoint },
+      ...(painting.views || [])
+    ];
+  },
+
+  /**
+   * Get the CSS object-position that keeps an image's focal point in view when it's cropped
+   * @param {Object} holder - Painting or view with an optional focalPoint ({ x, y } percentages)
+   * @returns {string} e.g. "50% 30%", or '' to use the default (centered)
+   */
+  getObjectPosition(holder) {
+    const { focalPoint } = holder;
+    return focalPoint ? `${focalPoint.x}% ${focalPoint.y}%` : '';
+  },
+
+  /**
+   * Get a painting's tags
+   * @param {Object} painting - Painting data object
+   * @returns {Array<string>} Tags, e.g. ['nature', 'night'] (empty if none)
+   */
+  getTags(painting) {
+    return painting.tags || [];
+  },
+
+  /**
+   * Format a tag for display
+   * @param {string} tag - Tag as stored, e.g. 'still-life'
+   * @returns {string} e.g. "still life"
+   */
+  formatTag(tag) {
+    return tag.replace(/-/g, ' ');
+  },
+
+  /**
+   * Find a series by slug
+   * @param {Array} seriesList - Contents of series.json
+   * @param {string} slug - Series slug, e.g. a painting's series field
+   * @returns {Object|null} Series with slug, title and description, or null if not found
+   */
+  findSeries(seriesList, slug) {
+    return (slug && seriesList.find(series => series.slug === slug)) || null;
+  },
+
+  /**
+   * Get the path of a series' own page (generated by build-static.js)
+   * @param {Object} series - Series from series.json
+   * @param {string} locale - Key of I18n.LOCALES (default: the current language)
+   * @returns {string} Page path, e.g. /series/fall/ or /fr/series/fall/
+   */
+  getSeriesPath(series, locale = this.i18n.current) {
+    return this.i18n.getPath(`/series/${series.slug}/`, locale);
+  },
+
+  /**
+   * Group paintings by series, in the order of series.json
+   * @param {Array} paintings - Array of painting objects
+   * @param {Array<number>} indices - Indices of the paintings to group, in display order (see query)
+   * @param {Array} seriesList - Contents of series.json
+   * @returns {Array} Groups with series (null for paintings outside any series, which come last)
+   *   and indices, leaving out series with no paintings
+   */
+  groupBySeries(paintings, indices, seriesList) {
+    const groups = [...seriesList, null].map(series => ({ series, indices: [] }));
+    const other = groups[groups.length - 1];
+
+    indices.forEach(index => {
+      const series = this.findSeries(seriesList, paintings[index].series);
+      (series ? groups[seriesList.indexOf(series)] : other).indices.push(index);
+    });
+
+    return groups.filter(group => group.indices.length > 0);
+  },
+
+  /**
+   * Find an exhibition by slug
+   * @param {Array} exhibitions - Contents of exhibitions.json
+   * @param {string} slug - Exhibition slug, e.g. one of a painting's exhibitions
+   * @returns {Object|null} Exhibition, or null if not found
+   */
+  findExhibition(exhibitions, slug) {
+    return (slug && exhibitions.find(exhibition => exhibition.slug === slug)) || null;
+  },
+
+  /**
+   * Sort exhibitions most recent first
+   * @param {Array} exhibitions - Exhibitions from exhibitions.json
+   * @returns {Array} Sorted copy
+   */
+  sortExhibitions(exhibitions) {
+    return [...exhibitions].sort((a, b) => b.start.localeCompare(a.start));
+  },
+
+  /**
+   * Get the exhibitions a painting has been shown in, most recent first
+   * @param {Object} painting - Painting data object
+   * @param {Array} exhibitions - Contents of exhibitions.json
+   * @returns {Array} Exhibitions, leaving out any missing from exhibitions.json
+   */
+  getExhibitions(painting, exhibitions) {
+    return this.sortExhibitions(
+      (painting.exhibitions || []).map(slug => this.findExhibition(exhibitions, slug)).filter(Boolean)
+    );
+  },
+
+  /**
+   * Format an exhibition's dates
+   * @param {Object} exhibition - Exhibition from exhibitions.json
+   * @param {string} locale - Key of I18n.LOCALES (default: the current language)
+   * @returns {string} e.g. "Mar 4 – Apr 20, 2023", or "Mar 4, 2023" for a one-day show
+   */
+  formatExhibitionDates(exhibition, locale = this.i18n.current) {
+    const format = new Intl.DateTimeFormat(this.i18n.getTag(locale), { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+    const start = new Date(`${exhibition.start}T00:00:00Z`);
+
+    return exhibition.end
+      ? format.formatRange(start, new Date(`${exhibition.end}T00:00:00Z`))
+      : format.format(start);
+  },
+
+  /**
+   * Describe where and when an exhibition was, to follow "Exhibited at"
+   * @param {Object} exhibition - Exhibition from exhibitions.json
+   * @param {string} locale - Key of I18n.LOCALES (default: the current language)
+   * @returns {string} e.g. "Ogden Museum, New Orleans (Spring Salon, Mar 4 – Apr 20, 2023)"
+   */
+  formatExhibition(exhibition, locale = this.i18n.current) {
+    const when = [exhibition.title, this.formatExhibitionDates(exhibition, locale)].filter(Boolean).join(', ');
+    return `${exhibition.venue}, ${exhibition.city} (${when})`;
+  },
+
+  /**
+   * Format a provenance date, which may be just a year or a month
+   * @param {string} value - YYYY, YYYY-MM or YYYY-MM-DD
+   * @param {string} locale - Key of I18n.LOCALES (default: the current language)
+   * @returns {string} e.g. "2021", "May 2021" or "May 3, 2021"
+   */
+  formatPartialDate(value, locale = this.i18n.current) {
+    const [year, month, day] = value.split('-');
+    if (!month) return year;
+
+    return new Date(`${year}-${month}-${day || '01'}T00:00:00Z`).toLocaleDateString(this.i18n.getTag(locale), {
+      month: 'short',
+      ...(day && { day: 'numeric' }),
+      year: 'numeric',
+      timeZone: 'UTC'
+    });
+  },
+
+  /**
+   * Format when an owner in a painting's provenance had it
+   * @param {Object} ownership - Entry of a painting's provenance
+   * @param {string} locale - Key of I18n.LOCALES (default: the current language)
+   * @returns {string} e.g. "2019–2021", "since 2021", "until 2021", or '' if no dates are known
+   */
+  formatOwnershipPeriod(ownership, locale = this.i18n.current) {
+    const from = ownership.from && this.formatPartialDate(ownership.from, locale);
+    const to = ownership.to && this.formatPartialDate(ownership.to, locale);
+
+    if (from && to) return `${from}–${to}`;
+    if (from) return this.i18n.t('provenance.since', { date: from }, locale);
+    return to ? this.i18n.t('provenance.until', { date: to }, locale) : '';
+  },
+
+  /**
+   * Get the label of a medium, size, sort order, status, unit or print material
+   * (the labels are in messages.js, e.g. 'medium.oil')
+   * @param {string} group - 'medium', 'size', 'sort', 'status', 'unit', 'unitName' or 'material'
+   * @param {string} key - Key of SIZES, SORTS, STATUSES or UNITS, or one of MEDIUMS or PRINT_MATERIALS
+   * @param {string} locale - Key of I18n.LOCALES (default: the current language)
+   * @returns {string} e.g. "Oil on Canvas"
+   */
+  getLabel(group, key, locale = this.i18n.current) {
+    return this.i18n.t(`${group}.${key}`, {}, locale);
+  },
+
+  /**
+   * Medium categories used for filtering
+   */
+  MEDIUMS: ['oil', 'acrylic', 'other'],
+
+  /**
+   * Units dimensions can be given and shown in
+   */
+  UNITS: {
+    in: { perInch: 1 },
+    cm: { perInch: 2.54 }
+  },
+
+  // Unit the paintings were measured in, and pre-rendered with by build-static.js
+  DEFAULT_UNIT: 'in',
+
+  /**
+   * Size categories used for filtering, by longest side in inches
+   */
+  SIZES: {
+    small: { maxInches: 30 },
+    medium: { maxInches: 40 },
+    large: { maxInches: Infinity }
+  },
+
+  /**
+   * Sort orders, keyed by the value used in the URL
+   */
+  SORTS: {
+    'year-desc': {
+      compare: (a, b) => (Number(b.year) || 0) - (Number(a.year) || 0)
+    },
+    'year-asc': {
+      compare: (a, b) => (Number(a.year) || 0) - (Number(b.year) || 0)
+    },
+    title: {
+      compare: (a, b) => Catalog.getTitle(a).localeCompare(Catalog.getTitle(b), Catalog.i18n.getTag())
+    },
+    'size-desc': {
+      compare: (a, b) => Catalog.getArea(b) - Catalog.getArea(a)
+    },
+    'size-asc': {
+      compare: (a, b) => Catalog.getArea(a) - Catalog.getArea(b)
+    }
+  },
+
+  /**
+   * Parse a dimensions string such as "36 x 24 inches" or "91 x 61 x 4 cm"
+   * @param {string} text - Dimensions text (width x height, optionally x depth)
+   * @returns {Object|null} Object with width, height, depth (if given) and unit ('in' or 'cm'), or null if unreadable
+   */
+  parseDimensions(text) {
+    const match = /([\d.]+)\s*[x×]\s*([\d.]+)(?:\s*[x×]\s*([\d.]+))?\s*(in|inches|"|cm|centimeters)?/i.exec(text || '');
+
+    if (!match) return null;
+
+    const dimensions = {
+      width: parseFloat(match[1]),
+      height: parseFloat(match[2])
+    };
+
+    if (match[3]) {
+      dimensions.depth = parseFloat(match[3]);
+    }
+
+    dimensions.unit = match[4] && match[4].toLowerCase().startsWith('c') ? 'cm' : 'in';
+
+    return dimensions;
+  },
+
+  /**
+   * Get a painting's dimensions
+   * @param {Object} painting - Painting data object
+   * @returns {Object|null} Object with width, height, depth (optional) and unit, or null if unknown
+   */
+  getDimensions(painting) {
+    const dimensions = painting.dimensions;
+
+    if (!dimensions) return null;
+
+    // Entries not yet migrated by migrate-dimensions.js still hold text
+    if (typeof dimensions === 'string') return this.parseDimensions(dimensions);
+
+    return dimensions;
+  },
+
+  /**
+   * Convert a length between units
+   * @param {number} value - Length
+   * @param {string} from - Key of UNITS the length is in
+   * @param {string} to - Key of UNITS to convert to
+   * @returns {number} Converted length
+   */
+  convert(value, from, to) {
+    return value / this.UNITS[from].perInch * this.UNITS[to].perInch;
+  },
+
+  /**
+   * Format dimensions for display, e.g. "36 × 24 in", or "91,4 × 61 cm" in French
+   * @param {Object} dimensions - Dimensions (see getDimensions)
+   * @param {string} unit - Key of UNITS to show them in (default: the unit they were measured in)
+   * @param {string} locale - Key of I18n.LOCALES (default: the current language)
+   * @returns {string} Formatted dimensions
+   */
+  formatDimensions(dimensions, unit = dimensions.unit, locale = this.i18n.current) {
+    const sides = [dimensions.width, dimensions.height, dimensions.depth]
+      .filter(value => value !== undefined)
+      // One decimal place at most, e.g. 36 in = 91.4 cm
+      .map(value => this.i18n.formatNumber(this.convert(value, dimensions.unit, unit), { maximumFractionDigits: 1 }, locale));
+
+    return `${sides.join(' × ')} ${this.getLabel('unit', unit, locale)}`;
+  },
+
+  /**
+   * Format dimensions in one unit with the other in brackets, e.g. "36 × 24 in (91.4 × 61 cm)"
+   * @param {Object} dimensions - Dimensions (see getDimensions)
+   * @param {string} unit - Key of UNITS to show first
+   * @param {string} locale - Key of I18n.LOCALES (default: the current language)
+   * @returns {string} Formatted dimensions
+   */
+  formatDimensionsInBothUnits(dimensions, unit = this.DEFAULT_UNIT, locale = this.i18n.current) {
+    const otherUnit = Object.keys(this.UNITS).find(key => key !== unit);
+    return `${this.formatDimensions(dimensions, unit, locale)} (${this.formatDimensions(dimensions, otherUnit, locale)})`;
+  },
+
+  /**
+   * Year, medium and dimensions joined for display under a painting
+   * @param {Object} painting - Painting data object
+   * @param {string} unit - Key of UNITS to show the dimensions in (default: DEFAULT_UNIT)
+   * @param {string} locale - Key of I18n.LOCALES (default: the current language)
+   * @returns {string} e.g. "2020 • Oil on Canvas • 36 × 24 in"
+   */
+  getDetailsText(painting, unit = this.DEFAULT_UNIT, locale = this.i18n.current) {
+    const dimensions = this.getDimensions(painting);
+
+    return [
+      painting.year,
+      this.getMedium(painting, locale),
+      dimensions ? this.formatDimensions(dimensions, unit, locale) : ''
+    ].filter(Boolean).join(' • ');
+  },
+
+  /**
+   * Sale statuses, keyed by the value of a painting's status field. Every status but
+   * available is shown as a badge on the painting; canExpire statuses can be given a
+   * statusUntil date, after which the painting is available again.
+   */
+  STATUSES: {
+    available: {},
+    hold: { canExpire: true },
+    reserved: { canExpire: true },
+    sold: {},
+    'not-for-sale': {},
+    'on-loan': { canExpire: true }
+  },
+
+  /**
+   * Get a painting's current status, treating an expired hold, reservation or loan as available
+   * @param {Object} painting - Painting data object
+   * @param {Date} now - Current time (default: now)
+   * @returns {string} Key of STATUSES
+   */
+  getStatus(painting, now = new Date()) {
+    const status = this.STATUSES[painting.status] ? painting.status : 'available';
+
+    // statusUntil is the last day (UTC) of the status, so builds and browsers agree
+    if (this.STATUSES[status].canExpire && painting.statusUntil &&
+        now.toISOString().slice(0, 10) > painting.statusUntil) {
+      return 'available';
+    }
+
+    return status;
+  },
+
+  /**
+   * Get the badge shown on a painting, e.g. "Sold" or "Reserved until Nov 30"
+   * @param {Object} painting - Painting data object
+   * @param {Date} now - Current time (default: now)
+   * @param {string} locale - Key of I18n.LOCALES (default: the current language)
+   * @returns {string} Badge text, or '' while the painting is available
+   */
+  getStatusBadge(painting, now = new Date(), locale = this.i18n.current) {
+    const status = this.getStatus(painting, now);
+
+    if (status === 'available') return '';
+
+    const badge = this.getLabel('status', status, locale);
+
+    if (!this.STATUSES[status].canExpire || !painting.statusUntil) return badge;
+
+    const date = new Date(`${painting.statusUntil}T00:00:00Z`)
+      .toLocaleDateString(this.i18n.getTag(locale), { month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+    return this.i18n.t('status.until', { status: badge, date }, locale);
+  },
+
+  // Purchase option id for the painting itself, as opposed to one of its prints
+  ORIGINAL_OPTION: 'original',
+
+  // What prints can be made on, as in a print's material field
+  PRINT_MATERIALS: ['paper', 'canvas'],
+
+  /**
+   * Format a price for display
+   * @param {Object} price - { amount, currency }, amount in whole currency units (e.g. dollars)
+   * @param {string} locale - Key of I18n.LOCALES (default: the current language)
+   * @returns {string} e.g. "$1,200", or "1 200 $US" in French
+   */
+  formatPrice(price, locale = this.i18n.current) {
+    return new Intl.NumberFormat(this.i18n.getTag(locale), {
+      style: 'currency',
+      currency: price.currency,
+      // Whole prices are shown without cents
+      ...(Number.isInteger(price.amount) && { minimumFractionDigits: 0 })
+    }).format(price.amount);
+  },
+
+  /**
+   * Get what can be bought of a painting: the original while it's available, and any
+   * prints that haven't sold out
+   * @param {Object} painting - Painting data object
+   * @param {Date} now - Current time, for expired holds (default: now)
+   * @returns {Array} Options with id, label and price, and for prints any size, material and edition
+   */
+  getPurchaseOptions(painting, now = new Date()) {
+    const options = [];
+
+    if (this.getStatus(painting, now) === 'available' && painting.price) {
+      options.push({ id: this.ORIGINAL_OPTION, label: this.i18n.t('purchase.original'), price: painting.price });
+    }
+
+    (painting.prints || []).forEach(print => {
+      if (this.getMaxQuantity(print) !== 0) {
+        options.push({ ...print });
+      }
+    });
+
+    return options;
+  },
+
+  /**
+   * Get how many of a purchase option one order can have
+   * @param {Object} option - Option from getPurchaseOptions(), or a print
+   * @returns {number} 1 for an original, what's left of a limited edition, or Infinity
+   */
+  getMaxQuantity(option) {
+    if (option.id === this.ORIGINAL_OPTION) return 1;
+    return option.edition ? option.edition.remaining : Infinity;
+  },
+
+  /**
+   * Size, material and edition of a print joined for display
+   * @param {Object} option - Option from getPurchaseOptions(), or a print
+   * @param {string} unit - Key of UNITS to show the size in (default: DEFAULT_UNIT)
+   * @param {string} locale - Key of I18n.LOCALES (default: the current language)
+   * @returns {string} e.g. "16 × 12 in • Fine art paper • Limited edition of 50, 12 left"
+   */
+  getPrintDetails(option, unit = this.DEFAULT_UNIT, locale = this.i18n.current) {
+    const edition = option.edition;
+
+    return [
+      option.size ? this.formatDimensions(option.size, unit, locale) : '',
+      this.PRINT_MATERIALS.includes(option.material) ? this.getLabel('material', option.material, locale) : '',
+      edition ? this.i18n.t('print.edition', { size: edition.size, remaining: edition.remaining }, locale) : ''
+    ].filter(Boolean).join(' • ');
+  },
+
+  /**
+   * Find one of a painting's purchase options
+   * @param {Object} painting - Painting data object
+   * @param {string} optionId - ORIGINAL_OPTION or the id of a print
+   * @returns {Object|null} Option from getPurchaseOptions(), or null if it can't be bought
+   */
+  findPurchaseOption(painting, optionId) {
+    return this.getPurchaseOptions(painting).find(option => option.id === optionId) || null;
+  },
+
+  /**
+   * Get a painting's surface area in square inches (0 if unknown)
+   * @param {Object} painting - Painting data object
+   * @returns {number} Area in square inches
+   */
+  getArea(painting) {
+    const size = this.getDimensions(painting);
+    if (!size) return 0;
+
+    return this.convert(size.width, size.unit, 'in') * this.convert(size.height, size.unit, 'in');
+  },
+
+  /**
+   * Get the size category of a painting
+   * @param {Object} painting - Painting data object
+   * @returns {string} Key of SIZES, or '' if the dimensions are unknown
+   */
+  getSizeCategory(painting) {
+    const size = this.getDimensions(painting);
+    if (!size) return '';
+
+    const longestSide = this.convert(Math.max(size.width, size.height), size.unit, 'in');
+
+    return Object.keys(this.SIZES).find(key => longestSide <= this.SIZES[key].maxInches);
+  },
+
+  /**
+   * Get the medium category of a painting
+   * @param {Object} painting - Painting data object
+   * @returns {string} One of MEDIUMS, or '' if no medium is set
+   */
+  getMediumCategory(painting) {
+    const medium = (painting.medium || '').toLowerCase();
+
+    if (!medium) return '';
+    if (medium.includes('oil')) return 'oil';
+    if (medium.includes('acrylic')) return 'acrylic';
+    return 'other';
+  },
+
+  /**
+   * Check whether a painting matches filter criteria
+   * @param {Object} painting - Painting data object
+   * @param {Object} criteria - Filter criteria (see query)
+   * @returns {boolean} True if the painting should be shown
+   */
+  matches(painting, criteria) {
+    if (criteria.status && this.getStatus(painting) !== criteria.status) return false;
+    if (criteria.medium && this.getMediumCategory(painting) !== criteria.medium) return false;
+    if (criteria.year && String(painting.year) !== String(criteria.year)) return false;
+    if (criteria.size && this.getSizeCategory(painting) !== criteria.size) return false;
+    if (criteria.series && painting.series !== criteria.series) return false;
+    if (criteria.tag && !this.getTags(painting).includes(criteria.tag)) return false;
+
+    // Titles and descriptions match in English as well as the visitor's language
+    const terms = (criteria.q || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const text = [
+      painting.title,
+      painting.description,
+      this.getTitle(painting),
+      this.getDescription(painting),
+      ...this.getTags(painting).map(tag => this.formatTag(tag))
+    ].filter(Boolean).join(' ').toLowerCase();
+
+    return terms.every(term => text.includes(term));
+  },
+
+  /**
+   * Filter and sort paintings
+   * @param {Array} paintings - Array of painting objects
+   * @param {Object} criteria - Filter criteria
+   * @param {string} criteria.status - Key of STATUSES, or '' for all
+   * @param {string} criteria.medium - One of MEDIUMS, or '' for all
+   * @param {string} criteria.year - Year, or '' for all
+   * @param {string} criteria.size - Key of SIZES, or '' for all
+   * @param {string} criteria.series - Series slug, or '' for all
+   * @param {string} criteria.tag - Tag, or '' for all
+   * @param {string} criteria.q - Free-text search over title, description and tags
+   * @param {string} criteria.sort - Key of SORTS, or '' for catalog order
+   * @returns {Array<number>} Indices of matching paintings, in display order
+   */
+  query(paintings, criteria = {}) {
+    const indices = paintings
+      .map((painting, index) => index)
+      .filter(index => this.matches(paintings[index], criteria));
+
+    const sort = this.SORTS[criteria.sort];
+
+    if (sort) {
+      // Fall back to catalog order so ties stay stable
+      indices.sort((a, b) => sort.compare(paintings[a], paintings[b]) || a - b);
+    }
+
+    return indices;
+  },
+
+  /**
+   * Find a painting by slug or id
+   * @param {Array} paintings - Array of painting objects
+   * @param {string|number} key - Slug or id to look up
+   * @returns {number} Index of the matching painting, or -1 if not found
+   */
+  findIndex(paintings, key) {
+    if (key === null || key === undefined || key === '') return -1;
+
+    const value = String(key);
+
+    return paintings.findIndex(painting =>
+      this.getSlug(painting) === value || String(painting.id) === value
+    );
+  }
+};
+
+// Allow Node scripts to share these helpers
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Catalog;
+}
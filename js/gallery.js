@@ -5,14 +5,34 @@
 
 const Gallery = {
   paintings: [],
+  series: [],
+  exhibitions: [],
   container: null,
+  visible: [],
+  criteria: {},
+  sources: {},
+  data: null,
+  toolbar: null,
+
+  // Data is saved for the next visit, and used when it can't be loaded (see fetchJSON)
+  fetchOptions: { cache: true },
+
+  // Filter criteria kept in the URL (see Catalog.query)
+  // (view is 'series' to group the gallery by series)
+  criteriaKeys: ['q', 'status', 'medium', 'year', 'size', 'series', 'tag', 'sort', 'view'],
+
+  // Rendered width of grid images, for choosing a responsive variant
+  imageSizes: '(max-width: 480px) 100vw, (max-width: 1200px) 50vw, 600px',
 
   /**
    * Initialize the gallery
    * @param {string} containerSelector - CSS selector for gallery container
    * @param {string} dataUrl - URL to paintings JSON file
+   * @param {string} imagesUrl - URL to the responsive image manifest (optional)
+   * @param {string} seriesUrl - URL to the series titles and descriptions (optional)
+   * @param {string} exhibitionsUrl - URL to the exhibitions paintings have been shown in (optional)
    */
-  async init(containerSelector, dataUrl) {
+  async init(containerSelector, dataUrl, imagesUrl = null, seriesUrl = null, exhibitionsUrl = null) {
     this.container = document.querySelector(containerSelector);
 
     if (!this.container) {
@@ -20,24 +40,174 @@ const Gallery = {
       return;
     }
 
+    this.sources = { paintings: dataUrl, images: imagesUrl, series: seriesUrl, exhibitions: exhibitionsUrl };
+
+    // Markup pre-rendered by build-static.js stays visible while loading
+    const prerendered = this.container.querySelector('.gallery-grid');
+
+    // On repeat visits the gallery starts from the data saved last time,
+    // and is updated once the latest has loaded
+    const saved = this.getSaved();
+
     try {
       // Show loading state
-      this.showLoading();
+      if (!prerendered && !saved) {
+        this.showLoading();
+      }
 
-      // Fetch paintings data
-      this.paintings = await fetchJSON(dataUrl);
+      const latest = this.load();
 
-      // Render gallery
-      this.render();
+      if (saved) {
+        // Handled before starting, so a failed load is never left unhandled if start() throws
+        latest.then(data => this.update(data))
+          .catch(error => console.error('Gallery update error:', error));
 
-      // Initialize lightbox with paintings data
-      if (typeof Lightbox !== 'undefined') {
-        Lightbox.init(this.paintings);
+        this.start(saved, prerendered);
+        return;
       }
 
+      this.start(await latest, prerendered);
+
     } catch (error) {
-      this.showError('Failed to load gallery. Please try again later.');
       console.error('Gallery initialization error:', error);
+
+      // The pre-rendered gallery still links to each painting's page
+      if (prerendered) return;
+
+      this.showError(I18n.t('gallery.error'), () => {
+        this.init(containerSelector, dataUrl, imagesUrl, seriesUrl, exhibitionsUrl);
+      });
+    }
+  },
+
+  /**
+   * Fetch the paintings, and the responsive image variants, series and exhibitions if available
+   * @returns {Promise<Object>} { paintings, images, series, exhibitions }
+   */
+  async load() {
+    const fetchOptional = url => url ? fetchJSON(url, this.fetchOptions).catch(() => null) : null;
+
+    const [paintings, images, series, exhibitions] = await Promise.all([
+      fetchJSON(this.sources.paintings, this.fetchOptions),
+      fetchOptional(this.sources.images),
+      fetchOptional(this.sources.series),
+      fetchOptional(this.sources.exhibitions)
+    ]);
+
+    return { paintings, images, series, exhibitions };
+  },
+
+  /**
+   * Get the data fetchJSON saved on an earlier visit
+   * @returns {Object|null} { paintings, images, series, exhibitions }, or null if the paintings weren't saved
+   */
+  getSaved() {
+    const paintings = getCachedJSON(this.sources.paintings);
+
+    if (!paintings) return null;
+
+    const getOptional = url => url ? getCachedJSON(url) : null;
+
+    return {
+      paintings,
+      images: getOptional(this.sources.images),
+      series: getOptional(this.sources.series),
+      exhibitions: getOptional(this.sources.exhibitions)
+    };
+  },
+
+  /**
+   * Render the gallery and start the modules that use its paintings
+   * @param {Object} data - { paintings, images, series, exhibitions } from load() or getSaved()
+   * @param {Element|null} prerendered - Grid pre-rendered by build-static.js, if any
+   */
+  start(data, prerendered) {
+    this.data = data;
+    this.paintings = data.paintings;
+    this.series = data.series || [];
+    this.exhibitions = data.exhibitions || [];
+    Picture.setManifest(data.images);
+
+    // Describe the artist and paintings to search engines
+    if (typeof StructuredData !== 'undefined') {
+      StructuredData.inject(StructuredData.forGallery(this.paintings));
+    }
+
+    // Restore filters from a shared link
+    this.criteria = this.getCriteriaFromUrl();
+
+    // Show dimensions in the visitor's preferred unit
+    if (typeof Units !== 'undefined') {
+      Units.init();
+      Units.onChange(() => this.render());
+    }
+
+    // Add filter toolbar above the gallery
+    if (typeof Toolbar !== 'undefined' && this.paintings.length > 0) {
+      this.toolbar = Toolbar.create(this.paintings, this.criteria, (changes) => this.filter(changes), this.series);
+      this.container.parentNode.insertBefore(this.toolbar, this.container);
+    }
+
+    // Render gallery, reusing the pre-rendered markup when it matches
+    if (!prerendered || !this.hydrate()) {
+      this.render();
+    }
+
+    // Cart, which the lightbox's Buy buttons add to
+    if (typeof Cart !== 'undefined') {
+      Cart.init(this.paintings);
+    }
+
+    // Contact form, which the lightbox fills in with the painting being viewed
+    if (typeof Inquiry !== 'undefined') {
+      Inquiry.init('#inquiry-form', this.paintings);
+    }
+
+    // Initialize lightbox with paintings data
+    if (typeof Lightbox !== 'undefined') {
+      Lightbox.init(this.paintings, this.visible);
+
+      // Open the painting named in a shared link, if any
+      Lightbox.syncWithUrl();
+    }
+  },
+
+  /**
+   * Show the latest data after starting from the saved copy, if it has changed
+   * @param {Object} data - { paintings, images, series, exhibitions } from load()
+   */
+  update(data) {
+    if (JSON.stringify(data) === JSON.stringify(this.data)) return;
+
+    this.data = data;
+
+    // The cart, contact form and lightbox keep a reference to the paintings
+    this.paintings.splice(0, this.paintings.length, ...data.paintings);
+    this.series = data.series || [];
+    this.exhibitions = data.exhibitions || [];
+    Picture.setManifest(data.images);
+
+    if (typeof StructuredData !== 'undefined') {
+      StructuredData.inject(StructuredData.forGallery(this.paintings));
+    }
+
+    // Filter options come from the paintings
+    if (this.toolbar) {
+      // The new toolbar has its own unit toggle
+      if (typeof Units !== 'undefined') {
+        this.toolbar.querySelectorAll('.unit-toggle').forEach(toggle => Units.removeToggle(toggle));
+      }
+
+      const toolbar = Toolbar.create(this.paintings, this.criteria, (changes) => this.filter(changes), this.series);
+      this.toolbar.replaceWith(toolbar);
+      this.toolbar = toolbar;
+    }
+
+    this.render();
+
+    // Originals in the cart may have sold, and editions sold down, since the saved copy
+    if (typeof Cart !== 'undefined') {
+      Cart.refresh();
     }
   },
 
@@ -45,15 +215,36 @@ const Gallery = {
    * Show loading state
    */
   showLoading() {
-    this.container.innerHTML = '<div class="gallery-loading">Loading gallery...</div>';
+    this.container.innerHTML = `<div class="gallery-loading">${I18n.t('gallery.loading')}</div>`;
+  },
+
+  /**
+   * Read filter criteria from the URL
+   * @returns {Object} Filter criteria
+   */
+  getCriteriaFromUrl() {
+    const criteria = {};
+
+    this.criteriaKeys.forEach(key => {
+      criteria[key] = Router.get(key) || '';
+    });
+
+    return criteria;
   },
 
   /**
    * Show error message
    * @param {string} message - Error message to display
+   * @param {Function} onRetry - Called by a Retry button under the message (optional)
    */
-  showError(message) {
+  showError(message, onRetry = null) {
     this.container.innerHTML = `<div class="gallery-error">${message}</div>`;
+
+    if (onRetry) {
+      const button = createElement('button', { type: 'button', className: 'cta-button gallery-retry' }, I18n.t('gallery.retry'));
+      button.addEventListener('click', onRetry);
+      this.container.appendChild(button);
+    }
   },
 
   /**
@@ -63,106 +254,268 @@ const Gallery = {
     this.container.innerHTML = '';
 
     if (!this.paintings || this.paintings.length === 0) {
-      this.showError('No paintings available at this time.');
+      this.showError(I18n.t('gallery.empty'));
+      return;
+    }
+
+    this.visible = Catalog.query(this.paintings, this.criteria);
+
+    // Lightbox navigation only walks the paintings that are shown
+    if (typeof Lightbox !== 'undefined') {
+      Lightbox.setSequence(this.visible);
+    }
+
+    if (typeof Toolbar !== 'undefined') {
+      Toolbar.setCount(this.visible.length, this.paintings.length);
+    }
+
+    if (this.visible.length === 0) {
+      this.container.innerHTML = `<div class="gallery-empty">${I18n.t('gallery.noMatches')}</div>`;
       return;
     }
 
+    if (this.isGrouped()) {
+      this.renderSeries();
+      return;
+    }
+
+    this.container.appendChild(this.createGrid(this.visible));
+  },
+
+  /**
+   * Check whether the gallery is shown in sections, one per series: when grouped by
+   * series, or when showing a single series (with its title and description)
+   * @returns {boolean} True if the gallery is grouped
+   */
+  isGrouped() {
+    return this.criteria.view === 'series' || Boolean(this.criteria.series);
+  },
+
+  /**
+   * Render the visible paintings in a section per series, paintings outside any series last
+   */
+  renderSeries() {
+    const groups = Catalog.groupBySeries(this.paintings, this.visible, this.series);
+
+    // Lightbox navigation follows the sections
+    this.visible = groups.flatMap(group => group.indices);
+
+    if (typeof Lightbox !== 'undefined') {
+      Lightbox.setSequence(this.visible);
+    }
+
+    groups.forEach(group => {
+      this.container.appendChild(this.createSection(group.series, group.indices));
+    });
+  },
+
+  /**
+   * Create a grid of gallery items
+   * @param {Array<number>} indices - Indices of the paintings to show, in order
+   * @returns {Element} Grid element
+   */
+  createGrid(indices) {
     const grid = createElement('div', { className: 'gallery-grid' });
 
-    this.paintings.forEach((painting, index) => {
-      const item = this.createGalleryItem(painting, index);
+    indices.forEach(index => {
+      const item = this.createGalleryItem(this.paintings[index], index);
       grid.appendChild(item);
     });
 
-    this.container.appendChild(grid);
+    return grid;
+  },
+
+  /**
+   * Create a section of the grouped gallery
+   * (build-static.js renders the same heading and description on series pages)
+   * @param {Object|null} series - Series from series.json, or null for paintings outside any series
+   * @param {Array<number>} indices - Indices of the paintings in the section, in order
+   * @returns {Element} Section element
+   */
+  createSection(series, indices) {
+    const section = createElement('section', {
+      className: 'gallery-series',
+      'aria-label': series ? I18n.localize(series, 'title') : I18n.t('gallery.otherPaintings')
+    });
+
+    const header = createElement('header', { className: 'gallery-series-header' });
+
+    // The heading links to the series on its own, e.g. to share it
+    const title = createElement('h3', { className: 'gallery-series-title' }, series
+      ? createElement('a', { href: Router.buildUrl({ series: series.slug }) }, I18n.localize(series, 'title'))
+      : I18n.t('gallery.otherPaintings'));
+    header.appendChild(title);
+
+    if (series && series.description) {
+      header.appendChild(createElement('p', { className: 'gallery-series-description' }, I18n.localize(series, 'description')));
+    }
+
+    section.appendChild(header);
+    section.appendChild(this.createGrid(indices));
+
+    if (series) {
+      title.querySelector('a').addEventListener('click', (e) => {
+        if (e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+        e.preventDefault();
+        this.filter({ series: series.slug });
+      });
+    }
+
+    return section;
+  },
+
+  /**
+   * Get the unit dimensions are shown in
+   * @returns {string} Key of Catalog.UNITS
+   */
+  getUnit() {
+    return typeof Units !== 'undefined' ? Units.current : Catalog.DEFAULT_UNIT;
+  },
+
+  /**
+   * Attach behavior to gallery markup pre-rendered by build-static.js
+   * @returns {boolean} False if the markup doesn't match the current filters and needs rendering
+   */
+  hydrate() {
+    const items = [...this.container.querySelectorAll('.gallery-item')];
+
+    this.visible = Catalog.query(this.paintings, this.criteria);
+
+    // The markup is a single grid
+    if (this.isGrouped()) return false;
+
+    // Status badges change when a hold expires after the page was built
+    const matches = items.length === this.visible.length &&
+      items.every((item, position) => {
+        const index = this.visible[position];
+        const badge = item.querySelector('.status-badge');
+
+        return Number(item.dataset.index) === index &&
+          (badge ? badge.textContent : '') === Catalog.getStatusBadge(this.paintings[index]);
+      });
+
+    // The markup shows dimensions in the default unit, and is in the page's language
+    if (!matches || this.getUnit() !== Catalog.DEFAULT_UNIT || I18n.current !== I18n.getPageLocale()) return false;
+
+    items.forEach(item => this.bindGalleryItem(item, Number(item.dataset.index)));
+
+    if (typeof Toolbar !== 'undefined') {
+      Toolbar.setCount(this.visible.length, this.paintings.length);
+    }
+
+    return true;
   },
 
   /**
    * Create a single gallery item
+   * (build-static.js renders the same markup; keep the two in step)
    * @param {Object} painting - Painting data object
    * @param {number} index - Index in paintings array
    * @returns {Element} Gallery item element
    */
   createGalleryItem(painting, index) {
-    const item = createElement('div', {
+    const item = createElement('a', {
       className: 'gallery-item',
-      dataset: { index }
+      href: Catalog.getPagePath(painting),
+      dataset: { index },
+      'aria-label': I18n.t('gallery.viewInLightbox', { title: Catalog.getTitle(painting) })
     });
 
     const figure = createElement('figure');
 
-    // Create image
-    const img = createElement('img', {
-      src: painting.thumbnail || painting.image,
-      alt: `${painting.title} by Georgie Originals`,
-      loading: 'lazy'
+    // Create image, cropped by the grid around the painting's focal point
+    const position = Catalog.getObjectPosition(painting);
+    const picture = Picture.create(painting.thumbnail || painting.image, this.imageSizes, {
+      alt: I18n.t('painting.alt', { title: Catalog.getTitle(painting) }),
+      loading: 'lazy',
+      ...(position && { style: `object-position: ${position}` })
     });
 
     // Create figcaption
     const figcaption = createElement('figcaption', { className: 'painting-info' });
 
-    const title = createElement('h3', { className: 'painting-title' }, painting.title);
+    const title = createElement('h3', { className: 'painting-title' }, Catalog.getTitle(painting));
     const details = createElement('p', { className: 'painting-details' });
 
-    const detailsText = [
-      painting.year,
-      painting.medium,
-      painting.dimensions
-    ].filter(Boolean).join(' • ');
-
-    details.textContent = detailsText;
+    details.textContent = Catalog.getDetailsText(painting, this.getUnit());
 
     figcaption.appendChild(title);
     figcaption.appendChild(details);
 
-    if (painting.available === false) {
-      const soldBadge = createElement('span', { className: 'sold-badge' }, 'Sold');
-      figcaption.appendChild(soldBadge);
+    const tags = Catalog.getTags(painting);
+
+    if (tags.length > 0) {
+      figcaption.appendChild(createElement('ul', { className: 'tag-list', 'aria-label': I18n.t('painting.tags') },
+        tags.map(tag => createElement('li', { className: 'tag' }, Catalog.formatTag(tag)))
+      ));
+    }
+
+    const badge = Catalog.getStatusBadge(painting);
+
+    if (badge) {
+      const statusBadge = createElement('span', {
+        className: `status-badge status-${Catalog.getStatus(painting)}`
+      }, badge);
+      figcaption.appendChild(statusBadge);
     }
 
-    figure.appendChild(img);
+    figure.appendChild(picture);
     figure.appendChild(figcaption);
     item.appendChild(figure);
 
-    // Add click handler to open lightbox
-    item.addEventListener('click', () => {
-      if (typeof Lightbox !== 'undefined') {
-        Lightbox.open(index);
+    this.bindGalleryItem(item, index);
+
+    return item;
+  },
+
+  /**
+   * Open the lightbox from a gallery item instead of following its link
+   * @param {Element} item - Gallery item element
+   * @param {number} index - Index in paintings array
+   */
+  bindGalleryItem(item, index) {
+    item.addEventListener('click', (e) => {
+      // Modified clicks open the painting's own page, e.g. in a new tab
+      if (typeof Lightbox === 'undefined' || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) {
+        return;
       }
-    });
 
-    // Add keyboard accessibility
-    item.setAttribute('tabindex', '0');
-    item.setAttribute('role', 'button');
-    item.setAttribute('aria-label', `View ${painting.title} in lightbox`);
+      e.preventDefault();
+      Lightbox.open(index);
+    });
 
+    // Links only activate with Enter; keep Space working too
     item.addEventListener('keydown', (e) => {
-      if (e.key === 'Enter' || e.key === ' ') {
+      if (e.key === ' ' && typeof Lightbox !== 'undefined') {
         e.preventDefault();
-        if (typeof Lightbox !== 'undefined') {
-          Lightbox.open(index);
-        }
+        Lightbox.open(index);
       }
     });
-
-    return item;
   },
 
   /**
-   * Filter paintings by availability
-   * @param {boolean|null} available - Filter by availability (null for all)
+   * Filter, sort and search the gallery
+   * @param {Object|string|boolean|null} changes - Criteria to change (see Catalog.query), or
+   *   a key of Catalog.STATUSES, true/false (available/sold) or null (all) to filter by status only
    */
-  filter(available = null) {
-    const items = this.container.querySelectorAll('.gallery-item');
+  filter(changes = null) {
+    if (changes === null || typeof changes === 'boolean') {
+      changes = { status: changes === null ? '' : (changes ? 'available' : 'sold') };
+    } else if (typeof changes === 'string') {
+      changes = { status: changes };
+    }
 
-    items.forEach((item, index) => {
-      const painting = this.paintings[index];
+    this.criteria = { ...this.criteria, ...changes };
 
-      if (available === null || painting.available === available) {
-        item.style.display = '';
-      } else {
-        item.style.display = 'none';
-      }
-    });
+    this.render();
+
+    // Changes can come from elsewhere, such as a tag in the lightbox
+    if (typeof Toolbar !== 'undefined') {
+      Toolbar.update(this.criteria);
+    }
+
+    // Keep the URL shareable without adding a history entry per keystroke
+    Router.replace(this.criteria);
   }
 };
@@ -0,0 +1,286 @@
+/**
+ * I18n Module
+ * Picks the visitor's language and translates the interface from the messages in
+ * messages.js, shared by the browser and Node scripts
+ */
+
+const I18n = {
+  // Messages is a global in the browser; Node scripts load it from the same file
+  messages: typeof Messages !== 'undefined' ? Messages : require('./messages.js'),
+
+  /**
+   * Languages the site is offered in, keyed by the value used in ?lang= and hreflang.
+   * tag is the BCP 47 locale numbers, prices and dates are formatted with.
+   */
+  LOCALES: {
+    en: { name: 'English', tag: 'en-US' },
+    fr: { name: 'Français', tag: 'fr-FR' }
+  },
+
+  // Language of paintings.json and of pages without a language prefix (others are under
+  // a folder named after their language, e.g. /fr/)
+  DEFAULT_LOCALE: 'en',
+
+  current: 'en',
+  storageKey: 'georgie-originals-locale',
+
+  // Query string parameter that picks a language, e.g. /?lang=fr
+  param: 'lang',
+
+  /**
+   * Pick the language from the URL, a saved choice or the browser's languages,
+   * then translate the page and add the language switcher
+   * @param {string} switcherSelector - CSS selector for the element to add the switcher to (optional)
+   */
+  init(switcherSelector = null) {
+    const requested = this.getRequested();
+
+    // Following a link to a language counts as choosing it
+    if (requested) {
+      this.save(requested);
+    }
+
+    this.current = requested || this.getSaved() || this.detect();
+    document.documentElement.lang = this.current;
+
+    this.translatePage();
+
+    const container = switcherSelector && document.querySelector(switcherSelector);
+
+    if (container) {
+      container.appendChild(this.createSwitcher());
+      container.hidden = false;
+    }
+  },
+
+  /**
+   * Read the language named in the URL, with ?lang= or the page's folder (e.g. /fr/)
+   * @returns {string|null} Key of LOCALES, or null if none (or an unknown one) was given
+   */
+  getRequested() {
+    const locale = Router.get(this.param);
+
+    if (this.LOCALES[locale]) return locale;
+
+    const pageLocale = this.getPageLocale();
+    return pageLocale !== this.DEFAULT_LOCALE ? pageLocale : null;
+  },
+
+  /**
+   * Get the language a page generated by build-static.js is written in, from its folder
+   * @param {string} pathname - Path of the page (default: the current page's)
+   * @returns {string} Key of LOCALES, e.g. "fr" for /fr/
+   */
+  getPageLocale(pathname = window.location.pathname) {
+    const folder = pathname.split('/')[1];
+    return folder !== this.DEFAULT_LOCALE && this.LOCALES[folder] ? folder : this.DEFAULT_LOCALE;
+  },
+
+  /**
+   * Read the language the visitor chose on an earlier visit
+   * @returns {string|null} Key of LOCALES, or null if none was saved
+   */
+  getSaved() {
+    try {
+      const locale = localStorage.getItem(this.storageKey);
+      return this.LOCALES[locale] ? locale : null;
+    } catch (error) {
+      // Storage can be unavailable (e.g. private browsing)
+      return null;
+    }
+  },
+
+  /**
+   * Remember the visitor's language
+   * @param {string} locale - Key of LOCALES
+   */
+  save(locale) {
+    try {
+      localStorage.setItem(this.storageKey, locale);
+    } catch (error) {
+      // The choice just won't be remembered
+    }
+  },
+
+  /**
+   * Pick the first of the browser's languages the site is offered in
+   * @param {Array<string>} languages - BCP 47 locales, most preferred first (default: the browser's)
+   * @returns {string} Key of LOCALES
+   */
+  detect(languages = navigator.languages || [navigator.language]) {
+    for (const language of languages) {
+      try {
+        // "fr-CA" is offered as "fr"
+        const locale = new Intl.Locale(language).language;
+        if (this.LOCALES[locale]) return locale;
+      } catch (error) {
+        // Unknown locale or no Intl.Locale support
+      }
+    }
+
+    return this.DEFAULT_LOCALE;
+  },
+
+  /**
+   * Get the BCP 47 locale to format numbers and dates with
+   * @param {string} locale - Key of LOCALES (default: the current language)
+   * @returns {string} e.g. "fr-FR"
+   */
+  getTag(locale = this.current) {
+    return (this.LOCALES[locale] || this.LOCALES[this.DEFAULT_LOCALE]).tag;
+  },
+
+  /**
+   * Translate a message
+   * @param {string} key - Message key, e.g. 'gallery.loading'
+   * @param {Object} params - Values for the message's {placeholders}; count also picks the plural form
+   * @param {string} locale - Key of LOCALES (default: the current language)
+   * @returns {string} Translated text, the English text if it hasn't been translated, or the key if unknown
+   */
+  t(key, params = {}, locale = this.current) {
+    const messages = this.messages[locale] || {};
+    const fallback = this.messages[this.DEFAULT_LOCALE];
+    let message = key in messages ? messages[key] : fallback[key];
+
+    if (message === undefined) return key;
+
+    if (typeof message === 'object') {
+      const form = new Intl.PluralRules(this.getTag(locale)).select(params.count);
+      message = message[form] || message.other;
+    }
+
+    return this.interpolate(message, params, locale);
+  },
+
+  /**
+   * Check that a message exists
+   * @param {string} key - Message key
+   * @returns {boolean} True if the key is in the English messages
+   */
+  has(key) {
+    return Object.prototype.hasOwnProperty.call(this.messages[this.DEFAULT_LOCALE], key);
+  },
+
+  /**
+   * Translate an error the API sent as a message key and its parameters
+   * @param {Object} error - { code, params } from the response
+   * @param {string} fallback - Key of the message shown when the code is missing or unknown
+   * @param {string} locale - Key of LOCALES (default: the current language)
+   * @returns {string} Translated message
+   */
+  translateError({ code, params } = {}, fallback, locale = this.current) {
+    return this.has(code) ? this.t(code, params || {}, locale) : this.t(fallback, {}, locale);
+  },
+
+  /**
+   * Fill in a message's {placeholders}, formatting numbers for the language
+   * @param {string} text - Message text
+   * @param {Object} params - Values keyed by placeholder name; unknown placeholders are left as they are
+   * @param {string} locale - Key of LOCALES (default: the current language)
+   * @returns {string} Text with the placeholders replaced
+   */
+  interpolate(text, params = {}, locale = this.current) {
+    return text.replace(/\{(\w+)\}/g, (match, name) => {
+      if (!(name in params)) return match;
+
+      const value = params[name];
+      return typeof value === 'number' ? this.formatNumber(value, {}, locale) : String(value);
+    });
+  },
+
+  /**
+   * Format a number for a language, e.g. 91.4 as "91,4" in French
+   * @param {number} value - Number to format
+   * @param {Object} options - Intl.NumberFormat options
+   * @param {string} locale - Key of LOCALES (default: the current language)
+   * @returns {string} Formatted number
+   */
+  formatNumber(value, options = {}, locale = this.current) {
+    return new Intl.NumberFormat(this.getTag(locale), options).format(value);
+  },
+
+  /**
+   * Get a translated field of a painting or series, falling back to the English one
+   * @param {Object} item - Painting or series with optional translations, e.g. { fr: { title } }
+   * @param {string} field - Field name, e.g. 'title' or 'description'
+   * @param {string} locale - Key of LOCALES (default: the current language)
+   * @returns {string|undefined} The field in that language, or as written in the data file
+   */
+  localize(item, field, locale = this.current) {
+    const translation = item.translations && item.translations[locale];
+    return (translation && translation[field]) || item[field];
+  },
+
+  /**
+   * Get the path of a page generated by build-static.js in a language
+   * @param {string} path - Path of the English page, e.g. /paintings/fall/
+   * @param {string} locale - Key of LOCALES (default: the current language)
+   * @returns {string} e.g. /fr/paintings/fall/
+   */
+  getPath(path, locale = this.current) {
+    return locale === this.DEFAULT_LOCALE ? path : `/${locale}${path}`;
+  },
+
+  /**
+   * Translate the page's own text, marked up with data-i18n (text content) and
+   * data-i18n-attr (attributes, e.g. "aria-label:nav.label,content:site.description")
+   * @param {Element|Document} root - Element to translate inside (default: the whole page)
+   */
+  translatePage(root = document) {
+    // The page is already written in this language
+    if (this.current === this.getPageLocale()) return;
+
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+      element.textContent = this.t(element.dataset.i18n);
+    });
+
+    root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+      element.dataset.i18nAttr.split(',').forEach(pair => {
+        const [attribute, key] = pair.split(':').map(part => part.trim());
+        element.setAttribute(attribute, this.t(key));
+      });
+    });
+  },
+
+  /**
+   * Build the URL of the home page in a language, keeping the painting and filters being
+   * viewed. Other languages have their own page (e.g. /fr/); the English one is asked for
+   * with ?lang=en, as it otherwise follows the language the visitor chose before.
+   * @param {string} locale - Key of LOCALES
+   * @returns {string} Relative URL
+   */
+  buildHomeUrl(locale) {
+    const param = locale === this.DEFAULT_LOCALE ? locale : null;
+    return Router.buildUrl({ [this.param]: param }, this.getPath('/', locale));
+  },
+
+  /**
+   * Create links for switching language. Switching reloads the page, keeping the
+   * painting and filters being viewed, as every module builds its text when it renders.
+   * @returns {Element} List of links, one per language
+   */
+  createSwitcher() {
+    return createElement('ul', {
+      className: 'locale-switcher',
+      'aria-label': this.t('locale.label')
+    }, Object.entries(this.LOCALES).map(([locale, { name }]) => {
+      const link = createElement('a', {
+        href: this.buildHomeUrl(locale),
+        hreflang: locale,
+        lang: locale,
+        ...(locale === this.current && { 'aria-current': 'true' })
+      }, name);
+
+      // The URL may have changed (e.g. filters) since the link was made
+      link.addEventListener('click', () => {
+        link.href = this.buildHomeUrl(locale);
+      });
+
+      return createElement('li', {}, link);
+    }));
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = I18n;
+}
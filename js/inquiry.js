@@ -0,0 +1,252 @@
+/**
+ * Inquiry Module
+ * The contact form, pre-filled with the painting a visitor is asking about.
+ * getKind() and validate() are shared with the api/inquire.js serverless function.
+ */
+
+const Inquiry = {
+  // Catalog and I18n are globals in the browser; Node loads them from the same files
+  catalog: typeof Catalog !== 'undefined' ? Catalog : require('./catalog.js'),
+  i18n: typeof I18n !== 'undefined' ? I18n : require('./i18n.js'),
+
+  endpoint: '/api/inquire',
+  form: null,
+
+  // What the visitor is asking for (the label of the button that starts it is inquiry.<kind> in messages.js)
+  kinds: ['general', 'inquiry', 'similar'],
+
+  // Maximum lengths of the visitor's fields
+  limits: {
+    name: 100,
+    email: 254,
+    message: 5000
+  },
+
+  // Hidden from people; bots that fill in every field give themselves away
+  honeypotField: 'website',
+
+  /**
+   * Pick what a visitor would ask about a painting
+   * @param {Object|null} painting - Painting data object, or null for a general message
+   * @returns {string} One of kinds
+   */
+  getKind(painting) {
+    if (!painting) return 'general';
+
+    // Held, reserved and loaned paintings may still become available
+    const status = this.catalog.getStatus(painting);
+    return status === 'sold' || status === 'not-for-sale' ? 'similar' : 'inquiry';
+  },
+
+  /**
+   * Get the label of the button that asks about a painting
+   * @param {Object|null} painting - Painting data object, or null for a general message
+   * @param {string} locale - Key of I18n.LOCALES (default: the current language)
+   * @returns {string} e.g. "Inquire about this piece"
+   */
+  getLabel(painting, locale = this.i18n.current) {
+    return this.i18n.t(`inquiry.${this.getKind(painting)}`, {}, locale);
+  },
+
+  /**
+   * Check and tidy submitted fields
+   * @param {Object} fields - Submitted fields (name, email, message, paintingId)
+   * @param {string} locale - Key of I18n.LOCALES for the messages (default: the current language)
+   * @returns {{values: Object, errors: Object, codes: Object}} Trimmed values, and error messages
+   *   keyed by field, along with the { code, params } each was translated from (sent by the API)
+   */
+  validate(fields = {}, locale = this.i18n.current) {
+    const text = key => (typeof fields[key] === 'string' ? fields[key].trim() : '');
+    const values = {
+      name: text('name').replace(/\s+/g, ' '),
+      email: text('email'),
+      message: text('message'),
+      paintingId: null
+    };
+    const codes = {};
+
+    if (!values.name) {
+      codes.name = { code: 'inquiry.nameRequired', params: {} };
+    }
+
+    if (!values.email) {
+      codes.email = { code: 'inquiry.emailRequired', params: {} };
+    } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(values.email)) {
+      codes.email = { code: 'inquiry.emailInvalid', params: {} };
+    }
+
+    if (!values.message) {
+      codes.message = { code: 'inquiry.messageRequired', params: {} };
+    }
+
+    Object.entries(this.limits).forEach(([key, limit]) => {
+      if (values[key].length > limit) {
+        codes[key] = { code: 'inquiry.tooLong', params: { limit } };
+      }
+    });
+
+    if (fields.paintingId !== undefined && fields.paintingId !== null && fields.paintingId !== '') {
+      const id = Number(fields.paintingId);
+
+      if (Number.isInteger(id) && id > 0) {
+        values.paintingId = id;
+      } else {
+        codes.paintingId = { code: 'inquiry.unknownPainting', params: {} };
+      }
+    }
+
+    return { values, errors: this.translateErrors(codes, locale), codes };
+  },
+
+  /**
+   * Translate field errors sent as message keys and their parameters
+   * @param {Object} codes - { code, params } keyed by field
+   * @param {string} locale - Key of I18n.LOCALES (default: the current language)
+   * @returns {Object} Error messages keyed by field
+   */
+  translateErrors(codes = {}, locale = this.i18n.current) {
+    return Object.fromEntries(Object.entries(codes).map(([field, error]) =>
+      [field, this.i18n.translateError(error, 'inquiry.invalid', locale)]
+    ));
+  },
+
+  /**
+   * Set up the contact form
+   * @param {string} formSelector - CSS selector for the form
+   * @param {Array} paintings - Array of painting objects
+   */
+  init(formSelector, paintings = []) {
+    this.form = document.querySelector(formSelector);
+
+    if (!this.form) return;
+
+    // The form needs JavaScript; without it the mailto link is the only option
+    this.form.hidden = false;
+
+    this.form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.submit();
+    });
+
+    this.form.querySelector('.inquiry-about-clear').addEventListener('click', () => {
+      this.setPainting(null);
+    });
+
+    // Pre-rendered painting pages link to /?inquire=slug#contact
+    const index = Catalog.findIndex(paintings, Router.get('inquire'));
+
+    if (index !== -1) {
+      this.setPainting(paintings[index]);
+      Router.replace({ inquire: null });
+    }
+  },
+
+  /**
+   * Show the form, pre-filled with a painting
+   * @param {Object|null} painting - Painting data object, or null for a general message
+   */
+  open(painting) {
+    if (!this.form) return;
+
+    this.setPainting(painting);
+    this.form.closest('section').scrollIntoView({
+      behavior: prefersReducedMotion() ? 'auto' : 'smooth',
+      block: 'start'
+    });
+    this.form.elements.name.focus({ preventScroll: true });
+  },
+
+  /**
+   * Set or clear the painting the message is about
+   * @param {Object|null} painting - Painting data object
+   */
+  setPainting(painting) {
+    const kind = this.getKind(painting);
+    const about = this.form.querySelector('.inquiry-about');
+
+    this.form.elements.paintingId.value = painting ? painting.id : '';
+
+    about.hidden = !painting;
+    about.querySelector('.inquiry-about-title').textContent = painting
+      ? I18n.t(kind === 'similar' ? 'inquiry.aboutSimilar' : 'inquiry.about', { title: Catalog.getTitle(painting) })
+      : '';
+
+    this.form.querySelector('.inquiry-submit').textContent = this.getLabel(painting);
+  },
+
+  /**
+   * Validate and send the form
+   */
+  async submit() {
+    const fields = Object.fromEntries(new FormData(this.form));
+    const { errors } = this.validate(fields);
+    const submitBtn = this.form.querySelector('.inquiry-submit');
+
+    this.showErrors(errors);
+
+    if (Object.keys(errors).length > 0) {
+      const firstInvalid = this.form.querySelector('[aria-invalid="true"]');
+      if (firstInvalid) firstInvalid.focus();
+      return;
+    }
+
+    submitBtn.disabled = true;
+    this.setStatus(I18n.t('inquiry.sending'));
+
+    try {
+      const response = await fetch(this.endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(fields)
+      });
+      const result = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        // The API sends message keys, so the errors are shown in the visitor's language
+        this.showErrors(this.translateErrors(result.codes));
+        this.setStatus(I18n.translateError(result, 'inquiry.failed'), 'error');
+        return;
+      }
+
+      this.form.reset();
+      this.setPainting(null);
+      this.setStatus(I18n.t('inquiry.sent'), 'success');
+
+    } catch (error) {
+      console.error('Inquiry error:', error);
+      this.setStatus(I18n.t('inquiry.offline'), 'error');
+    } finally {
+      submitBtn.disabled = false;
+    }
+  },
+
+  /**
+   * Mark invalid fields and show their messages
+   * @param {Object} errors - Error messages keyed by field name
+   */
+  showErrors(errors) {
+    Object.keys(this.limits).forEach(key => {
+      const input = this.form.elements[key];
+      const message = this.form.querySelector(`#inquiry-${key}-error`);
+
+      input.setAttribute('aria-invalid', String(Boolean(errors[key])));
+      message.textContent = errors[key] || '';
+    });
+  },
+
+  /**
+   * Announce the result of sending
+   * @param {string} text - Status message
+   * @param {string} type - 'success', 'error' or '' while sending
+   */
+  setStatus(text, type = '') {
+    const status = this.form.querySelector('.inquiry-status');
+
+    status.textContent = text;
+    status.className = `inquiry-status${type ? ` inquiry-status-${type}` : ''}`;
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Inquiry;
+}
@@ -5,20 +5,44 @@
 
 const Lightbox = {
   paintings: [],
+  sequence: [],
   currentIndex: 0,
+  viewIndex: 0,
   element: null,
   isOpen: false,
+  scaleMode: false,
+  pageTitle: '',
+  opener: null,              // Element that had focus before opening, focused again on close
+  inertElements: [],         // Page content made inert while open
+  releaseFocus: null,        // Removes the focus trap
+
+  // Rendered width of the lightbox image, for choosing a responsive variant
+  imageSizes: '90vw',
+
+  // Rendered width of the thumbnails for switching between views
+  viewThumbnailSizes: '64px',
 
   /**
    * Initialize the lightbox
    * @param {Array} paintings - Array of painting objects
+   * @param {Array<number>} sequence - Indices of paintings to navigate through (default: all)
    */
-  init(paintings) {
+  init(paintings, sequence = null) {
     this.paintings = paintings;
+    this.pageTitle = document.title;
+    this.setSequence(sequence || paintings.map((painting, index) => index));
     this.createLightbox();
     this.attachEvents();
   },
 
+  /**
+   * Set which paintings prev/next navigate through, and in what order
+   * @param {Array<number>} sequence - Painting indices in display order
+   */
+  setSequence(sequence) {
+    this.sequence = sequence;
+  },
+
   /**
    * Create lightbox DOM structure
    */
@@ -30,6 +54,7 @@ const Lightbox = {
       className: 'lightbox',
       role: 'dialog',
       'aria-modal': 'true',
+      'aria-labelledby': 'lightbox-title',
       'aria-hidden': 'true'
     });
 
@@ -39,34 +64,45 @@ const Lightbox = {
 
     const closeBtn = createElement('button', {
       className: 'lightbox-close',
-      'aria-label': 'Close lightbox'
+      'aria-label': I18n.t('lightbox.close')
     }, '×');
 
     const prevBtn = createElement('button', {
       className: 'lightbox-prev',
-      'aria-label': 'Previous painting'
+      'aria-label': I18n.t('lightbox.previous')
     }, '‹');
 
     const nextBtn = createElement('button', {
       className: 'lightbox-next',
-      'aria-label': 'Next painting'
+      'aria-label': I18n.t('lightbox.next')
     }, '›');
 
     const imageContainer = createElement('div', { className: 'lightbox-image-container' });
-    const img = createElement('img', {
+    const picture = createElement('picture', {}, createElement('img', {
       className: 'lightbox-image',
-      alt: ''
-    });
+      alt: '',
+      draggable: 'false'
+    }));
+
+    // The stage is what Zoom scales and moves
+    const stage = createElement('div', { className: 'zoom-stage' }, picture);
+    imageContainer.appendChild(stage);
 
-    imageContainer.appendChild(img);
+    // Shown instead of the image in "view to scale" mode
+    const scaleContainer = createElement('div', { className: 'lightbox-scale', hidden: '' });
 
     const infoContainer = createElement('div', { className: 'lightbox-info' });
 
+    // Tells screen reader users which painting they moved to
+    const status = createElement('div', { className: 'lightbox-status sr-only', role: 'status' });
+
     content.appendChild(closeBtn);
     content.appendChild(prevBtn);
     content.appendChild(nextBtn);
     content.appendChild(imageContainer);
+    content.appendChild(scaleContainer);
     content.appendChild(infoContainer);
+    content.appendChild(status);
 
     lightbox.appendChild(overlay);
     lightbox.appendChild(content);
@@ -97,9 +133,21 @@ const Lightbox = {
     prevBtn.addEventListener('click', () => this.prev());
     nextBtn.addEventListener('click', () => this.next());
 
+    // Pinch, double-tap and scroll-wheel zoom
+    if (typeof Zoom !== 'undefined') {
+      Zoom.attach(
+        this.element.querySelector('.lightbox-image-container'),
+        this.element.querySelector('.zoom-stage')
+      );
+    }
+
     // Keyboard navigation
     document.addEventListener('keydown', (e) => {
-      if (!this.isOpen) return;
+      // Keys pressed in a dialog opened over the lightbox (e.g. the cart) belong to it
+      if (!this.isOpen || (e.target.closest && e.target.closest('dialog'))) return;
+
+      // Arrow keys move between the print choices, rather than the paintings
+      if (e.target.tagName === 'INPUT' && e.key !== 'Escape') return;
 
       switch (e.key) {
         case 'Escape':
@@ -111,6 +159,16 @@ const Lightbox = {
         case 'ArrowRight':
           this.next();
           break;
+        case '+':
+        case '=':
+          if (typeof Zoom !== 'undefined') Zoom.zoomBy(1.5);
+          break;
+        case '-':
+          if (typeof Zoom !== 'undefined') Zoom.zoomBy(1 / 1.5);
+          break;
+        case '0':
+          if (typeof Zoom !== 'undefined') Zoom.reset();
+          break;
       }
     });
 
@@ -118,16 +176,21 @@ const Lightbox = {
     let touchStartX = 0;
     let touchEndX = 0;
 
-    const imageContainer = this.element.querySelector('.lightbox-image-container');
+    const swipeAreas = this.element.querySelectorAll('.lightbox-image-container, .lightbox-scale');
 
-    imageContainer.addEventListener('touchstart', (e) => {
-      touchStartX = e.changedTouches[0].screenX;
-    }, { passive: true });
+    swipeAreas.forEach(area => {
+      area.addEventListener('touchstart', (e) => {
+        touchStartX = e.changedTouches[0].screenX;
+      }, { passive: true });
 
-    imageContainer.addEventListener('touchend', (e) => {
-      touchEndX = e.changedTouches[0].screenX;
-      this.handleSwipe(touchStartX, touchEndX);
-    }, { passive: true });
+      area.addEventListener('touchend', (e) => {
+        touchEndX = e.changedTouches[0].screenX;
+        this.handleSwipe(touchStartX, touchEndX);
+      }, { passive: true });
+    });
+
+    // Browser back/forward buttons
+    Router.onChange(() => this.syncWithUrl());
   },
 
   /**
@@ -139,6 +202,9 @@ const Lightbox = {
     const swipeThreshold = 50;
     const diff = startX - endX;
 
+    // Dragging a zoomed image or pinching isn't a swipe
+    if (typeof Zoom !== 'undefined' && Zoom.isGesturing()) return;
+
     if (Math.abs(diff) > swipeThreshold) {
       if (diff > 0) {
         this.next();
@@ -148,14 +214,45 @@ const Lightbox = {
     }
   },
 
+  /**
+   * Open or close the lightbox to match the painting named in the URL
+   */
+  syncWithUrl() {
+    const index = Catalog.findIndex(this.paintings, Router.get('painting'));
+
+    if (index === -1) {
+      if (this.isOpen) {
+        this.close({ updateHistory: false });
+      }
+    } else if (this.isOpen) {
+      this.currentIndex = index;
+      this.updateContent();
+      this.announce();
+    } else {
+      this.open(index, { updateHistory: false });
+    }
+  },
+
   /**
    * Open lightbox at specific index
    * @param {number} index - Painting index to display
+   * @param {Object} options - Options
+   * @param {boolean} options.updateHistory - Add a history entry for the painting (default: true)
    */
-  open(index) {
+  open(index, { updateHistory = true } = {}) {
+    if (!this.isOpen) {
+      this.opener = document.activeElement;
+      this.setBackgroundInert(true);
+      this.releaseFocus = trapFocus(this.element);
+    }
+
     this.currentIndex = index;
     this.isOpen = true;
 
+    if (updateHistory) {
+      Router.push({ painting: this.getCurrentSlug() }, { lightbox: true });
+    }
+
     this.element.classList.add('active');
     this.element.setAttribute('aria-hidden', 'false');
 
@@ -166,37 +263,180 @@ const Lightbox = {
     // Focus the close button for accessibility
     const closeBtn = this.element.querySelector('.lightbox-close');
     closeBtn.focus();
-
-    // Trap focus within lightbox
-    trapFocus(this.element);
   },
 
   /**
    * Close lightbox
+   * @param {Object} options - Options
+   * @param {boolean} options.updateHistory - Remove the painting from the URL (default: true)
    */
-  close() {
+  close({ updateHistory = true } = {}) {
+    if (!this.isOpen) return;
+
     this.isOpen = false;
+    this.scaleMode = false;
+
+    if (typeof Zoom !== 'undefined') {
+      Zoom.reset();
+    }
 
     this.element.classList.remove('active');
     this.element.setAttribute('aria-hidden', 'true');
 
     document.body.style.overflow = '';
+    document.title = this.pageTitle;
+
+    this.releaseFocus();
+    this.releaseFocus = null;
+    this.setBackgroundInert(false);
+    this.restoreFocus();
+
+    if (updateHistory) {
+      if (history.state && history.state.lightbox) {
+        // Return to the entry open() pushed from, so Back doesn't reopen the painting
+        history.back();
+      } else {
+        // Opened from a shared link, so there is no gallery entry to go back to
+        Router.replace({ painting: null });
+      }
+    }
+  },
+
+  /**
+   * Make everything behind the lightbox inert (unfocusable and hidden from screen readers),
+   * or undo it
+   * @param {boolean} inert - True while the lightbox is open
+   */
+  setBackgroundInert(inert) {
+    if (inert) {
+      // Dialogs opened over the lightbox (e.g. the cart) must stay usable
+      this.inertElements = [...document.body.children].filter(element =>
+        element !== this.element && element.tagName !== 'DIALOG' && element.tagName !== 'SCRIPT' &&
+        !element.hasAttribute('inert')
+      );
+      this.inertElements.forEach(element => element.setAttribute('inert', ''));
+    } else {
+      this.inertElements.forEach(element => element.removeAttribute('inert'));
+      this.inertElements = [];
+    }
+  },
+
+  /**
+   * Return focus to the gallery item the lightbox was opened from
+   */
+  restoreFocus() {
+    const opener = this.opener;
+    this.opener = null;
+
+    // Opened from a link or the back button, or the gallery was re-rendered since:
+    // use the grid item of the painting being viewed instead
+    const target = opener && opener !== document.body && opener.isConnected
+      ? opener
+      : document.querySelector(`.gallery-item[data-index="${this.currentIndex}"]`);
+
+    if (target) {
+      target.focus();
+    }
+  },
+
+  /**
+   * Announce the painting being viewed, and its position, to screen readers
+   */
+  announce() {
+    const painting = this.paintings[this.currentIndex];
+    const status = this.element.querySelector('.lightbox-status');
+    const position = this.sequence.indexOf(this.currentIndex);
+
+    if (!painting) return;
+
+    status.textContent = position === -1
+      ? Catalog.getTitle(painting)
+      : I18n.t('lightbox.position', { title: Catalog.getTitle(painting), position: position + 1, total: this.sequence.length });
+  },
+
+  /**
+   * Close the lightbox, then do something on the page behind it
+   * @param {Function} callback - Called once the lightbox has closed
+   */
+  afterClose(callback) {
+    const goingBack = Boolean(history.state && history.state.lightbox);
+
+    this.close();
+
+    // Going back restores the gallery's URL and scroll position, so carry on after that
+    if (goingBack) {
+      window.addEventListener('popstate', () => callback(), { once: true });
+    } else {
+      callback();
+    }
+  },
+
+  /**
+   * Close the lightbox and open the contact form about a painting
+   * @param {Object} painting - Painting data object
+   */
+  inquire(painting) {
+    this.afterClose(() => Inquiry.open(painting));
+  },
+
+  /**
+   * Close the lightbox and show the gallery filtered, e.g. by a tag or series
+   * @param {Object} changes - Criteria to change (see Gallery.filter)
+   */
+  browse(changes) {
+    this.afterClose(() => {
+      Gallery.filter(changes);
+
+      // The item the lightbox was opened from may no longer be shown
+      const first = Gallery.container.querySelector('.gallery-item');
+
+      if (first) {
+        first.focus();
+      }
+    });
   },
 
   /**
    * Navigate to previous painting
    */
   prev() {
-    this.currentIndex = (this.currentIndex - 1 + this.paintings.length) % this.paintings.length;
-    this.updateContent();
+    this.step(-1);
   },
 
   /**
    * Navigate to next painting
    */
   next() {
-    this.currentIndex = (this.currentIndex + 1) % this.paintings.length;
+    this.step(1);
+  },
+
+  /**
+   * Move through the navigation sequence, wrapping around at either end
+   * @param {number} offset - Number of paintings to move (negative for backwards)
+   */
+  step(offset) {
+    const length = this.sequence.length;
+    if (length === 0) return;
+
+    const position = this.sequence.indexOf(this.currentIndex);
+
+    // A painting hidden by the filters (e.g. from a shared link) steps into the visible set
+    const nextPosition = position === -1
+      ? (offset > 0 ? 0 : length - 1)
+      : ((position + offset) % length + length) % length;
+
+    this.currentIndex = this.sequence[nextPosition];
     this.updateContent();
+    this.announce();
+    Router.replace({ painting: this.getCurrentSlug() });
+  },
+
+  /**
+   * Get the URL slug of the painting currently displayed
+   * @returns {string} Painting slug
+   */
+  getCurrentSlug() {
+    return Catalog.getSlug(this.paintings[this.currentIndex]);
   },
 
   /**
@@ -207,17 +447,18 @@ const Lightbox = {
 
     if (!painting) return;
 
-    const img = this.element.querySelector('.lightbox-image');
     const infoContainer = this.element.querySelector('.lightbox-info');
 
-    // Update image
-    img.src = painting.image;
-    img.alt = `${painting.title} by Georgie Originals`;
+    // Each painting opens on its main view
+    this.viewIndex = 0;
+    this.updateImage();
+
+    document.title = I18n.t('page.title', { title: Catalog.getTitle(painting) });
 
     // Update info
     infoContainer.innerHTML = '';
 
-    const title = createElement('h2', { className: 'lightbox-title' }, painting.title);
+    const title = createElement('h2', { id: 'lightbox-title', className: 'lightbox-title' }, Catalog.getTitle(painting));
     const details = createElement('div', { className: 'lightbox-details' });
 
     const metadata = [];
@@ -227,11 +468,13 @@ const Lightbox = {
     }
 
     if (painting.medium) {
-      metadata.push(createElement('span', {}, painting.medium));
+      metadata.push(createElement('span', {}, Catalog.getMedium(painting)));
     }
 
-    if (painting.dimensions) {
-      metadata.push(createElement('span', {}, painting.dimensions));
+    const dimensions = Catalog.getDimensions(painting);
+
+    if (dimensions) {
+      metadata.push(createElement('span', {}, Catalog.formatDimensionsInBothUnits(dimensions, this.getUnit())));
     }
 
     metadata.forEach(item => details.appendChild(item));
@@ -239,26 +482,288 @@ const Lightbox = {
     infoContainer.appendChild(title);
     infoContainer.appendChild(details);
 
+    // Links to the rest of the painting's series, and to others with the same tags
+    if (typeof Gallery !== 'undefined') {
+      const series = Catalog.findSeries(Gallery.series, painting.series);
+      const tags = Catalog.getTags(painting);
+
+      if (series) {
+        const seriesBtn = createElement('button', {
+          type: 'button',
+          className: 'lightbox-series'
+        }, I18n.t('painting.series', { series: I18n.localize(series, 'title') }));
+
+        seriesBtn.addEventListener('click', () => this.browse({ series: series.slug }));
+        infoContainer.appendChild(seriesBtn);
+      }
+
+      if (tags.length > 0) {
+        const tagList = createElement('ul', { className: 'tag-list lightbox-tags', 'aria-label': I18n.t('painting.tags') });
+
+        tags.forEach(tag => {
+          const tagBtn = createElement('button', {
+            type: 'button',
+            className: 'tag',
+            'aria-label': I18n.t('lightbox.tagged', { tag: Catalog.formatTag(tag) })
+          }, Catalog.formatTag(tag));
+
+          tagBtn.addEventListener('click', () => this.browse({ tag }));
+          tagList.appendChild(createElement('li', {}, tagBtn));
+        });
+
+        infoContainer.appendChild(tagList);
+      }
+    }
+
+    const views = Catalog.getViews(painting);
+
+    if (views.length > 1) {
+      infoContainer.appendChild(this.createViewStrip(views));
+    }
+
+    if (dimensions && typeof Scale !== 'undefined') {
+      const scaleBtn = createElement('button', {
+        type: 'button',
+        className: 'lightbox-scale-toggle'
+      }, I18n.t('lightbox.viewToScale'));
+      scaleBtn.addEventListener('click', () => this.toggleScale());
+      infoContainer.appendChild(scaleBtn);
+    }
+
     if (painting.description) {
-      const description = createElement('p', { className: 'lightbox-description' }, painting.description);
+      const description = createElement('p', { className: 'lightbox-description' }, Catalog.getDescription(painting));
       infoContainer.appendChild(description);
     }
 
-    if (painting.available === false) {
-      const soldBadge = createElement('span', { className: 'sold-badge' }, 'Sold');
-      infoContainer.appendChild(soldBadge);
+    // Where the painting has been shown, most recent first
+    const exhibitions = typeof Gallery !== 'undefined' ? Catalog.getExhibitions(painting, Gallery.exhibitions) : [];
+
+    if (exhibitions.length > 0) {
+      infoContainer.appendChild(createElement('ul', { className: 'lightbox-exhibitions', 'aria-label': I18n.t('painting.exhibitions') },
+        exhibitions.map(exhibition => createElement('li', {}, I18n.t('lightbox.exhibitedAt', { exhibition: Catalog.formatExhibition(exhibition) })))
+      ));
+    }
+
+    const badge = Catalog.getStatusBadge(painting);
+
+    if (badge) {
+      const statusBadge = createElement('span', {
+        className: `status-badge status-${Catalog.getStatus(painting)}`
+      }, badge);
+      infoContainer.appendChild(statusBadge);
+    }
+
+    // Buy the original while it's available, or one of its prints
+    const purchaseOptions = typeof Cart !== 'undefined' ? Catalog.getPurchaseOptions(painting) : [];
+
+    if (purchaseOptions.length > 0) {
+      infoContainer.appendChild(this.createPurchase(painting, purchaseOptions));
+    }
+
+    // Ask about this painting, or for something like it once it has sold
+    if (typeof Inquiry !== 'undefined' && Inquiry.form) {
+      const inquireBtn = createElement('button', {
+        type: 'button',
+        className: 'lightbox-inquire'
+      }, Inquiry.getLabel(painting));
+
+      inquireBtn.addEventListener('click', () => this.inquire(painting));
+      infoContainer.appendChild(inquireBtn);
     }
 
     // Update counter
-    const counter = createElement('div', { className: 'lightbox-counter' },
-      `${this.currentIndex + 1} / ${this.paintings.length}`
-    );
-    infoContainer.appendChild(counter);
+    const position = this.sequence.indexOf(this.currentIndex);
+
+    if (position !== -1) {
+      // Read out by announce() instead
+      const counter = createElement('div', { className: 'lightbox-counter', 'aria-hidden': 'true' },
+        I18n.t('lightbox.counter', { position: position + 1, total: this.sequence.length })
+      );
+      infoContainer.appendChild(counter);
+    }
+
+    // Keep showing the to-scale view while moving between paintings
+    this.updateScale();
 
     // Update navigation button states
     this.updateNavigation();
   },
 
+  /**
+   * Create the Buy button, with a choice of the original and its prints when there's more than one
+   * @param {Object} painting - Painting data object
+   * @param {Array} options - Options from Catalog.getPurchaseOptions()
+   * @returns {HTMLElement} Purchase element
+   */
+  createPurchase(painting, options) {
+    const purchase = createElement('div', { className: 'lightbox-purchase' });
+    const buyBtn = createElement('button', { type: 'button', className: 'lightbox-buy' });
+    let selected = options[0];
+
+    const updateButton = () => {
+      const label = selected.id === Catalog.ORIGINAL_OPTION
+        ? I18n.t('lightbox.buyOriginal')
+        : I18n.t('lightbox.buyPrint', { option: selected.label });
+      buyBtn.textContent = `${label} · ${Catalog.formatPrice(selected.price)}`;
+    };
+
+    if (options.length > 1) {
+      const picker = createElement('fieldset', { className: 'lightbox-variants' }, [
+        createElement('legend', {}, I18n.t('lightbox.chooseOption'))
+      ]);
+
+      options.forEach((option, index) => {
+        const details = option.id === Catalog.ORIGINAL_OPTION
+          ? Catalog.getDetailsText(painting)
+          : Catalog.getPrintDetails(option);
+        const radio = createElement('input', {
+          type: 'radio',
+          name: 'lightbox-variant',
+          value: option.id,
+          ...(index === 0 && { checked: '' })
+        });
+
+        radio.addEventListener('change', () => {
+          selected = option;
+          updateButton();
+        });
+
+        picker.appendChild(createElement('label', { className: 'lightbox-variant' }, [
+          radio,
+          createElement('span', { className: 'lightbox-variant-label' }, option.label),
+          details ? createElement('span', { className: 'lightbox-variant-details' }, details) : null,
+          createElement('span', { className: 'lightbox-variant-price' }, Catalog.formatPrice(option.price))
+        ].filter(Boolean)));
+      });
+
+      purchase.appendChild(picker);
+    } else if (selected.id !== Catalog.ORIGINAL_OPTION) {
+      const details = Catalog.getPrintDetails(selected);
+
+      if (details) {
+        purchase.appendChild(createElement('p', { className: 'lightbox-variant-details' }, details));
+      }
+    }
+
+    updateButton();
+    buyBtn.addEventListener('click', () => Cart.add(painting, selected.id));
+    purchase.appendChild(buyBtn);
+
+    return purchase;
+  },
+
+  /**
+   * Show the current view of the current painting
+   */
+  updateImage() {
+    const painting = this.paintings[this.currentIndex];
+    const view = Catalog.getViews(painting)[this.viewIndex];
+    const picture = this.element.querySelector('.lightbox-image-container picture');
+    const img = this.element.querySelector('.lightbox-image');
+
+    Picture.update(picture, view.image, this.imageSizes);
+    img.alt = this.viewIndex === 0
+      ? I18n.t('painting.alt', { title: Catalog.getTitle(painting) })
+      : I18n.t('painting.viewAlt', { title: Catalog.getTitle(painting), view: view.label });
+
+    // Start each image at fit-to-screen, with its zoom tiles if it has any
+    if (typeof Zoom !== 'undefined') {
+      const entry = Picture.getEntry(view.image);
+      Zoom.setImage(entry && entry.tiles ? entry.tiles : null);
+    }
+  },
+
+  /**
+   * Create the thumbnails for switching between a painting's views
+   * @param {Array} views - Views from Catalog.getViews()
+   * @returns {Element} Thumbnail strip
+   */
+  createViewStrip(views) {
+    const strip = createElement('div', {
+      className: 'lightbox-views',
+      role: 'group',
+      'aria-label': I18n.t('lightbox.views')
+    });
+
+    views.forEach((view, index) => {
+      const button = createElement('button', {
+        type: 'button',
+        className: 'lightbox-view',
+        title: view.label,
+        'aria-label': I18n.t('lightbox.viewLabel', { view: view.label }),
+        'aria-pressed': String(index === this.viewIndex)
+      }, Picture.create(Picture.getSquare(view.thumbnail), this.viewThumbnailSizes, { alt: '', loading: 'lazy' }));
+
+      button.addEventListener('click', () => this.showView(index));
+      strip.appendChild(button);
+    });
+
+    return strip;
+  },
+
+  /**
+   * Switch to another view of the current painting
+   * @param {number} index - Index into Catalog.getViews()
+   */
+  showView(index) {
+    const views = Catalog.getViews(this.paintings[this.currentIndex]);
+    if (!views[index]) return;
+
+    this.viewIndex = index;
+    this.updateImage();
+
+    this.element.querySelectorAll('.lightbox-view').forEach((button, buttonIndex) => {
+      button.setAttribute('aria-pressed', String(buttonIndex === index));
+    });
+
+    // Choosing a photo means the visitor wants to see it, not the drawing
+    if (this.scaleMode) {
+      this.scaleMode = false;
+      this.updateScale();
+    }
+  },
+
+  /**
+   * Switch between the painting and the to-scale view
+   */
+  toggleScale() {
+    this.scaleMode = !this.scaleMode;
+    this.updateScale();
+  },
+
+  /**
+   * Show the image or the to-scale view, depending on scaleMode
+   */
+  updateScale() {
+    const painting = this.paintings[this.currentIndex];
+    const imageContainer = this.element.querySelector('.lightbox-image-container');
+    const scaleContainer = this.element.querySelector('.lightbox-scale');
+    const scaleBtn = this.element.querySelector('.lightbox-scale-toggle');
+
+    // Paintings without dimensions can't be drawn to scale
+    const view = this.scaleMode && scaleBtn ? Scale.create(painting, this.getUnit()) : null;
+
+    scaleContainer.innerHTML = '';
+    if (view) {
+      scaleContainer.appendChild(view);
+    }
+
+    scaleContainer.hidden = !view;
+    imageContainer.hidden = Boolean(view);
+
+    if (scaleBtn) {
+      scaleBtn.setAttribute('aria-pressed', String(Boolean(view)));
+    }
+  },
+
+  /**
+   * Get the unit dimensions are shown in
+   * @returns {string} Key of Catalog.UNITS
+   */
+  getUnit() {
+    return typeof Units !== 'undefined' ? Units.current : Catalog.DEFAULT_UNIT;
+  },
+
   /**
    * Update navigation button visibility
    */
@@ -0,0 +1,336 @@
+/**
+ * Messages Module
+ * The text of the site's interface in each language, shared by the browser (I18n) and
+ * build-static.js. Keys missing from a language fall back to English.
+ *
+ * {name} is replaced by a parameter of I18n.t(). A message can also be an object of
+ * plural forms (see Intl.PluralRules), chosen by its count parameter.
+ */
+
+const Messages = {
+  en: {
+    // Page and navigation
+    'site.title': 'Georgie Originals - Original Paintings',
+    'site.description': 'Original paintings by Georgie. Explore a collection of unique artwork available for purchase.',
+    'site.rights': 'Georgie Originals. All rights reserved.',
+    'page.title': '{title} - Georgie Originals',
+    'nav.label': 'Main navigation',
+    'nav.about': 'About',
+    'nav.gallery': 'Gallery',
+    'nav.contact': 'Contact',
+    'nav.cart': 'Cart',
+    'locale.label': 'Language',
+
+    // Home page
+    'hero.title': 'Original Art by Georgie',
+    'hero.subtitle': 'Explore unique paintings that bring color and life to your space',
+    'hero.cta': 'View Gallery',
+    'gallery.title': 'Gallery',
+    'gallery.intro': 'Browse the collection and click any painting to view details',
+    'about.title': 'About the Artist',
+    'about.imageAlt': 'Georgie, artist',
+    'exhibitions.title': 'Exhibitions',
+    'exhibitions.showing': 'Showing',
+    'exhibitions.link': 'About the exhibition',
+    'contact.title': 'Get in Touch',
+    'contact.intro': 'Interested in a painting or have questions about commissions? I\'d love to hear from you!',
+    'contact.name': 'Name',
+    'contact.email': 'Email',
+    'contact.message': 'Message',
+    'contact.clearPainting': 'Don\'t ask about a specific painting',
+    'contact.direct': 'Or email me directly:',
+
+    // Gallery
+    'gallery.loading': 'Loading gallery...',
+    'gallery.error': 'Failed to load gallery. Check your connection and try again.',
+    'gallery.retry': 'Retry',
+    'gallery.empty': 'No paintings available at this time.',
+    'gallery.noMatches': 'No paintings match these filters.',
+    'gallery.otherPaintings': 'Other paintings',
+    'gallery.viewInLightbox': 'View {title} in lightbox',
+    'gallery.view': 'View {title}',
+    'painting.alt': '{title} by Georgie Originals',
+    'painting.viewAlt': '{title} ({view}) by Georgie Originals',
+    'painting.tags': 'Tags',
+    'painting.series': 'Part of the {series} series',
+    'painting.description': '{title}, an original painting by Georgina Roy. {details}',
+    'painting.viewInGallery': 'View in Gallery',
+    'painting.more': 'More paintings',
+    'painting.exhibitions': 'Exhibitions',
+    'painting.provenance': 'Provenance',
+    'series.description': '{title}, a series of original paintings by Georgina Roy.',
+
+    // Filter toolbar
+    'toolbar.label': 'Filter paintings',
+    'toolbar.search': 'Search',
+    'toolbar.searchPlaceholder': 'Search titles, descriptions and tags',
+    'toolbar.status': 'Availability',
+    'toolbar.medium': 'Medium',
+    'toolbar.year': 'Year',
+    'toolbar.size': 'Size',
+    'toolbar.series': 'Series',
+    'toolbar.tag': 'Tag',
+    'toolbar.sort': 'Sort by',
+    'toolbar.view': 'Group',
+    'toolbar.all': 'All',
+    'toolbar.featured': 'Featured',
+    'toolbar.ungrouped': 'None',
+    'toolbar.bySeries': 'By series',
+    'toolbar.units': 'Units',
+    'toolbar.clear': 'Clear',
+    'toolbar.count': { one: '{count} painting', other: '{count} paintings' },
+    'toolbar.countFiltered': { one: 'Showing {visible} of {count} painting', other: 'Showing {visible} of {count} paintings' },
+
+    // Catalog labels (see Catalog.getLabel)
+    'medium.oil': 'Oil on Canvas',
+    'medium.acrylic': 'Acrylic on Canvas',
+    'medium.other': 'Other',
+    'size.small': 'Small (up to 30 in)',
+    'size.medium': 'Medium (up to 40 in)',
+    'size.large': 'Large (over 40 in)',
+    'sort.year-desc': 'Newest first',
+    'sort.year-asc': 'Oldest first',
+    'sort.title': 'Title (A–Z)',
+    'sort.size-desc': 'Largest first',
+    'sort.size-asc': 'Smallest first',
+    'status.available': 'Available',
+    'status.hold': 'On hold',
+    'status.reserved': 'Reserved',
+    'status.sold': 'Sold',
+    'status.not-for-sale': 'Not for sale',
+    'status.on-loan': 'On loan',
+    'status.until': '{status} until {date}',
+    'unit.in': 'in',
+    'unit.cm': 'cm',
+    'unitName.in': 'Inches',
+    'unitName.cm': 'Centimeters',
+    'material.paper': 'Fine art paper',
+    'material.canvas': 'Canvas',
+    'view.main': 'Front',
+    'purchase.original': 'Original painting',
+    'print.edition': 'Limited edition of {size}, {remaining} left',
+    'provenance.since': 'since {date}',
+    'provenance.until': 'until {date}',
+    'structuredData.gallery': 'Original paintings by Georgina Roy',
+
+    // Lightbox
+    'lightbox.close': 'Close lightbox',
+    'lightbox.previous': 'Previous painting',
+    'lightbox.next': 'Next painting',
+    'lightbox.position': '{title}, {position} of {total}',
+    'lightbox.counter': '{position} / {total}',
+    'lightbox.tagged': 'Show paintings tagged {tag}',
+    'lightbox.viewToScale': 'View to scale',
+    'lightbox.exhibitedAt': 'Exhibited at {exhibition}',
+    'lightbox.views': 'Views',
+    'lightbox.viewLabel': '{view} view',
+    'lightbox.chooseOption': 'Choose the original or a print',
+    'lightbox.buyOriginal': 'Buy original',
+    'lightbox.buyPrint': 'Buy {option}',
+    'scale.label': '{title} ({dimensions}) hung above a sofa, next to a person',
+    'scale.caption': 'Shown to scale next to a {person} person and a {sofa} sofa',
+
+    // Cart
+    'cart.title': 'Your Cart',
+    'cart.close': 'Close cart',
+    'cart.empty': 'Your cart is empty.',
+    'cart.checkout': 'Checkout',
+    'cart.remove': 'Remove',
+    'cart.removeItem': 'Remove {title} ({option})',
+    'cart.total': 'Total: {total}',
+    'cart.onlyLeft': { one: 'Only {count} of this print is left.', other: 'Only {count} of this print are left.' },
+    'cart.starting': 'Starting checkout…',
+    'cart.success': 'Thank you for your order! We will be in touch about delivery.',
+    'cart.cancelled': 'Checkout was cancelled. Your cart has been kept.',
+    'cart.unavailable': 'Sorry, checkout is unavailable right now. Please try again later.',
+    'cart.offline': 'Sorry, checkout could not be started. Please check your connection and try again.',
+
+    // Checkout errors sent by api/checkout.js as a message key and its params
+    'cart.tooManyItems': 'Please check out at most {max} items at a time.',
+    'cart.noLongerAvailable': '"{title}" is no longer available. Please remove it from your cart.',
+    'cart.somethingUnavailable': 'Something in your cart is no longer available. Please remove it and try again.',
+    'cart.quantityRange': 'Please choose between 1 and {max} of each print.',
+    'cart.editionLeft': { one: 'Only {count} of "{title} - {option}" is left.', other: 'Only {count} of "{title} - {option}" are left.' },
+    'cart.mixedCurrencies': 'Items priced in different currencies have to be bought separately.',
+
+    // Contact form
+    'inquiry.general': 'Send a message',
+    'inquiry.inquiry': 'Inquire about this piece',
+    'inquiry.similar': 'Request something similar',
+    'inquiry.about': 'About “{title}”',
+    'inquiry.aboutSimilar': 'Something similar to “{title}”',
+    'inquiry.nameRequired': 'Please enter your name',
+    'inquiry.emailRequired': 'Please enter your email address',
+    'inquiry.emailInvalid': 'Please enter a valid email address',
+    'inquiry.messageRequired': 'Please enter a message',
+    'inquiry.tooLong': 'Please keep this under {limit} characters',
+    'inquiry.unknownPainting': 'Unknown painting',
+    'inquiry.invalid': 'Please check this field',
+    'inquiry.checkFields': 'Please correct the highlighted fields.',
+    'inquiry.paintingRemoved': 'That painting is no longer listed. Please reload the page and try again.',
+    'inquiry.sending': 'Sending…',
+    'inquiry.sent': 'Thank you! Your message has been sent.',
+    'inquiry.failed': 'Sorry, your message could not be sent. Please try again later.',
+    'inquiry.offline': 'Sorry, your message could not be sent. Please check your connection and try again.'
+  },
+
+  fr: {
+    'site.title': 'Georgie Originals - Peintures originales',
+    'site.description': 'Peintures originales de Georgie. Découvrez une collection d\'œuvres uniques à acheter.',
+    'site.rights': 'Georgie Originals. Tous droits réservés.',
+    'page.title': '{title} - Georgie Originals',
+    'nav.label': 'Navigation principale',
+    'nav.about': 'À propos',
+    'nav.gallery': 'Galerie',
+    'nav.contact': 'Contact',
+    'nav.cart': 'Panier',
+    'locale.label': 'Langue',
+
+    'hero.title': 'L\'art original de Georgie',
+    'hero.subtitle': 'Découvrez des peintures uniques qui apportent couleur et vie à votre intérieur',
+    'hero.cta': 'Voir la galerie',
+    'gallery.title': 'Galerie',
+    'gallery.intro': 'Parcourez la collection et cliquez sur une peinture pour en voir les détails',
+    'about.title': 'À propos de l\'artiste',
+    'about.imageAlt': 'Georgie, artiste',
+    'exhibitions.title': 'Expositions',
+    'exhibitions.showing': 'Œuvres exposées :',
+    'exhibitions.link': 'À propos de l\'exposition',
+    'contact.title': 'Me contacter',
+    'contact.intro': 'Une peinture vous intéresse, ou vous avez des questions sur les commandes ? Écrivez-moi !',
+    'contact.name': 'Nom',
+    'contact.email': 'E-mail',
+    'contact.message': 'Message',
+    'contact.clearPainting': 'Ne pas poser de question sur une peinture en particulier',
+    'contact.direct': 'Ou écrivez-moi directement :',
+
+    'gallery.loading': 'Chargement de la galerie...',
+    'gallery.error': 'Impossible de charger la galerie. Vérifiez votre connexion et réessayez.',
+    'gallery.retry': 'Réessayer',
+    'gallery.empty': 'Aucune peinture disponible pour le moment.',
+    'gallery.noMatches': 'Aucune peinture ne correspond à ces filtres.',
+    'gallery.otherPaintings': 'Autres peintures',
+    'gallery.viewInLightbox': 'Agrandir {title}',
+    'gallery.view': 'Voir {title}',
+    'painting.alt': '{title} par Georgie Originals',
+    'painting.viewAlt': '{title} ({view}) par Georgie Originals',
+    'painting.tags': 'Mots-clés',
+    'painting.series': 'Fait partie de la série {series}',
+    'painting.description': '{title}, une peinture originale de Georgina Roy. {details}',
+    'painting.viewInGallery': 'Voir dans la galerie',
+    'painting.more': 'Autres peintures',
+    'painting.exhibitions': 'Expositions',
+    'painting.provenance': 'Provenance',
+    'series.description': '{title}, une série de peintures originales de Georgina Roy.',
+
+    'toolbar.label': 'Filtrer les peintures',
+    'toolbar.search': 'Rechercher',
+    'toolbar.searchPlaceholder': 'Rechercher dans les titres, descriptions et mots-clés',
+    'toolbar.status': 'Disponibilité',
+    'toolbar.medium': 'Technique',
+    'toolbar.year': 'Année',
+    'toolbar.size': 'Taille',
+    'toolbar.series': 'Série',
+    'toolbar.tag': 'Mot-clé',
+    'toolbar.sort': 'Trier par',
+    'toolbar.view': 'Regrouper',
+    'toolbar.all': 'Toutes',
+    'toolbar.featured': 'Sélection',
+    'toolbar.ungrouped': 'Aucun',
+    'toolbar.bySeries': 'Par série',
+    'toolbar.units': 'Unités',
+    'toolbar.clear': 'Effacer',
+    'toolbar.count': { one: '{count} peinture', other: '{count} peintures' },
+    'toolbar.countFiltered': { one: '{visible} sur {count} peinture', other: '{visible} sur {count} peintures' },
+
+    'medium.oil': 'Huile sur toile',
+    'medium.acrylic': 'Acrylique sur toile',
+    'medium.other': 'Autre',
+    'size.small': 'Petit (jusqu\'à 76 cm)',
+    'size.medium': 'Moyen (jusqu\'à 102 cm)',
+    'size.large': 'Grand (plus de 102 cm)',
+    'sort.year-desc': 'Plus récentes',
+    'sort.year-asc': 'Plus anciennes',
+    'sort.title': 'Titre (A–Z)',
+    'sort.size-desc': 'Plus grandes',
+    'sort.size-asc': 'Plus petites',
+    'status.available': 'Disponible',
+    'status.hold': 'Mise de côté',
+    'status.reserved': 'Réservée',
+    'status.sold': 'Vendue',
+    'status.not-for-sale': 'Pas à vendre',
+    'status.on-loan': 'En prêt',
+    'status.until': '{status} jusqu\'au {date}',
+    'unit.in': 'po',
+    'unit.cm': 'cm',
+    'unitName.in': 'Pouces',
+    'unitName.cm': 'Centimètres',
+    'material.paper': 'Papier beaux-arts',
+    'material.canvas': 'Toile',
+    'view.main': 'Face',
+    'purchase.original': 'Peinture originale',
+    'print.edition': 'Édition limitée à {size} exemplaires, {remaining} restants',
+    'provenance.since': 'depuis {date}',
+    'provenance.until': 'jusqu\'en {date}',
+    'structuredData.gallery': 'Peintures originales de Georgina Roy',
+
+    'lightbox.close': 'Fermer',
+    'lightbox.previous': 'Peinture précédente',
+    'lightbox.next': 'Peinture suivante',
+    'lightbox.position': '{title}, {position} sur {total}',
+    'lightbox.counter': '{position} / {total}',
+    'lightbox.tagged': 'Voir les peintures avec le mot-clé {tag}',
+    'lightbox.viewToScale': 'Voir à l\'échelle',
+    'lightbox.exhibitedAt': 'Exposée à {exhibition}',
+    'lightbox.views': 'Vues',
+    'lightbox.viewLabel': 'Vue {view}',
+    'lightbox.chooseOption': 'Choisissez l\'original ou une reproduction',
+    'lightbox.buyOriginal': 'Acheter l\'original',
+    'lightbox.buyPrint': 'Acheter {option}',
+    'scale.label': '{title} ({dimensions}) accrochée au-dessus d\'un canapé, à côté d\'une personne',
+    'scale.caption': 'À l\'échelle, à côté d\'une personne de {person} et d\'un canapé de {sofa}',
+
+    'cart.title': 'Votre panier',
+    'cart.close': 'Fermer le panier',
+    'cart.empty': 'Votre panier est vide.',
+    'cart.checkout': 'Commander',
+    'cart.remove': 'Retirer',
+    'cart.removeItem': 'Retirer {title} ({option})',
+    'cart.total': 'Total : {total}',
+    'cart.onlyLeft': { one: 'Il ne reste que {count} exemplaire de cette reproduction.', other: 'Il ne reste que {count} exemplaires de cette reproduction.' },
+    'cart.starting': 'Ouverture du paiement…',
+    'cart.success': 'Merci pour votre commande ! Nous vous contacterons pour la livraison.',
+    'cart.cancelled': 'Le paiement a été annulé. Votre panier a été conservé.',
+    'cart.unavailable': 'Désolé, le paiement est indisponible pour le moment. Veuillez réessayer plus tard.',
+    'cart.offline': 'Désolé, le paiement n\'a pas pu démarrer. Vérifiez votre connexion et réessayez.',
+    'cart.tooManyItems': 'Veuillez commander au plus {max} articles à la fois.',
+    'cart.noLongerAvailable': '« {title} » n\'est plus disponible. Veuillez le retirer de votre panier.',
+    'cart.somethingUnavailable': 'Un article de votre panier n\'est plus disponible. Veuillez le retirer et réessayer.',
+    'cart.quantityRange': 'Veuillez choisir entre 1 et {max} exemplaires de chaque reproduction.',
+    'cart.editionLeft': { one: 'Il ne reste que {count} exemplaire de « {title} - {option} ».', other: 'Il ne reste que {count} exemplaires de « {title} - {option} ».' },
+    'cart.mixedCurrencies': 'Les articles dans des devises différentes doivent être achetés séparément.',
+
+    'inquiry.general': 'Envoyer un message',
+    'inquiry.inquiry': 'Se renseigner sur cette œuvre',
+    'inquiry.similar': 'Demander une œuvre similaire',
+    'inquiry.about': 'À propos de « {title} »',
+    'inquiry.aboutSimilar': 'Une œuvre similaire à « {title} »',
+    'inquiry.nameRequired': 'Veuillez indiquer votre nom',
+    'inquiry.emailRequired': 'Veuillez indiquer votre adresse e-mail',
+    'inquiry.emailInvalid': 'Veuillez indiquer une adresse e-mail valide',
+    'inquiry.messageRequired': 'Veuillez écrire un message',
+    'inquiry.tooLong': 'Veuillez rester sous {limit} caractères',
+    'inquiry.unknownPainting': 'Peinture inconnue',
+    'inquiry.invalid': 'Veuillez vérifier ce champ',
+    'inquiry.checkFields': 'Veuillez corriger les champs indiqués.',
+    'inquiry.paintingRemoved': 'Cette peinture n\'est plus présentée. Veuillez recharger la page et réessayer.',
+    'inquiry.sending': 'Envoi…',
+    'inquiry.sent': 'Merci ! Votre message a bien été envoyé.',
+    'inquiry.failed': 'Désolé, votre message n\'a pas pu être envoyé. Veuillez réessayer plus tard.',
+    'inquiry.offline': 'Désolé, votre message n\'a pas pu être envoyé. Vérifiez votre connexion et réessayez.'
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Messages;
+}
@@ -0,0 +1,106 @@
+/**
+ * Picture Module
+ * Renders <picture> elements from the responsive image manifest
+ * generated by optimize-images.js
+ */
+
+const Picture = {
+  entries: {},
+
+  // MIME types for the formats in the manifest, in order of preference
+  types: {
+    avif: 'image/avif',
+    webp: 'image/webp'
+  },
+
+  /**
+   * Load the image manifest
+   * @param {Object} manifest - Manifest from public/data/images.json
+   */
+  setManifest(manifest) {
+    this.entries = {};
+
+    // Paintings refer to images by their optimized or thumbnail path
+    Object.values(manifest || {}).forEach(entry => {
+      this.entries[entry.image] = entry;
+      this.entries[entry.thumbnail] = entry;
+    });
+  },
+
+  /**
+   * Get the manifest entry for an image
+   * @param {string} src - Image path (as used in paintings.json)
+   * @returns {Object|null} Manifest entry, or null if the image hasn't been processed
+   */
+  getEntry(src) {
+    return this.entries[src] || null;
+  },
+
+  /**
+   * Get the square thumbnail of an image, cropped around its focal point
+   * @param {string} src - Image path (as used in paintings.json)
+   * @returns {string} Square thumbnail path, or src if the image hasn't been processed
+   */
+  getSquare(src) {
+    const entry = this.entries[src];
+    return entry && entry.square ? entry.square : src;
+  },
+
+  /**
+   * Build a srcset attribute value
+   * @param {Array} variants - Array of { width, src } objects
+   * @returns {string} srcset value
+   */
+  getSrcset(variants) {
+    return variants.map(variant => `${variant.src} ${variant.width}w`).join(', ');
+  },
+
+  /**
+   * Create a picture element for an image
+   * @param {string} src - Fallback image path (as used in paintings.json)
+   * @param {string} sizes - sizes attribute describing the rendered width
+   * @param {Object} attributes - Attributes for the inner img element
+   * @returns {Element} Picture element
+   */
+  create(src, sizes, attributes = {}) {
+    const picture = createElement('picture', {}, createElement('img', attributes));
+    this.update(picture, src, sizes);
+    return picture;
+  },
+
+  /**
+   * Point an existing picture element at a different image
+   * @param {Element} picture - Picture element created by create()
+   * @param {string} src - Fallback image path
+   * @param {string} sizes - sizes attribute describing the rendered width
+   */
+  update(picture, src, sizes) {
+    const img = picture.querySelector('img');
+    const entry = this.entries[src];
+
+    picture.querySelectorAll('source').forEach(source => source.remove());
+
+    img.src = src;
+    img.removeAttribute('srcset');
+    img.removeAttribute('sizes');
+
+    // Images not yet processed by the pipeline fall back to the single src
+    if (!entry) return;
+
+    Object.entries(this.types).forEach(([format, type]) => {
+      if (!entry.sources[format]) return;
+
+      const source = createElement('source', {
+        type,
+        srcset: this.getSrcset(entry.sources[format]),
+        sizes
+      });
+      picture.insertBefore(source, img);
+    });
+
+    if (entry.sources.jpeg) {
+      img.srcset = this.getSrcset(entry.sources.jpeg);
+      img.sizes = sizes;
+    }
+  }
+};
@@ -0,0 +1,70 @@
+/**
+ * Router Module
+ * Keeps shareable view state (such as the open painting) in the URL query string
+ */
+
+const Router = {
+  /**
+   * Get the current query string parameters
+   * @returns {URLSearchParams} Parameters from the current URL
+   */
+  getParams() {
+    return new URLSearchParams(window.location.search);
+  },
+
+  /**
+   * Get a single query string parameter
+   * @param {string} name - Parameter name
+   * @returns {string|null} Parameter value, or null if not present
+   */
+  get(name) {
+    return this.getParams().get(name);
+  },
+
+  /**
+   * Build a URL from the current one with some parameters changed
+   * @param {Object} changes - Parameters to set; null, undefined or '' removes them
+   * @param {string} pathname - Path of the URL (default: the current page's)
+   * @returns {string} The new relative URL
+   */
+  buildUrl(changes, pathname = window.location.pathname) {
+    const params = this.getParams();
+
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value === null || value === undefined || value === '') {
+        params.delete(key);
+      } else {
+        params.set(key, value);
+      }
+    });
+
+    const query = params.toString();
+    return `${pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+  },
+
+  /**
+   * Add a new history entry with some parameters changed
+   * @param {Object} changes - Parameters to change
+   * @param {Object} state - History state to store with the entry
+   */
+  push(changes, state = {}) {
+    history.pushState(state, '', this.buildUrl(changes));
+  },
+
+  /**
+   * Update the current history entry with some parameters changed
+   * @param {Object} changes - Parameters to change
+   * @param {Object} state - History state to store (default: keep the current state)
+   */
+  replace(changes, state = history.state) {
+    history.replaceState(state, '', this.buildUrl(changes));
+  },
+
+  /**
+   * Listen for browser back/forward navigation
+   * @param {Function} handler - Called with the history state of the new entry
+   */
+  onChange(handler) {
+    window.addEventListener('popstate', (e) => handler(e.state));
+  }
+};
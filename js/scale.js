@@ -0,0 +1,152 @@
+/**
+ * Scale Module
+ * Draws a painting hung on a wall next to a person and a sofa,
+ * all at the same scale, so visitors can judge its real size
+ */
+
+const Scale = {
+  svgNamespace: 'http://www.w3.org/2000/svg',
+
+  // Everything below is in inches; the drawing's viewBox is in inches too
+  hangHeight: 57,                         // Gallery standard: center of the painting above the floor
+  clearance: 8,                           // Minimum gap between the sofa and the painting
+  margin: 12,
+  gap: 18,                                // Between the sofa and the person
+  person: { height: 67, width: 20 },
+  sofa: { width: 84, height: 34 },
+
+  // Outlines drawn in their own box and scaled to the sizes above
+  shapes: {
+    person: {
+      box: { width: 20, height: 67 },
+      parts: [
+        ['circle', { cx: 10, cy: 5, r: 4.5 }],
+        ['path', { d: 'M3 12.5 Q10 10 17 12.5 L19.5 36 L16 36 L14.5 21 L14.5 66 L11 66 L10 39 L9 66 L5.5 66 L5.5 21 L4 36 L0.5 36 Z' }]
+      ]
+    },
+    sofa: {
+      box: { width: 84, height: 34 },
+      parts: [
+        ['rect', { x: 4, y: 0, width: 76, height: 20, rx: 3 }],
+        ['rect', { x: 0, y: 12, width: 11, height: 18, rx: 3 }],
+        ['rect', { x: 73, y: 12, width: 11, height: 18, rx: 3 }],
+        ['rect', { x: 9, y: 18, width: 66, height: 12, rx: 2 }],
+        ['rect', { x: 5, y: 30, width: 3, height: 4 }],
+        ['rect', { x: 76, y: 30, width: 3, height: 4 }]
+      ]
+    }
+  },
+
+  /**
+   * Create an SVG element
+   * @param {string} tag - SVG tag name
+   * @param {Object} attributes - Attributes to set
+   * @returns {Element} The created element
+   */
+  createSvgElement(tag, attributes = {}) {
+    const element = document.createElementNS(this.svgNamespace, tag);
+
+    Object.entries(attributes).forEach(([key, value]) => {
+      element.setAttribute(key, value);
+    });
+
+    return element;
+  },
+
+  /**
+   * Draw one of the reference outlines
+   * @param {string} name - Key of shapes (and of the size settings)
+   * @param {number} x - Left edge, in inches
+   * @param {number} floor - Floor position, in inches from the top
+   * @returns {Element} SVG group
+   */
+  createShape(name, x, floor) {
+    const size = this[name];
+    const { box, parts } = this.shapes[name];
+
+    const group = this.createSvgElement('g', {
+      class: `scale-${name}`,
+      transform: `translate(${x} ${floor - size.height}) scale(${size.width / box.width} ${size.height / box.height})`
+    });
+
+    parts.forEach(([tag, attributes]) => {
+      group.appendChild(this.createSvgElement(tag, attributes));
+    });
+
+    return group;
+  },
+
+  /**
+   * Format a length in the given unit, rounded to whole numbers
+   * @param {number} inches - Length in inches
+   * @param {string} unit - Key of Catalog.UNITS
+   * @returns {string} e.g. "170 cm"
+   */
+  formatLength(inches, unit) {
+    return `${I18n.formatNumber(Math.round(Catalog.convert(inches, 'in', unit)))} ${Catalog.getLabel('unit', unit)}`;
+  },
+
+  /**
+   * Create the to-scale view of a painting
+   * @param {Object} painting - Painting data object
+   * @param {string} unit - Key of Catalog.UNITS for the caption
+   * @returns {Element|null} Scale view, or null if the painting's size is unknown
+   */
+  create(painting, unit = Catalog.DEFAULT_UNIT) {
+    const dimensions = Catalog.getDimensions(painting);
+    if (!dimensions) return null;
+
+    const width = Catalog.convert(dimensions.width, dimensions.unit, 'in');
+    const height = Catalog.convert(dimensions.height, dimensions.unit, 'in');
+
+    // The painting is centered over the sofa; tall paintings are hung higher to clear it
+    const bottom = Math.max(this.hangHeight - height / 2, this.sofa.height + this.clearance);
+    const wallWidth = Math.max(width, this.sofa.width);
+    const center = this.margin + wallWidth / 2;
+    const personX = this.margin + wallWidth + this.gap;
+
+    const sceneWidth = personX + this.person.width + this.margin;
+    const floor = Math.max(this.person.height, bottom + height) + this.margin;
+
+    const svg = this.createSvgElement('svg', {
+      class: 'scale-drawing',
+      viewBox: `0 0 ${sceneWidth} ${floor + 1}`,
+      role: 'img',
+      'aria-label': I18n.t('scale.label', { title: Catalog.getTitle(painting), dimensions: Catalog.formatDimensions(dimensions, unit) })
+    });
+
+    svg.appendChild(this.createSvgElement('line', {
+      class: 'scale-floor',
+      x1: 0,
+      y1: floor,
+      x2: sceneWidth,
+      y2: floor
+    }));
+
+    svg.appendChild(this.createShape('sofa', center - this.sofa.width / 2, floor));
+    svg.appendChild(this.createShape('person', personX, floor));
+
+    svg.appendChild(this.createSvgElement('image', {
+      class: 'scale-painting',
+      href: painting.thumbnail || painting.image,
+      x: center - width / 2,
+      y: floor - bottom - height,
+      width,
+      height,
+      preserveAspectRatio: 'xMidYMid slice'
+    }));
+
+    const caption = createElement('p', { className: 'scale-caption' },
+      I18n.t('scale.caption', {
+        person: this.formatLength(this.person.height, unit),
+        sofa: this.formatLength(this.sofa.width, unit)
+      })
+    );
+
+    const view = createElement('div', { className: 'scale-view' });
+    view.appendChild(svg);
+    view.appendChild(caption);
+
+    return view;
+  }
+};
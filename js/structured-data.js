@@ -0,0 +1,235 @@
+/**
+ * Structured Data Module
+ * Builds Schema.org JSON-LD describing the artist and paintings,
+ * shared by the browser (Gallery) and build-static.js
+ */
+
+const StructuredData = {
+  // Catalog and I18n are globals in the browser; Node scripts load them from the same files
+  catalog: typeof Catalog !== 'undefined' ? Catalog : require('./catalog.js'),
+  i18n: typeof I18n !== 'undefined' ? I18n : require('./i18n.js'),
+
+  siteUrl: 'https://georgieoriginals.com',
+  scriptId: 'structured-data',
+
+  artist: {
+    name: 'Georgina Roy',
+    alternateName: 'Georgie',
+    jobTitle: 'Artist',
+    image: '/public/images/artist_georgina_roy.jpg'
+  },
+
+  // UN/CEFACT unit codes used by QuantitativeValue
+  unitCodes: {
+    in: 'INH',
+    cm: 'CMT'
+  },
+
+  // Schema.org ItemAvailability of an Offer, by Catalog status
+  availability: {
+    available: 'InStock',
+    hold: 'Reserved',
+    reserved: 'Reserved',
+    'on-loan': 'OutOfStock'
+  },
+
+  /**
+   * Make a site path absolute
+   * @param {string} path - Path starting with /
+   * @returns {string} Absolute URL
+   */
+  getUrl(path) {
+    return `${this.siteUrl}${path}`;
+  },
+
+  /**
+   * Build the Person describing the artist
+   * @returns {Object} Schema.org Person
+   */
+  getArtist() {
+    return {
+      '@type': 'Person',
+      '@id': this.getUrl('/#artist'),
+      name: this.artist.name,
+      alternateName: this.artist.alternateName,
+      jobTitle: this.artist.jobTitle,
+      image: this.getUrl(this.artist.image),
+      url: this.getUrl('/')
+    };
+  },
+
+  /**
+   * Get the image URL for a painting, or a list of URLs when it has extra views
+   * @param {Object} painting - Painting data object
+   * @returns {string|Array<string>} Absolute image URL(s), main view first
+   */
+  getImage(painting) {
+    const images = this.catalog.getViews(painting).map(view => this.getUrl(view.image));
+    return images.length > 1 ? images : images[0];
+  },
+
+  /**
+   * Build the VisualArtwork for one painting
+   * @param {Object} painting - Painting data object
+   * @param {string} locale - Key of I18n.LOCALES (default: the current language)
+   * @returns {Object} Schema.org VisualArtwork
+   */
+  getArtwork(painting, locale = this.i18n.current) {
+    const url = this.getUrl(this.catalog.getPagePath(painting, locale));
+    const description = this.catalog.getDescription(painting, locale);
+
+    // The painting is the same in every language, so it keeps the @id of its English page
+    const artwork = {
+      '@type': 'VisualArtwork',
+      '@id': `${this.getUrl(this.catalog.getPagePath(painting, this.i18n.DEFAULT_LOCALE))}#artwork`,
+      name: this.catalog.getTitle(painting, locale),
+      url,
+      image: this.getImage(painting),
+      artform: 'Painting',
+      creator: { '@id': this.getUrl('/#artist') }
+    };
+
+    if (description) artwork.description = description;
+    if (painting.year) artwork.dateCreated = painting.year;
+    if (painting.medium) artwork.artMedium = this.catalog.getMedium(painting, locale);
+
+    const tags = this.catalog.getTags(painting);
+    if (tags.length > 0) artwork.keywords = tags.map(tag => this.catalog.formatTag(tag)).join(', ');
+
+    const dimensions = this.catalog.getDimensions(painting);
+
+    if (dimensions) {
+      ['width', 'height', 'depth'].forEach(side => {
+        if (dimensions[side] === undefined) return;
+
+        artwork[side] = {
+          '@type': 'QuantitativeValue',
+          value: dimensions[side],
+          unitCode: this.unitCodes[dimensions.unit],
+          unitText: dimensions.unit
+        };
+      });
+    }
+
+    // Sold paintings, and those not for sale, have nothing to offer
+    const availability = this.availability[this.catalog.getStatus(painting)];
+
+    if (availability) {
+      artwork.offers = {
+        '@type': 'Offer',
+        url,
+        availability: `https://schema.org/${availability}`,
+        seller: { '@id': this.getUrl('/#artist') }
+      };
+
+      if (painting.price) {
+        artwork.offers.price = painting.price.amount;
+        artwork.offers.priceCurrency = painting.price.currency;
+      }
+    }
+
+    return artwork;
+  },
+
+  /**
+   * Build the JSON-LD for a painting's own page
+   * @param {Object} painting - Painting data object
+   * @param {string} locale - Key of I18n.LOCALES (default: the current language)
+   * @returns {Object} JSON-LD document
+   */
+  forPainting(painting, locale = this.i18n.current) {
+    return {
+      '@context': 'https://schema.org',
+      '@graph': [this.getArtwork(painting, locale), this.getArtist()]
+    };
+  },
+
+  /**
+   * Build the JSON-LD for the gallery: the artist and a list of every painting
+   * @param {Array} paintings - Array of painting objects
+   * @param {string} locale - Key of I18n.LOCALES (default: the current language)
+   * @returns {Object} JSON-LD document
+   */
+  forGallery(paintings, locale = this.i18n.current) {
+    return {
+      '@context': 'https://schema.org',
+      '@graph': [
+        this.getArtist(),
+        this.getItemList(this.i18n.t('structuredData.gallery', {}, locale), paintings, locale)
+      ]
+    };
+  },
+
+  /**
+   * Build the JSON-LD for a series' own page: the page, listing the series' paintings, and the artist
+   * @param {Object} series - Series from series.json
+   * @param {Array} paintings - The series' paintings, in order
+   * @param {string} locale - Key of I18n.LOCALES (default: the current language)
+   * @returns {Object} JSON-LD document
+   */
+  forSeries(series, paintings, locale = this.i18n.current) {
+    const title = this.i18n.localize(series, 'title', locale);
+    const description = this.i18n.localize(series, 'description', locale);
+    const page = {
+      '@type': 'CollectionPage',
+      name: title,
+      url: this.getUrl(this.catalog.getSeriesPath(series, locale)),
+      mainEntity: this.getItemList(title, paintings, locale)
+    };
+
+    if (description) page.description = description;
+
+    return {
+      '@context': 'https://schema.org',
+      '@graph': [page, this.getArtist()]
+    };
+  },
+
+  /**
+   * Build a list of paintings
+   * @param {string} name - Name of the list
+   * @param {Array} paintings - Array of painting objects, in order
+   * @param {string} locale - Key of I18n.LOCALES (default: the current language)
+   * @returns {Object} Schema.org ItemList
+   */
+  getItemList(name, paintings, locale = this.i18n.current) {
+    return {
+      '@type': 'ItemList',
+      name,
+      numberOfItems: paintings.length,
+      itemListElement: paintings.map((painting, index) => ({
+        '@type': 'ListItem',
+        position: index + 1,
+        item: this.getArtwork(painting, locale)
+      }))
+    };
+  },
+
+  /**
+   * Serialize JSON-LD for a script element
+   * @param {Object} data - JSON-LD document
+   * @returns {string} JSON that can't close the surrounding script tag
+   */
+  serialize(data) {
+    return JSON.stringify(data, null, 2).replace(/</g, '\\u003c');
+  },
+
+  /**
+   * Add JSON-LD to the page, replacing any pre-rendered copy
+   * @param {Object} data - JSON-LD document
+   */
+  inject(data) {
+    let script = document.getElementById(this.scriptId);
+
+    if (!script) {
+      script = createElement('script', { type: 'application/ld+json', id: this.scriptId });
+      document.head.appendChild(script);
+    }
+
+    script.textContent = this.serialize(data);
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StructuredData;
+}
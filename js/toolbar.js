@@ -0,0 +1,197 @@
+/**
+ * Toolbar Module
+ * Filter, sort and search controls shown above the gallery
+ */
+
+const Toolbar = {
+  element: null,
+  onChange: null,
+
+  /**
+   * Create the toolbar
+   * @param {Array} paintings - Array of painting objects, used to build the filter options
+   * @param {Object} criteria - Initial filter criteria (see Catalog.query)
+   * @param {Function} onChange - Called with the changed criteria whenever a control changes
+   * @param {Array} seriesList - Contents of series.json (default: none)
+   * @returns {Element} Toolbar element
+   */
+  create(paintings, criteria, onChange, seriesList = []) {
+    this.onChange = onChange;
+
+    const toolbar = createElement('div', {
+      className: 'gallery-toolbar',
+      role: 'search',
+      'aria-label': I18n.t('toolbar.label')
+    });
+
+    const search = createElement('input', {
+      type: 'search',
+      name: 'q',
+      className: 'toolbar-search',
+      placeholder: I18n.t('toolbar.searchPlaceholder')
+    });
+    search.value = criteria.q || '';
+    search.addEventListener('input', debounce(() => {
+      this.onChange({ q: search.value.trim() });
+    }, 250));
+
+    const years = [...new Set(paintings.map(painting => painting.year).filter(Boolean))]
+      .sort((a, b) => b - a);
+
+    // Available and Sold are always offered; other statuses only while a painting has them
+    const statuses = Object.keys(Catalog.STATUSES)
+      .filter(key => key === 'available' || key === 'sold' || key === criteria.status ||
+        paintings.some(painting => Catalog.getStatus(painting) === key));
+
+    const mediums = Catalog.MEDIUMS
+      .filter(key => paintings.some(painting => Catalog.getMediumCategory(painting) === key));
+
+    const series = seriesList.filter(item => paintings.some(painting => painting.series === item.slug));
+
+    const tags = [...new Set(paintings.flatMap(painting => Catalog.getTags(painting)))].sort();
+
+    const all = ['', I18n.t('toolbar.all')];
+
+    const fields = [
+      this.createField(I18n.t('toolbar.search'), search),
+      this.createSelect('status', I18n.t('toolbar.status'), criteria.status, [
+        all,
+        ...statuses.map(key => [key, Catalog.getLabel('status', key)])
+      ]),
+      this.createSelect('medium', I18n.t('toolbar.medium'), criteria.medium, [
+        all,
+        ...mediums.map(key => [key, Catalog.getLabel('medium', key)])
+      ]),
+      this.createSelect('year', I18n.t('toolbar.year'), criteria.year, [
+        all,
+        ...years.map(year => [year, year])
+      ]),
+      this.createSelect('size', I18n.t('toolbar.size'), criteria.size, [
+        all,
+        ...Object.keys(Catalog.SIZES).map(key => [key, Catalog.getLabel('size', key)])
+      ]),
+      series.length > 0 && this.createSelect('series', I18n.t('toolbar.series'), criteria.series, [
+        all,
+        ...series.map(item => [item.slug, I18n.localize(item, 'title')])
+      ]),
+      tags.length > 0 && this.createSelect('tag', I18n.t('toolbar.tag'), criteria.tag, [
+        all,
+        ...tags.map(tag => [tag, Catalog.formatTag(tag)])
+      ]),
+      this.createSelect('sort', I18n.t('toolbar.sort'), criteria.sort, [
+        ['', I18n.t('toolbar.featured')],
+        ...Object.keys(Catalog.SORTS).map(key => [key, Catalog.getLabel('sort', key)])
+      ]),
+      series.length > 0 && this.createSelect('view', I18n.t('toolbar.view'), criteria.view, [
+        ['', I18n.t('toolbar.ungrouped')],
+        ['series', I18n.t('toolbar.bySeries')]
+      ])
+    ].filter(Boolean);
+
+    // Not a filter, so Clear leaves it alone
+    if (typeof Units !== 'undefined') {
+      fields.push(createElement('div', { className: 'toolbar-field' }, [
+        createElement('span', { className: 'toolbar-label', 'aria-hidden': 'true' }, I18n.t('toolbar.units')),
+        Units.createToggle()
+      ]));
+    }
+
+    fields.forEach(field => toolbar.appendChild(field));
+
+    const resetBtn = createElement('button', {
+      type: 'button',
+      className: 'toolbar-reset'
+    }, I18n.t('toolbar.clear'));
+    resetBtn.addEventListener('click', () => this.reset());
+
+    const count = createElement('p', {
+      className: 'toolbar-count',
+      'aria-live': 'polite'
+    });
+
+    toolbar.appendChild(resetBtn);
+    toolbar.appendChild(count);
+
+    this.element = toolbar;
+    return toolbar;
+  },
+
+  /**
+   * Wrap a control in a labelled field
+   * @param {string} label - Visible label text
+   * @param {Element} control - Form control
+   * @returns {Element} Field element
+   */
+  createField(label, control) {
+    return createElement('label', { className: 'toolbar-field' }, [
+      createElement('span', { className: 'toolbar-label' }, label),
+      control
+    ]);
+  },
+
+  /**
+   * Create a labelled select control
+   * @param {string} name - Criteria key the select controls
+   * @param {string} label - Visible label text
+   * @param {string} value - Initially selected value
+   * @param {Array} options - Array of [value, label] pairs
+   * @returns {Element} Field element
+   */
+  createSelect(name, label, value, options) {
+    const select = createElement('select', { name, className: 'toolbar-select' },
+      options.map(([optionValue, optionLabel]) =>
+        createElement('option', { value: optionValue }, String(optionLabel))
+      )
+    );
+
+    select.value = value || '';
+    select.addEventListener('change', () => {
+      this.onChange({ [name]: select.value });
+    });
+
+    return this.createField(label, select);
+  },
+
+  /**
+   * Clear all filters, search and sorting
+   */
+  reset() {
+    const changes = {};
+
+    this.element.querySelectorAll('input, select').forEach(control => {
+      control.value = '';
+      changes[control.name] = '';
+    });
+
+    this.onChange(changes);
+  },
+
+  /**
+   * Show the given criteria in the controls, e.g. after a tag in the lightbox was chosen
+   * @param {Object} criteria - Filter criteria (see Catalog.query)
+   */
+  update(criteria) {
+    if (!this.element) return;
+
+    this.element.querySelectorAll('input, select').forEach(control => {
+      // Leave the search box alone while it's being typed in
+      if (control.name in criteria && control !== document.activeElement) {
+        control.value = criteria[control.name] || '';
+      }
+    });
+  },
+
+  /**
+   * Show how many paintings match the current filters
+   * @param {number} visible - Number of matching paintings
+   * @param {number} total - Total number of paintings
+   */
+  setCount(visible, total) {
+    if (!this.element) return;
+
+    const count = this.element.querySelector('.toolbar-count');
+    count.textContent = visible === total
+      ? I18n.t('toolbar.count', { count: total })
+      : I18n.t('toolbar.countFiltered', { visible, count: total });
+  }
+};
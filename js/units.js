@@ -0,0 +1,126 @@
+/**
+ * Units Module
+ * Remembers whether dimensions are shown in inches or centimeters
+ */
+
+const Units = {
+  current: Catalog.DEFAULT_UNIT,
+  storageKey: 'georgie-originals-unit',
+  handlers: [],
+  toggles: [],
+
+  // Regions that measure in inches; everywhere else gets centimeters
+  inchRegions: ['US', 'LR', 'MM'],
+
+  /**
+   * Pick the unit from a saved choice, or from the browser's locale
+   */
+  init() {
+    this.current = this.getSaved() || this.detect();
+  },
+
+  /**
+   * Read the unit the visitor chose on an earlier visit
+   * @returns {string|null} Key of Catalog.UNITS, or null if none was saved
+   */
+  getSaved() {
+    try {
+      const unit = localStorage.getItem(this.storageKey);
+      return Catalog.UNITS[unit] ? unit : null;
+    } catch (error) {
+      // Storage can be unavailable (e.g. private browsing)
+      return null;
+    }
+  },
+
+  /**
+   * Guess the unit from a locale
+   * @param {string} locale - BCP 47 locale (default: the browser's language)
+   * @returns {string} Key of Catalog.UNITS
+   */
+  detect(locale = navigator.language) {
+    try {
+      // "en" alone is expanded to its likely region, "en-US"
+      const region = new Intl.Locale(locale).maximize().region;
+      if (region) {
+        return this.inchRegions.includes(region) ? 'in' : 'cm';
+      }
+    } catch (error) {
+      // Unknown locale or no Intl.Locale support
+    }
+
+    return Catalog.DEFAULT_UNIT;
+  },
+
+  /**
+   * Change the unit and remember the choice
+   * @param {string} unit - Key of Catalog.UNITS
+   */
+  set(unit) {
+    if (!Catalog.UNITS[unit] || unit === this.current) return;
+
+    this.current = unit;
+
+    try {
+      localStorage.setItem(this.storageKey, unit);
+    } catch (error) {
+      // The choice just won't be remembered
+    }
+
+    this.toggles.forEach(toggle => this.updateToggle(toggle));
+    this.handlers.forEach(handler => handler(unit));
+  },
+
+  /**
+   * Call a function whenever the unit changes
+   * @param {Function} handler - Called with the new unit
+   */
+  onChange(handler) {
+    this.handlers.push(handler);
+  },
+
+  /**
+   * Create buttons for switching between units
+   * @returns {Element} Button group
+   */
+  createToggle() {
+    const toggle = createElement('div', {
+      className: 'unit-toggle',
+      role: 'group',
+      'aria-label': I18n.t('toolbar.units')
+    }, Object.keys(Catalog.UNITS).map(unit => {
+      const button = createElement('button', {
+        type: 'button',
+        className: 'unit-toggle-button',
+        title: Catalog.getLabel('unitName', unit),
+        dataset: { unit }
+      }, Catalog.getLabel('unit', unit));
+
+      button.addEventListener('click', () => this.set(unit));
+      return button;
+    }));
+
+    this.toggles.push(toggle);
+    this.updateToggle(toggle);
+
+    return toggle;
+  },
+
+  /**
+   * Stop updating a toggle, e.g. one whose toolbar has been replaced
+   * @param {Element} toggle - Button group from createToggle()
+   */
+  removeToggle(toggle) {
+    this.toggles = this.toggles.filter(candidate => candidate !== toggle);
+  },
+
+  /**
+   * Mark the button for the current unit as pressed
+   * @param {Element} toggle - Button group from createToggle()
+   */
+  updateToggle(toggle) {
+    toggle.querySelectorAll('.unit-toggle-button').forEach(button => {
+      button.setAttribute('aria-pressed', String(button.dataset.unit === this.current));
+    });
+  }
+};
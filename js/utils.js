@@ -2,24 +2,109 @@
  * Utility functions for Georgie Originals
  */
 
+// localStorage key prefix for the last good copy of data fetched with fetchJSON's cache option
+const DATA_CACHE_PREFIX = 'georgie-originals-data:';
+
+// Statuses worth asking again for: timeouts, rate limits and server errors
+const RETRY_STATUSES = [408, 429, 500, 502, 503, 504];
+
 /**
- * Fetch JSON data from a given URL
+ * Fetch JSON data from a given URL, retrying when the network or server fails
  * @param {string} url - The URL to fetch data from
+ * @param {Object} options - Options
+ * @param {number} options.timeout - Milliseconds to wait for each attempt (default: 10000)
+ * @param {number} options.retries - Attempts after the first one fails (default: 2)
+ * @param {number} options.retryDelay - Milliseconds before the first retry, doubled for each one after (default: 500)
+ * @param {boolean} options.cache - Keep the last good copy in localStorage (see getCachedJSON), revalidate
+ *   it with its ETag, and return it if every attempt fails (default: false)
  * @returns {Promise<any>} The parsed JSON data
  */
-async function fetchJSON(url) {
+async function fetchJSON(url, { timeout = 10000, retries = 2, retryDelay = 500, cache = false } = {}) {
+  const saved = cache ? readDataCache(url) : null;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fetchJSONOnce(url, timeout, cache, saved);
+    } catch (error) {
+      if (attempt < retries && (!error.status || RETRY_STATUSES.includes(error.status))) {
+        await new Promise(resolve => setTimeout(resolve, retryDelay * 2 ** attempt));
+        continue;
+      }
+
+      if (saved) {
+        console.warn(`Using the saved copy of ${url}:`, error);
+        return saved.data;
+      }
+
+      console.error('Error fetching JSON:', error);
+      throw error;
+    }
+  }
+}
+
+// One attempt for fetchJSON, aborted after timeout milliseconds.
+// Errors from the server have its status; network errors and timeouts don't.
+async function fetchJSONOnce(url, timeout, cache, saved) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  const headers = saved && saved.etag ? { 'If-None-Match': saved.etag } : {};
+
   try {
-    const response = await fetch(url);
+    const response = await fetch(url, { headers, signal: controller.signal });
+
+    // Unchanged since the saved copy
+    if (response.status === 304 && saved) {
+      return saved.data;
+    }
+
     if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+      throw Object.assign(new Error(`HTTP error! status: ${response.status}`), { status: response.status });
+    }
+
+    const data = await response.json();
+
+    if (cache) {
+      writeDataCache(url, response.headers.get('ETag'), data);
     }
-    return await response.json();
+
+    return data;
+  } catch (error) {
+    throw controller.signal.aborted ? new Error(`Timed out after ${timeout}ms fetching ${url}`) : error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Read the copy of a URL's data saved by fetchJSON: { etag, data }, or null if there is none
+function readDataCache(url) {
+  try {
+    return JSON.parse(localStorage.getItem(DATA_CACHE_PREFIX + url));
+  } catch (error) {
+    // Storage can be unavailable (e.g. private browsing), or hold something unreadable
+    return null;
+  }
+}
+
+// Save a URL's data for fetchJSON to revalidate or fall back to
+function writeDataCache(url, etag, data) {
+  try {
+    localStorage.setItem(DATA_CACHE_PREFIX + url, JSON.stringify({ etag, data }));
   } catch (error) {
-    console.error('Error fetching JSON:', error);
-    throw error;
+    // Storage is full or unavailable; the data just won't be available offline
   }
 }
 
+/**
+ * Get the last good copy of data fetched with fetchJSON's cache option, e.g. to show
+ * straight away while the latest loads
+ * @param {string} url - The URL the data was fetched from
+ * @returns {any|null} The parsed JSON data, or null if it hasn't been fetched before
+ */
+function getCachedJSON(url) {
+  const saved = readDataCache(url);
+  return saved ? saved.data : null;
+}
+
 /**
  * Debounce function to limit how often a function can be called
  * @param {Function} func - The function to debounce
@@ -96,19 +181,27 @@ function createElement(tag, attributes = {}, children = null) {
 }
 
 /**
- * Trap focus within an element (for accessibility)
+ * Trap focus within an element (for accessibility), e.g. while a dialog is open
  * @param {Element} element - The element to trap focus within
+ * @returns {Function} Removes the trap
  */
 function trapFocus(element) {
-  const focusableElements = element.querySelectorAll(
-    'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
-  );
-  const firstFocusable = focusableElements[0];
-  const lastFocusable = focusableElements[focusableElements.length - 1];
-
-  element.addEventListener('keydown', (e) => {
+  const handleKeydown = (e) => {
     if (e.key !== 'Tab') return;
 
+    // Looked up on every Tab, since the content can change while the trap is set
+    const focusableElements = [...element.querySelectorAll(
+      'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
+    )].filter(focusable => !focusable.disabled && !focusable.closest('[hidden]'));
+
+    if (focusableElements.length === 0) {
+      e.preventDefault();
+      return;
+    }
+
+    const firstFocusable = focusableElements[0];
+    const lastFocusable = focusableElements[focusableElements.length - 1];
+
     if (e.shiftKey) {
       if (document.activeElement === firstFocusable) {
         lastFocusable.focus();
@@ -120,5 +213,18 @@ function trapFocus(element) {
         e.preventDefault();
       }
     }
-  });
+  };
+
+  element.addEventListener('keydown', handleKeydown);
+
+  return () => element.removeEventListener('keydown', handleKeydown);
+}
+
+/**
+ * Check whether the visitor has asked for less motion (e.g. no smooth scrolling)
+ * @returns {boolean} True if prefers-reduced-motion is set
+ */
+function prefersReducedMotion() {
+  return typeof window.matchMedia === 'function' &&
+    window.matchMedia('(prefers-reduced-motion: reduce)').matches;
 }
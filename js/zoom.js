@@ -0,0 +1,342 @@
+/**
+ * Zoom Module
+ * Pinch, double-tap and scroll-wheel zoom with drag-to-pan for the lightbox image.
+ * When the image manifest has Deep Zoom tiles for a painting (see optimize-images.js),
+ * the tiles covering the visible area are loaded on top of the image as you zoom in.
+ */
+
+const Zoom = {
+  container: null,
+  stage: null,
+  tileLayer: null,
+  tiles: null,
+
+  scale: 1,
+  x: 0,
+  y: 0,
+
+  minScale: 1,
+  maxScale: 4,              // At least this far, or to the full resolution of the tiles
+  doubleTapScale: 2.5,
+  wheelSpeed: 0.002,
+  doubleTapDelay: 300,      // Milliseconds between taps
+  doubleTapDistance: 30,    // Pixels between taps
+
+  pointers: new Map(),
+  pinch: null,
+  pinched: false,
+  pointerType: null,        // Type of the last pointer pressed: 'mouse', 'pen' or 'touch'
+  lastTap: null,
+  tileFrame: null,
+
+  /**
+   * Enable zooming inside a container
+   * @param {Element} container - Element the stage is clipped to (.lightbox-image-container)
+   * @param {Element} stage - Element that is scaled and moved (wraps the image)
+   */
+  attach(container, stage) {
+    this.container = container;
+    this.stage = stage;
+
+    this.tileLayer = createElement('div', { className: 'zoom-tiles', 'aria-hidden': 'true' });
+    stage.appendChild(this.tileLayer);
+
+    container.addEventListener('wheel', (e) => {
+      e.preventDefault();
+      this.zoomAt(this.scale * Math.exp(-e.deltaY * this.wheelSpeed), e.clientX, e.clientY);
+    }, { passive: false });
+
+    container.addEventListener('dblclick', (e) => {
+      // Touch double taps are handled in handlePointerUp; some browsers send a dblclick
+      // for them too, which would zoom straight back out
+      if (this.pointerType === 'touch') return;
+
+      this.toggleAt(e.clientX, e.clientY);
+    });
+
+    container.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+    container.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+    container.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+    container.addEventListener('pointercancel', (e) => this.handlePointerUp(e));
+
+    window.addEventListener('resize', debounce(() => this.reset(), 150));
+  },
+
+  /**
+   * Reset the zoom for a new image
+   * @param {Object|null} tiles - Tile info from the image manifest, or null if not tiled
+   */
+  setImage(tiles) {
+    this.tiles = tiles;
+    this.tileLayer.innerHTML = '';
+    this.reset();
+  },
+
+  /**
+   * Return to the fit-to-screen view
+   */
+  reset() {
+    this.scale = 1;
+    this.x = 0;
+    this.y = 0;
+    this.apply();
+  },
+
+  /**
+   * Check whether the image is zoomed in
+   * @returns {boolean} True if zoomed in
+   */
+  isZoomed() {
+    return this.scale > this.minScale;
+  },
+
+  /**
+   * Check whether the current touch is a zoom or pan gesture rather than a swipe
+   * @returns {boolean} True if swipes should be ignored
+   */
+  isGesturing() {
+    return this.isZoomed() || this.pinched;
+  },
+
+  /**
+   * Get the largest useful scale for the current image
+   * @returns {number} Maximum scale
+   */
+  getMaxScale() {
+    const width = this.stage.offsetWidth;
+    const fullWidth = this.tiles ? this.tiles.width / (window.devicePixelRatio || 1) : 0;
+
+    return width ? Math.max(this.maxScale, fullWidth / width) : this.maxScale;
+  },
+
+  /**
+   * Zoom keeping a point on screen still
+   * @param {number} scale - New scale (clamped to the allowed range)
+   * @param {number} clientX - Screen X of the point to keep still
+   * @param {number} clientY - Screen Y of the point to keep still
+   */
+  zoomAt(scale, clientX, clientY) {
+    const newScale = Math.min(Math.max(scale, this.minScale), this.getMaxScale());
+    const rect = this.stage.getBoundingClientRect();
+
+    // Point relative to the stage's untransformed top-left corner
+    const px = clientX - (rect.left - this.x);
+    const py = clientY - (rect.top - this.y);
+
+    this.x = px - (px - this.x) * newScale / this.scale;
+    this.y = py - (py - this.y) * newScale / this.scale;
+    this.scale = newScale;
+
+    this.apply();
+  },
+
+  /**
+   * Zoom in on a point, or back out if already zoomed
+   * @param {number} clientX - Screen X of the point
+   * @param {number} clientY - Screen Y of the point
+   */
+  toggleAt(clientX, clientY) {
+    this.zoomAt(this.isZoomed() ? this.minScale : this.doubleTapScale, clientX, clientY);
+  },
+
+  /**
+   * Zoom in or out around the center of the image (for keyboard and buttons)
+   * @param {number} factor - Amount to multiply the scale by
+   */
+  zoomBy(factor) {
+    const rect = this.container.getBoundingClientRect();
+    this.zoomAt(this.scale * factor, rect.left + rect.width / 2, rect.top + rect.height / 2);
+  },
+
+  /**
+   * Move the zoomed image
+   * @param {number} dx - Horizontal distance in pixels
+   * @param {number} dy - Vertical distance in pixels
+   */
+  panBy(dx, dy) {
+    this.x += dx;
+    this.y += dy;
+    this.apply();
+  },
+
+  /**
+   * Keep the image covering the space it fills at fit-to-screen
+   */
+  clamp() {
+    const width = this.stage.offsetWidth;
+    const height = this.stage.offsetHeight;
+
+    this.x = Math.min(0, Math.max(this.x, width * (1 - this.scale)));
+    this.y = Math.min(0, Math.max(this.y, height * (1 - this.scale)));
+  },
+
+  /**
+   * Apply the current scale and position, and load tiles for the new view
+   */
+  apply() {
+    if (!this.stage) return;
+
+    this.clamp();
+    this.stage.style.transform = this.isZoomed()
+      ? `translate(${this.x}px, ${this.y}px) scale(${this.scale})`
+      : '';
+    this.container.classList.toggle('zoomed', this.isZoomed());
+
+    // Load tiles at most once per frame while zooming or panning
+    if (this.tiles && !this.tileFrame) {
+      this.tileFrame = requestAnimationFrame(() => {
+        this.tileFrame = null;
+        this.updateTiles();
+      });
+    }
+  },
+
+  /**
+   * Show the tiles covering the visible part of the image, at the level
+   * that matches the current zoom
+   */
+  updateTiles() {
+    const { tiles } = this;
+    const width = this.stage.offsetWidth;
+    const height = this.stage.offsetHeight;
+    const img = this.stage.querySelector('img');
+
+    if (!tiles || !width || !height) return;
+
+    // Width in device pixels the image is drawn at
+    const needed = width * this.scale * (window.devicePixelRatio || 1);
+
+    // Deep Zoom level n is the image scaled to fit 2^n pixels
+    const maxLevel = Math.ceil(Math.log2(Math.max(tiles.width, tiles.height)));
+    let level = maxLevel;
+
+    while (level > 0 && Math.ceil(tiles.width / Math.pow(2, maxLevel - level + 1)) >= needed) {
+      level--;
+    }
+
+    const levelScale = Math.pow(2, maxLevel - level);
+    const levelWidth = Math.ceil(tiles.width / levelScale);
+    const levelHeight = Math.ceil(tiles.height / levelScale);
+
+    // The image already loaded has at least this much detail
+    if (!this.isZoomed() || levelWidth <= (img && img.naturalWidth)) {
+      this.tileLayer.innerHTML = '';
+      return;
+    }
+
+    // Visible part of the image, in level pixels
+    const view = this.container.getBoundingClientRect();
+    const stage = this.stage.getBoundingClientRect();
+    const toLevel = levelWidth / stage.width;
+
+    const left = Math.max(0, (view.left - stage.left) * toLevel);
+    const top = Math.max(0, (view.top - stage.top) * toLevel);
+    const right = Math.min(levelWidth, (view.right - stage.left) * toLevel);
+    const bottom = Math.min(levelHeight, (view.bottom - stage.top) * toLevel);
+
+    const wanted = new Set();
+    const cssPerPixel = width / levelWidth;
+
+    for (let row = Math.floor(top / tiles.size); row * tiles.size < bottom; row++) {
+      for (let col = Math.floor(left / tiles.size); col * tiles.size < right; col++) {
+        const src = `${tiles.path}/${level}/${col}_${row}.${tiles.format}`;
+        wanted.add(src);
+
+        if (this.tileLayer.querySelector(`[data-src="${src}"]`)) continue;
+
+        const tile = createElement('img', {
+          className: 'zoom-tile',
+          alt: '',
+          src,
+          dataset: { src }
+        });
+
+        tile.style.left = `${col * tiles.size * cssPerPixel}px`;
+        tile.style.top = `${row * tiles.size * cssPerPixel}px`;
+        tile.style.width = `${Math.min(tiles.size, levelWidth - col * tiles.size) * cssPerPixel}px`;
+        tile.style.height = `${Math.min(tiles.size, levelHeight - row * tiles.size) * cssPerPixel}px`;
+
+        this.tileLayer.appendChild(tile);
+      }
+    }
+
+    // Drop tiles from other levels or that have scrolled out of view
+    this.tileLayer.querySelectorAll('.zoom-tile').forEach(tile => {
+      if (!wanted.has(tile.dataset.src)) tile.remove();
+    });
+  },
+
+  /**
+   * Start a pan or pinch
+   * @param {PointerEvent} e - Pointer event
+   */
+  handlePointerDown(e) {
+    this.pointerType = e.pointerType;
+
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+
+    if (this.pointers.size === 0) {
+      this.pinched = false;
+    }
+
+    this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    if (this.pointers.size === 2) {
+      const [a, b] = [...this.pointers.values()];
+      this.pinch = { distance: Math.hypot(a.x - b.x, a.y - b.y), scale: this.scale };
+      this.pinched = true;
+    }
+
+    // Keep receiving moves when the pointer leaves the image while dragging
+    if (this.isZoomed() || this.pointers.size === 2) {
+      this.container.setPointerCapture(e.pointerId);
+    }
+  },
+
+  /**
+   * Pan with one pointer, or pinch-zoom with two
+   * @param {PointerEvent} e - Pointer event
+   */
+  handlePointerMove(e) {
+    const previous = this.pointers.get(e.pointerId);
+    if (!previous) return;
+
+    const current = { x: e.clientX, y: e.clientY };
+    this.pointers.set(e.pointerId, current);
+
+    if (this.pointers.size === 2 && this.pinch) {
+      const [a, b] = [...this.pointers.values()];
+      const distance = Math.hypot(a.x - b.x, a.y - b.y);
+
+      this.zoomAt(this.pinch.scale * distance / this.pinch.distance, (a.x + b.x) / 2, (a.y + b.y) / 2);
+    } else if (this.pointers.size === 1 && this.isZoomed()) {
+      this.panBy(current.x - previous.x, current.y - previous.y);
+    }
+  },
+
+  /**
+   * End a pan or pinch, and detect double taps on touch screens
+   * @param {PointerEvent} e - Pointer event
+   */
+  handlePointerUp(e) {
+    if (!this.pointers.delete(e.pointerId)) return;
+
+    if (this.pointers.size < 2) {
+      this.pinch = null;
+    }
+
+    // Mouse double clicks arrive as dblclick events
+    if (e.type !== 'pointerup' || e.pointerType !== 'touch' || this.pinched) return;
+
+    const tap = { x: e.clientX, y: e.clientY, time: e.timeStamp };
+    const last = this.lastTap;
+
+    if (last && tap.time - last.time < this.doubleTapDelay &&
+        Math.hypot(tap.x - last.x, tap.y - last.y) < this.doubleTapDistance) {
+      this.toggleAt(tap.x, tap.y);
+      this.lastTap = null;
+    } else {
+      this.lastTap = tap;
+    }
+  }
+};
@@ -0,0 +1,475 @@
+/**
+ * Painting Catalog CLI
+ *
+ * Adds, edits and retires paintings without hand-editing paintings.json.
+ * New photos go through the same pipeline as optimize-images.js.
+ *
+ * Usage:
+ *   npm run painting -- list
+ *   npm run painting -- add ./photo.jpg --title "Title" [--year 2024] [--medium "..."]
+ *                           [--dimensions "24 x 30 inches"] [--price "1200 USD"] [--description "..."] [--slug ...]
+ *                           [--focal-point 50,30] [--series fall] [--tags "nature, night"]
+ *                           [--exhibitions "spring-salon-2023, ..."]
+ *   npm run painting -- edit <id|slug> [--title ...] [--year ...] [--medium ...]
+ *                           [--dimensions ...] [--price ...] [--description ...] [--slug ...] [--focal-point ...]
+ *                           [--series ...] [--tags ...] [--exhibitions ...]
+ *   npm run painting -- add-view <id|slug> ./photo.jpg --label "Side" [--focal-point 50,30]
+ *   npm run painting -- set-status <id|slug> <status> [--until YYYY-MM-DD]
+ *   npm run painting -- mark-sold <id|slug>
+ *   npm run painting -- remove <id|slug>
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { parseArgs } = require('util');
+const Catalog = require('./js/catalog.js');
+const {
+  CONFIG: IMAGE_CONFIG,
+  createDirectories,
+  processImage,
+  readManifest,
+  writeManifest,
+  getOutputPaths,
+  removeFiles,
+  getSourceName,
+  fromWebPath
+} = require('./optimize-images.js');
+const { validatePaintings } = require('./validate-paintings.js');
+
+const CONFIG = {
+  dataPath: './public/data/paintings.json'
+};
+
+// Fields that can be set from the command line
+const FIELD_OPTIONS = {
+  title: { type: 'string' },
+  slug: { type: 'string' },
+  year: { type: 'string' },
+  medium: { type: 'string' },
+  dimensions: { type: 'string' },
+  price: { type: 'string' },
+  description: { type: 'string' },
+  'focal-point': { type: 'string' },
+  series: { type: 'string' },
+  tags: { type: 'string' },
+  exhibitions: { type: 'string' }
+};
+
+// Options stored under a different name in paintings.json
+const FIELD_NAMES = {
+  'focal-point': 'focalPoint'
+};
+
+// Fields removed by giving an empty value, e.g. --series "" takes a painting out of its series
+const CLEARABLE_FIELDS = ['series', 'tags', 'exhibitions'];
+
+// Currency used when --price gives only an amount
+const DEFAULT_CURRENCY = 'USD';
+
+// Options for commands other than add and edit
+const OTHER_OPTIONS = {
+  label: { type: 'string' },
+  until: { type: 'string' }
+};
+
+const USAGE = `Usage:
+  npm run painting -- list
+  npm run painting -- add <photo> --title "Title" [--year 2024] [--medium "Oil on Canvas"]
+                          [--dimensions "24 x 30 inches"] [--price "1200 USD"] [--description "..."] [--slug title]
+                          [--focal-point 50,30] [--series fall] [--tags "nature, night"]
+                          [--exhibitions "spring-salon-2023, ..."]
+  npm run painting -- edit <id|slug> [--title ...] [--year ...] [--medium ...]
+                          [--dimensions ...] [--price ...] [--description ...] [--slug ...] [--focal-point ...]
+                          [--series ...] [--tags ...] [--exhibitions ...]
+  npm run painting -- add-view <id|slug> <photo> --label "Side" [--focal-point 50,30]
+  npm run painting -- set-status <id|slug> <status> [--until YYYY-MM-DD]
+                          (status: ${Object.keys(Catalog.STATUSES).join(', ')})
+  npm run painting -- mark-sold <id|slug>
+  npm run painting -- remove <id|slug>`;
+
+// Error shown to the user without a stack trace
+class UsageError extends Error {}
+
+async function readPaintings() {
+  return JSON.parse(await fs.readFile(CONFIG.dataPath, 'utf8'));
+}
+
+// Validate and save paintings.json, refusing to write invalid data
+async function writePaintings(paintings, { validate = true } = {}) {
+  const errors = validate ? await validatePaintings(paintings) : [];
+
+  if (errors.length > 0) {
+    throw new UsageError(`paintings.json was not changed:\n${errors.map(error => `  ✗ ${error}`).join('\n')}`);
+  }
+
+  await fs.writeFile(CONFIG.dataPath, JSON.stringify(paintings, null, 2));
+}
+
+// Find a painting by id or slug
+function findPainting(paintings, key) {
+  if (!key) {
+    throw new UsageError('Please give the id or slug of a painting');
+  }
+
+  const index = Catalog.findIndex(paintings, key);
+
+  if (index === -1) {
+    throw new UsageError(`No painting found with id or slug "${key}"`);
+  }
+
+  return index;
+}
+
+// Read --dimensions text such as "24 x 30 inches" into structured dimensions
+function parseDimensionsOption(text) {
+  const dimensions = Catalog.parseDimensions(text);
+
+  if (!dimensions) {
+    throw new UsageError(`Couldn't read --dimensions "${text}". Use width x height, e.g. "24 x 30 inches" or "61 x 76 cm"`);
+  }
+
+  return dimensions;
+}
+
+// Read --price text such as "1200", "1200 USD" or "950.50 EUR"
+function parsePriceOption(text) {
+  const match = String(text).trim().match(/^(\d+(?:\.\d{1,2})?)(?:\s+([A-Za-z]{3}))?$/);
+
+  if (!match || Number(match[1]) <= 0) {
+    throw new UsageError(`Couldn't read --price "${text}". Use an amount and optional currency, e.g. "1200" or "1200 USD"`);
+  }
+
+  return {
+    amount: Number(match[1]),
+    currency: (match[2] || DEFAULT_CURRENCY).toUpperCase()
+  };
+}
+
+// Read --focal-point text such as "50,30": the point to keep in crops, as percentages from the left and top
+function parseFocalPointOption(text) {
+  const [x, y, extra] = String(text).split(',').map(value => value.trim() === '' ? NaN : Number(value));
+
+  if (extra !== undefined || ![x, y].every(value => value >= 0 && value <= 100)) {
+    throw new UsageError(`Couldn't read --focal-point "${text}". Use x,y percentages from the left and top, e.g. 50,30`);
+  }
+
+  return { x, y };
+}
+
+// Read --tags or --exhibitions text such as "nature, night" into a list of slugs like ["nature", "night"]
+function parseSlugsOption(text) {
+  return [...new Set(String(text).split(',').map(tag => Catalog.slugify(tag)).filter(Boolean))];
+}
+
+// Parsers for options that aren't stored as plain text
+const FIELD_PARSERS = {
+  dimensions: parseDimensionsOption,
+  price: parsePriceOption,
+  'focal-point': parseFocalPointOption,
+  tags: parseSlugsOption,
+  exhibitions: parseSlugsOption
+};
+
+// Copy only the fields that were given on the command line
+function pickFields(values) {
+  const fields = {};
+
+  Object.keys(FIELD_OPTIONS).forEach(key => {
+    if (values[key] !== undefined) {
+      fields[FIELD_NAMES[key] || key] = FIELD_PARSERS[key] ? FIELD_PARSERS[key](values[key]) : values[key];
+    }
+  });
+
+  return fields;
+}
+
+// Copy a photo into the source folder and run it through the image pipeline
+async function importPhoto(photo, filename, focalPoint = null) {
+  await fs.access(photo).catch(() => {
+    throw new UsageError(`Photo not found: ${photo}`);
+  });
+
+  const sourcePath = path.join(IMAGE_CONFIG.inputDir, filename);
+
+  await createDirectories();
+  await fs.copyFile(photo, sourcePath);
+
+  const result = await processImage(filename, null, focalPoint);
+
+  if (!result) {
+    await removeFiles([sourcePath]);
+    throw new UsageError(`Could not process ${photo}`);
+  }
+
+  return { sourcePath, manifestEntry: result.manifestEntry };
+}
+
+// Remove everything importPhoto() created, e.g. when paintings.json couldn't be saved
+async function discardPhoto(filename, { sourcePath, manifestEntry }) {
+  await removeFiles([sourcePath, path.join(IMAGE_CONFIG.outputDirs.originals, filename), ...getOutputPaths(manifestEntry)]);
+}
+
+async function addToManifest(filename, manifestEntry) {
+  const manifest = await readManifest();
+  manifest[filename] = manifestEntry;
+  await writeManifest(manifest);
+}
+
+function list(paintings) {
+  paintings.forEach(painting => {
+    const status = Catalog.getStatus(painting);
+    const badge = status === 'available' ? '' : ` (${Catalog.getStatusBadge(painting)})`;
+    console.log(`${String(painting.id).padStart(3)}  ${Catalog.getSlug(painting).padEnd(28)} ${painting.title}${badge}`);
+  });
+}
+
+async function add(paintings, photo, values) {
+  if (!photo) {
+    throw new UsageError('Please give the path of the photo to add');
+  }
+
+  if (!values.title) {
+    throw new UsageError('Please give a --title for the painting');
+  }
+
+  const dimensions = values.dimensions ? parseDimensionsOption(values.dimensions) : null;
+  const price = values.price ? parsePriceOption(values.price) : null;
+  const focalPoint = values['focal-point'] ? parseFocalPointOption(values['focal-point']) : null;
+
+  const id = Math.max(0, ...paintings.map(painting => painting.id)) + 1;
+  const slug = values.slug || Catalog.slugify(values.title);
+  const ext = path.extname(photo).toLowerCase();
+
+  // Match the existing naming, e.g. 1_bluethunder.jpeg
+  const filename = `${id}_${slug.replace(/-/g, '')}${ext}`;
+  const imported = await importPhoto(photo, filename, focalPoint);
+
+  const painting = {
+    id,
+    title: values.title,
+    slug,
+    year: values.year || String(new Date().getFullYear()),
+    medium: values.medium || '',
+    ...(dimensions && { dimensions }),
+    ...(price && { price }),
+    image: imported.manifestEntry.image,
+    thumbnail: imported.manifestEntry.thumbnail,
+    ...(focalPoint && { focalPoint }),
+    description: values.description || '',
+    ...(values.series && { series: values.series }),
+    ...(values.tags && { tags: parseSlugsOption(values.tags) }),
+    ...(values.exhibitions && { exhibitions: parseSlugsOption(values.exhibitions) }),
+    status: 'available'
+  };
+
+  try {
+    await writePaintings([...paintings, painting]);
+  } catch (error) {
+    // Don't leave images behind for a painting that wasn't added
+    await discardPhoto(filename, imported);
+    throw error;
+  }
+
+  await addToManifest(filename, imported.manifestEntry);
+
+  console.log(`✓ Added "${painting.title}" (id ${id}, /?painting=${slug})`);
+  console.log(`  Source image: ${imported.sourcePath}`);
+}
+
+async function addView(paintings, key, photo, values) {
+  const index = findPainting(paintings, key);
+  const painting = paintings[index];
+
+  if (!photo) {
+    throw new UsageError('Please give the path of the photo to add');
+  }
+
+  if (!values.label) {
+    throw new UsageError('Please give a --label for the view, e.g. "Side", "Detail" or "In room"');
+  }
+
+  // Name views after the painting's image, e.g. 1_bluethunder_detail.jpeg
+  const baseName = path.parse(getSourceName(painting.image)).name;
+  const filename = `${baseName}_${Catalog.slugify(values.label).replace(/-/g, '')}${path.extname(photo).toLowerCase()}`;
+
+  const exists = await fs.access(path.join(IMAGE_CONFIG.inputDir, filename)).then(() => true, () => false);
+
+  if (exists) {
+    throw new UsageError(`"${painting.title}" already has a view named ${filename}`);
+  }
+
+  const focalPoint = values['focal-point'] ? parseFocalPointOption(values['focal-point']) : null;
+  const imported = await importPhoto(photo, filename, focalPoint);
+
+  painting.views = [...(painting.views || []), {
+    label: values.label,
+    image: imported.manifestEntry.image,
+    thumbnail: imported.manifestEntry.thumbnail,
+    ...(focalPoint && { focalPoint })
+  }];
+
+  try {
+    await writePaintings(paintings);
+  } catch (error) {
+    await discardPhoto(filename, imported);
+    throw error;
+  }
+
+  await addToManifest(filename, imported.manifestEntry);
+
+  console.log(`✓ Added the "${values.label}" view to "${painting.title}"`);
+  console.log(`  Source image: ${imported.sourcePath}`);
+}
+
+async function edit(paintings, key, values) {
+  const index = findPainting(paintings, key);
+  const fields = pickFields(values);
+
+  if (Object.keys(fields).length === 0) {
+    throw new UsageError('Nothing to change. Give at least one of: ' +
+      Object.keys(FIELD_OPTIONS).map(field => `--${field}`).join(', '));
+  }
+
+  paintings[index] = { ...paintings[index], ...fields };
+
+  CLEARABLE_FIELDS.forEach(field => {
+    if (fields[field] !== undefined && fields[field].length === 0) {
+      delete paintings[index][field];
+    }
+  });
+
+  await writePaintings(paintings);
+
+  console.log(`✓ Updated "${paintings[index].title}": ${Object.keys(fields).join(', ')}`);
+
+  if (fields.focalPoint) {
+    console.log('  Run npm run optimize and npm run og-image to re-crop its images around the new focal point');
+  }
+}
+
+async function setStatus(paintings, key, status, values) {
+  const index = findPainting(paintings, key);
+  const painting = paintings[index];
+
+  if (!Catalog.STATUSES[status]) {
+    throw new UsageError(`Please give a status: ${Object.keys(Catalog.STATUSES).join(', ')}`);
+  }
+
+  if (values.until && !Catalog.STATUSES[status].canExpire) {
+    throw new UsageError(`--until only applies to ${Object.keys(Catalog.STATUSES).filter(key => Catalog.STATUSES[key].canExpire).join(', ')}`);
+  }
+
+  if (status === 'reserved' && !values.until) {
+    throw new UsageError('Please give the last day of the reservation with --until YYYY-MM-DD');
+  }
+
+  painting.status = status;
+
+  // A new status replaces the old end date, if any
+  if (values.until) {
+    painting.statusUntil = values.until;
+  } else {
+    delete painting.statusUntil;
+  }
+
+  await writePaintings(paintings);
+
+  console.log(`✓ "${painting.title}" is now ${Catalog.getLabel('status', status).toLowerCase()}${values.until ? ` until ${values.until}` : ''}`);
+}
+
+async function markSold(paintings, key) {
+  await setStatus(paintings, key, 'sold', {});
+}
+
+async function remove(paintings, key) {
+  const index = findPainting(paintings, key);
+  const [painting] = paintings.splice(index, 1);
+
+  const manifest = await readManifest();
+  const files = new Set();
+  const sourceNames = [];
+
+  // Everything generated from the source images of the painting and its views,
+  // plus the sources and their backups
+  [painting, ...(painting.views || [])].forEach(holder => {
+    const sourceName = getSourceName(holder.image);
+    const entry = manifest[sourceName];
+
+    [
+      fromWebPath(holder.image),
+      fromWebPath(holder.thumbnail),
+      path.join(IMAGE_CONFIG.inputDir, sourceName),
+      path.join(IMAGE_CONFIG.outputDirs.originals, sourceName),
+      ...(entry ? getOutputPaths(entry) : [])
+    ].forEach(file => files.add(file));
+
+    sourceNames.push(sourceName);
+  });
+
+  // Removing an entry can't make the others invalid, and validation would
+  // flag the source image as unused until it is deleted below
+  await writePaintings(paintings, { validate: false });
+
+  sourceNames.forEach(sourceName => delete manifest[sourceName]);
+  await writeManifest(manifest);
+  await removeFiles([...files]);
+
+  console.log(`✓ Removed "${painting.title}" and ${files.size} image files`);
+}
+
+async function main() {
+  try {
+    const { values, positionals } = parseArgs({
+      options: { ...FIELD_OPTIONS, ...OTHER_OPTIONS, help: { type: 'boolean', short: 'h' } },
+      allowPositionals: true
+    });
+
+    const [command, target, argument] = positionals;
+
+    if (values.help || !command) {
+      console.log(USAGE);
+      return;
+    }
+
+    const paintings = await readPaintings();
+
+    switch (command) {
+      case 'list':
+        list(paintings);
+        return;
+      case 'add':
+        await add(paintings, target, values);
+        break;
+      case 'edit':
+        await edit(paintings, target, values);
+        break;
+      case 'add-view':
+        await addView(paintings, target, argument, values);
+        break;
+      case 'set-status':
+        await setStatus(paintings, target, argument, values);
+        break;
+      case 'mark-sold':
+        await markSold(paintings, target);
+        break;
+      case 'remove':
+        await remove(paintings, target);
+        break;
+      default:
+        throw new UsageError(`Unknown command "${command}"\n\n${USAGE}`);
+    }
+
+    console.log('\nNext step: npm run build (to update the pre-rendered pages)');
+
+  } catch (error) {
+    // parseArgs reports unknown or malformed options with a code
+    if (error instanceof UsageError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION') {
+      console.error(`✗ ${error.message}`);
+    } else {
+      console.error('✗ Fatal error:', error);
+    }
+    process.exit(1);
+  }
+}
+
+main();
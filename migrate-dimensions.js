@@ -0,0 +1,70 @@
+/**
+ * Dimensions Migration Script
+ *
+ * Converts free-form dimensions in paintings.json, such as "36 x 24 inches",
+ * into structured values the gallery can sort, filter and convert:
+ *   { "width": 36, "height": 24, "unit": "in" }
+ *
+ * A third number is read as the depth ("36 x 24 x 1.5 inches").
+ * Entries that can't be read are left unchanged and listed so they can be
+ * fixed by hand. Run with --dry-run to preview the changes.
+ */
+
+const fs = require('fs').promises;
+const Catalog = require('./js/catalog.js');
+
+const CONFIG = {
+  dataPath: './public/data/paintings.json'
+};
+
+async function main() {
+  console.log('🎨 Georgie Originals - Dimensions Migration\n');
+  console.log('='.repeat(60) + '\n');
+
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    const paintings = JSON.parse(await fs.readFile(CONFIG.dataPath, 'utf8'));
+    const unreadable = [];
+    let migrated = 0;
+
+    paintings.forEach(painting => {
+      if (typeof painting.dimensions !== 'string') return;
+
+      const dimensions = Catalog.parseDimensions(painting.dimensions);
+
+      if (!dimensions) {
+        unreadable.push(painting);
+        return;
+      }
+
+      console.log(`✓ ${painting.title}: "${painting.dimensions}" → ${Catalog.formatDimensions(dimensions)}`);
+      painting.dimensions = dimensions;
+      migrated++;
+    });
+
+    if (migrated === 0 && unreadable.length === 0) {
+      console.log('✓ All dimensions are already structured');
+      return;
+    }
+
+    if (!dryRun && migrated > 0) {
+      await fs.writeFile(CONFIG.dataPath, JSON.stringify(paintings, null, 2));
+    }
+
+    console.log(`\n${dryRun ? 'Would migrate' : 'Migrated'} ${migrated} painting${migrated === 1 ? '' : 's'}`);
+
+    if (unreadable.length > 0) {
+      console.error(`\n✗ Couldn't read the dimensions of ${unreadable.length} painting${unreadable.length === 1 ? '' : 's'}:`);
+      unreadable.forEach(painting => console.error(`  ${painting.title}: "${painting.dimensions}"`));
+      console.error('\nEdit them in paintings.json, e.g. "dimensions": { "width": 36, "height": 24, "unit": "in" }');
+      process.exit(1);
+    }
+
+  } catch (error) {
+    console.error('✗ Fatal error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
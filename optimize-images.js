@@ -5,10 +5,22 @@
  * 1. Creates backups of original images
  * 2. Generates optimized thumbnails (600px wide) for gallery grid
  * 3. Generates optimized full-size images (1200px wide) for lightbox
- * 4. Provides before/after size comparison report
+ * 4. Generates square thumbnails for the lightbox, cart and painting pages, cropped
+ *    around the painting's focal point (or its most eye-catching region)
+ * 5. Generates responsive AVIF, WebP and JPEG variants at several widths
+ * 6. Cuts images larger than the lightbox image into Deep Zoom tiles, so the
+ *    lightbox can load detail progressively when zooming in
+ * 7. Records the variants in an image manifest used by the gallery and lightbox
+ * 8. Provides before/after size comparison report
+ *
+ * Images are served with a one-year immutable cache (see vercel.json), so every
+ * output filename includes a hash of its source image and settings. Images whose
+ * hash (which includes their focal point) matches the manifest are skipped, and the paths in paintings.json are
+ * updated whenever a hash changes.
  */
 
 const sharp = require('sharp');
+const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -18,12 +30,36 @@ const CONFIG = {
   outputDirs: {
     originals: './public/images/paintings/originals',
     thumbnails: './public/images/paintings/thumbs',
-    optimized: './public/images/paintings/optimized'
+    squares: './public/images/paintings/squares',
+    optimized: './public/images/paintings/optimized',
+    responsive: './public/images/paintings/responsive',
+    tiles: './public/images/paintings/tiles'
   },
+  manifestPath: './public/data/images.json',
+  dataPath: './public/data/paintings.json',
+  hashLength: 8,            // Characters of the content hash in output filenames
   thumbnailWidth: 600,      // Width for gallery grid
   fullSizeWidth: 1200,      // Width for lightbox view
   thumbnailQuality: 85,     // JPEG quality for thumbnails
   fullSizeQuality: 90,      // JPEG quality for full-size images
+  squareSize: 192,          // Square thumbnails (shown at up to 96px, so sharp on high-DPI screens)
+  squareQuality: 85,
+
+  // How crops find the interesting part of an image without a focal point in paintings.json:
+  // 'attention' (saturated colors and bright details) or 'entropy' (the most detailed region)
+  cropStrategy: 'attention',
+
+  // Responsive variants for srcset (never wider than the source image)
+  responsiveWidths: [400, 800, 1200, 1600, 2400],
+  responsiveFormats: {
+    avif: { quality: 55 },
+    webp: { quality: 80 },
+    jpeg: { quality: 85, progressive: true }
+  },
+
+  // Deep Zoom tiles for zooming in the lightbox (only for images wider than fullSizeWidth)
+  tileSize: 256,
+  tileQuality: 85
 };
 
 // Helper: Format bytes to human-readable
@@ -45,6 +81,172 @@ async function getFileSize(filePath) {
   }
 }
 
+// Helper: Convert a local path to the URL path it is served from
+function toWebPath(filePath) {
+  return '/' + path.relative('.', filePath).split(path.sep).join('/');
+}
+
+// Helper: Convert a URL path back to a local path
+function fromWebPath(webPath) {
+  return path.join('.', ...webPath.split('/'));
+}
+
+// Helper: Get the source filename an output was generated from
+// e.g. /public/images/paintings/thumbs/2_fall.1a2b3c4d.jpeg -> 2_fall.jpeg
+function getSourceName(webPath) {
+  const hashPattern = new RegExp(`\\.[0-9a-f]{${CONFIG.hashLength}}(?=\\.[^.]+$)`);
+  return path.posix.basename(webPath).replace(hashPattern, '');
+}
+
+// Find the largest image of a painting there is: its source, the backup of it, or
+// (for a checkout without the sources) the optimized image
+async function findSourceImage(painting) {
+  const sourceName = getSourceName(painting.image);
+  const candidates = [
+    path.join(CONFIG.inputDir, sourceName),
+    path.join(CONFIG.outputDirs.originals, sourceName),
+    fromWebPath(painting.image)
+  ];
+
+  for (const candidate of candidates) {
+    try {
+      await fs.access(candidate);
+      return candidate;
+    } catch (error) {
+      // Try the next candidate
+    }
+  }
+
+  return null;
+}
+
+// Hash a source image together with the settings that affect its outputs
+async function hashSource(inputPath, focalPoint) {
+  const settings = JSON.stringify([
+    CONFIG.thumbnailWidth,
+    CONFIG.fullSizeWidth,
+    CONFIG.thumbnailQuality,
+    CONFIG.fullSizeQuality,
+    CONFIG.squareSize,
+    CONFIG.squareQuality,
+    focalPoint || CONFIG.cropStrategy,
+    CONFIG.responsiveWidths,
+    CONFIG.responsiveFormats,
+    CONFIG.tileSize,
+    CONFIG.tileQuality
+  ]);
+
+  return crypto.createHash('sha256')
+    .update(await fs.readFile(inputPath))
+    .update(settings)
+    .digest('hex')
+    .slice(0, CONFIG.hashLength);
+}
+
+// List the local paths of every file (and tile directory) generated for a manifest entry
+function getOutputPaths(entry) {
+  const variants = Object.values(entry.sources || {}).flat();
+  const tiles = entry.tiles ? [entry.tiles.path, entry.tiles.path.replace(/_files$/, '.dzi')] : [];
+
+  return [entry.image, entry.thumbnail, entry.square, ...variants.map(variant => variant.src), ...tiles]
+    .filter(Boolean)
+    .map(fromWebPath);
+}
+
+// Get the size of every file generated for a manifest entry
+async function getOutputSizes(entry) {
+  let responsive = 0;
+
+  for (const variant of Object.values(entry.sources).flat()) {
+    responsive += await getFileSize(fromWebPath(variant.src));
+  }
+
+  return {
+    thumbnail: await getFileSize(fromWebPath(entry.thumbnail)),
+    optimized: await getFileSize(fromWebPath(entry.image)),
+    responsive
+  };
+}
+
+// Check that every file generated for a manifest entry is still on disk
+async function outputsExist(entry) {
+  for (const outputPath of getOutputPaths(entry)) {
+    try {
+      await fs.access(outputPath);
+    } catch (error) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// Delete generated files (and tile directories) that are no longer referenced
+async function removeFiles(filePaths) {
+  for (const filePath of filePaths) {
+    // force: already deleted is fine
+    await fs.rm(filePath, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Work out the largest region of an image with the given shape, centered as near the
+ * focal point as it fits
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} aspectRatio - Width / height of the region
+ * @param {Object} focalPoint - { x, y } as percentages of the width and height
+ * @returns {Object} Region for sharp's extract(): left, top, width, height
+ */
+function getCropRegion(width, height, aspectRatio, focalPoint) {
+  const regionWidth = Math.min(width, Math.round(height * aspectRatio));
+  const regionHeight = Math.min(height, Math.round(width / aspectRatio));
+  const clamp = (value, max) => Math.min(Math.max(Math.round(value), 0), max);
+
+  return {
+    left: clamp(width * focalPoint.x / 100 - regionWidth / 2, width - regionWidth),
+    top: clamp(height * focalPoint.y / 100 - regionHeight / 2, height - regionHeight),
+    width: regionWidth,
+    height: regionHeight
+  };
+}
+
+/**
+ * Crop an image to a shape, keeping its focal point in view. Without a focal point,
+ * sharp picks the region using CONFIG.cropStrategy.
+ * @param {string|Buffer} input - Image file or data
+ * @param {number} aspectRatio - Width / height of the crop
+ * @param {Object|null} focalPoint - { x, y } percentages, e.g. from paintings.json
+ * @returns {Promise<Buffer>} The largest region of that shape, at full resolution (EXIF rotation applied first)
+ */
+async function cropToAspect(input, aspectRatio, focalPoint = null) {
+  const { data, info } = await sharp(input).rotate().toBuffer({ resolveWithObject: true });
+  const region = getCropRegion(info.width, info.height, aspectRatio, focalPoint || { x: 50, y: 50 });
+
+  if (focalPoint) {
+    return sharp(data).extract(region).toBuffer();
+  }
+
+  return sharp(data)
+    .resize(region.width, region.height, { fit: 'cover', position: sharp.strategy[CONFIG.cropStrategy] })
+    .toBuffer();
+}
+
+// Map each source image to the focal point set for it in paintings.json (main images and extra views)
+async function readFocalPoints() {
+  const paintings = JSON.parse(await fs.readFile(CONFIG.dataPath, 'utf8'));
+  const focalPoints = {};
+
+  paintings.forEach(painting => {
+    [painting, ...(painting.views || [])].forEach(holder => {
+      if (holder.image && holder.focalPoint) {
+        focalPoints[getSourceName(holder.image)] = holder.focalPoint;
+      }
+    });
+  });
+
+  return focalPoints;
+}
+
 // Create necessary directories
 async function createDirectories() {
   for (const dir of Object.values(CONFIG.outputDirs)) {
@@ -53,18 +255,126 @@ async function createDirectories() {
   console.log('✓ Created output directories\n');
 }
 
+// Generate responsive variants of an image in every configured format
+async function generateVariants(inputPath, baseName) {
+  const { width: sourceWidth, height: sourceHeight } = await sharp(inputPath).metadata();
+
+  // Skip widths larger than the source, but keep the full source width available
+  const widths = CONFIG.responsiveWidths.filter(width => width < sourceWidth);
+  widths.push(Math.min(sourceWidth, Math.max(...CONFIG.responsiveWidths)));
+
+  const sources = {};
+
+  for (const [format, options] of Object.entries(CONFIG.responsiveFormats)) {
+    sources[format] = [];
+
+    for (const width of widths) {
+      const outputPath = path.join(CONFIG.outputDirs.responsive, `${baseName}-${width}.${format}`);
+
+      await sharp(inputPath)
+        .resize(width, null, { withoutEnlargement: true })
+        .toFormat(format, options)
+        .toFile(outputPath);
+
+      sources[format].push({ width, src: toWebPath(outputPath) });
+    }
+  }
+
+  return { width: sourceWidth, height: sourceHeight, sources };
+}
+
+// Cut an image into Deep Zoom tiles: a pyramid of levels, each halving the one above,
+// split into tiles at <baseName>_files/<level>/<column>_<row>.jpeg
+async function generateTiles(inputPath, baseName, width, height) {
+  const outputPath = path.join(CONFIG.outputDirs.tiles, `${baseName}.dz`);
+  const tilesDir = path.join(CONFIG.outputDirs.tiles, `${baseName}_files`);
+
+  await sharp(inputPath)
+    .jpeg({ quality: CONFIG.tileQuality })
+    .tile({ size: CONFIG.tileSize, overlap: 0, layout: 'dz' })
+    .toFile(outputPath);
+
+  // libvips also writes metadata nobody needs
+  await removeFiles([path.join(tilesDir, 'vips-properties.xml')]);
+
+  return {
+    path: toWebPath(tilesDir),
+    format: 'jpeg',
+    size: CONFIG.tileSize,
+    width,
+    height
+  };
+}
+
+// Read the image manifest
+async function readManifest() {
+  try {
+    return JSON.parse(await fs.readFile(CONFIG.manifestPath, 'utf8'));
+  } catch (error) {
+    // No manifest yet
+    return {};
+  }
+}
+
+// Write the image manifest read by the gallery and lightbox
+async function writeManifest(manifest) {
+  await fs.writeFile(CONFIG.manifestPath, JSON.stringify(manifest, null, 2));
+}
+
+// Point the image and thumbnail paths in paintings.json (and their extra views) at the current outputs
+async function updatePaintingPaths(manifest) {
+  const paintings = JSON.parse(await fs.readFile(CONFIG.dataPath, 'utf8'));
+  let updated = 0;
+
+  paintings.forEach(painting => {
+    [painting, ...(painting.views || [])].forEach(holder => {
+      ['image', 'thumbnail'].forEach(field => {
+        const entry = holder[field] && manifest[getSourceName(holder[field])];
+
+        if (entry && holder[field] !== entry[field]) {
+          holder[field] = entry[field];
+          updated++;
+        }
+      });
+    });
+  });
+
+  if (updated > 0) {
+    await fs.writeFile(CONFIG.dataPath, JSON.stringify(paintings, null, 2));
+  }
+
+  return updated;
+}
+
 // Process a single image
-async function processImage(filename) {
+async function processImage(filename, previousEntry = null, focalPoint = null) {
   const inputPath = path.join(CONFIG.inputDir, filename);
   const originalPath = path.join(CONFIG.outputDirs.originals, filename);
-  const thumbPath = path.join(CONFIG.outputDirs.thumbnails, filename);
-  const optimizedPath = path.join(CONFIG.outputDirs.optimized, filename);
 
   try {
     // Get original size
     const originalSize = await getFileSize(inputPath);
+    const hash = await hashSource(inputPath, focalPoint);
 
-    // Move original to backup folder
+    // Unchanged since the last run, so reuse the existing outputs
+    if (previousEntry && previousEntry.hash === hash && await outputsExist(previousEntry)) {
+      return {
+        filename,
+        skipped: true,
+        original: originalSize,
+        ...await getOutputSizes(previousEntry),
+        manifestEntry: previousEntry,
+        stalePaths: []
+      };
+    }
+
+    const { name, ext } = path.parse(filename);
+    const baseName = `${name}.${hash}`;
+    const thumbPath = path.join(CONFIG.outputDirs.thumbnails, `${baseName}${ext}`);
+    const optimizedPath = path.join(CONFIG.outputDirs.optimized, `${baseName}${ext}`);
+    const squarePath = path.join(CONFIG.outputDirs.squares, `${baseName}.jpeg`);
+
+    // Back up the original
     await fs.copyFile(inputPath, originalPath);
 
     // Generate thumbnail (600px wide, 85% quality)
@@ -85,21 +395,43 @@ async function processImage(filename) {
       .jpeg({ quality: CONFIG.fullSizeQuality, progressive: true })
       .toFile(optimizedPath);
 
-    // Get new sizes
-    const thumbSize = await getFileSize(thumbPath);
-    const optimizedSize = await getFileSize(optimizedPath);
+    // Generate square thumbnail, cropped around the focal point
+    await sharp(await cropToAspect(inputPath, 1, focalPoint))
+      .resize(CONFIG.squareSize, CONFIG.squareSize, { withoutEnlargement: true })
+      .jpeg({ quality: CONFIG.squareQuality, progressive: true })
+      .toFile(squarePath);
+
+    // Generate responsive AVIF/WebP/JPEG variants
+    const { width, height, sources } = await generateVariants(inputPath, baseName);
+
+    const manifestEntry = {
+      hash,
+      width,
+      height,
+      image: toWebPath(optimizedPath),
+      thumbnail: toWebPath(thumbPath),
+      square: toWebPath(squarePath),
+      sources
+    };
+
+    // Tiles from the full-resolution source only add detail beyond the lightbox image
+    if (width > CONFIG.fullSizeWidth) {
+      manifestEntry.tiles = await generateTiles(inputPath, baseName, width, height);
+    }
 
-    // Calculate savings
-    const thumbSavings = ((1 - thumbSize / originalSize) * 100).toFixed(1);
-    const optimizedSavings = ((1 - optimizedSize / originalSize) * 100).toFixed(1);
+    // Files from the previous version (or from before hashing) are replaced
+    const currentPaths = getOutputPaths(manifestEntry);
+    const previousPaths = previousEntry
+      ? getOutputPaths(previousEntry)
+      : [path.join(CONFIG.outputDirs.thumbnails, filename), path.join(CONFIG.outputDirs.optimized, filename)];
 
     return {
       filename,
+      skipped: false,
       original: originalSize,
-      thumbnail: thumbSize,
-      optimized: optimizedSize,
-      thumbSavings,
-      optimizedSavings
+      ...await getOutputSizes(manifestEntry),
+      manifestEntry,
+      stalePaths: previousPaths.filter(filePath => !currentPaths.includes(filePath))
     };
   } catch (error) {
     console.error(`✗ Error processing ${filename}:`, error.message);
@@ -122,17 +454,47 @@ async function main() {
       /\.(jpe?g|png)$/i.test(file) && !file.startsWith('.')
     );
 
+    const previousManifest = await readManifest();
+    const focalPoints = await readFocalPoints();
+    const manifest = {};
+    const stalePaths = [];
+
     console.log(`Found ${imageFiles.length} images to process\n`);
     console.log('Processing images...\n');
 
-    // Process all images in parallel
-    const results = await Promise.all(
-      imageFiles.map(file => processImage(file))
-    );
+    // Process one image at a time to keep memory use predictable
+    const results = [];
+
+    for (const file of imageFiles) {
+      const result = await processImage(file, previousManifest[file], focalPoints[file]);
+
+      if (result) {
+        manifest[file] = result.manifestEntry;
+        stalePaths.push(...result.stalePaths);
+        console.log(`${result.skipped ? '-' : '✓'} ${file}${result.skipped ? ' (unchanged)' : ''}`);
+      } else if (previousManifest[file]) {
+        // Keep serving the last good outputs
+        manifest[file] = previousManifest[file];
+      }
+
+      results.push(result);
+    }
+
+    // Source images that were removed no longer need their outputs
+    Object.keys(previousManifest)
+      .filter(file => !imageFiles.includes(file))
+      .forEach(file => stalePaths.push(...getOutputPaths(previousManifest[file])));
 
     // Filter out failed results
     const successfulResults = results.filter(r => r !== null);
 
+    // Record responsive variants for the gallery and lightbox
+    await writeManifest(manifest);
+
+    // Update paintings.json before removing anything it may still reference
+    const updatedPaths = await updatePaintingPaths(manifest);
+    await removeFiles(stalePaths);
+
     // Generate report
     console.log('\n' + '='.repeat(80));
     console.log('OPTIMIZATION REPORT');
@@ -141,6 +503,7 @@ async function main() {
     let totalOriginal = 0;
     let totalThumbs = 0;
     let totalOptimized = 0;
+    let totalResponsive = 0;
 
     console.log('File                              Original    Thumbnail   Optimized   Savings');
     console.log('-'.repeat(80));
@@ -149,12 +512,14 @@ async function main() {
       totalOriginal += result.original;
       totalThumbs += result.thumbnail;
       totalOptimized += result.optimized;
+      totalResponsive += result.responsive;
 
       const name = result.filename.padEnd(32);
       const orig = formatBytes(result.original).padStart(10);
       const thumb = formatBytes(result.thumbnail).padStart(10);
       const opt = formatBytes(result.optimized).padStart(10);
-      const savings = `${result.optimizedSavings}%`.padStart(8);
+      const optimizedSavings = ((1 - result.optimized / result.original) * 100).toFixed(1);
+      const savings = `${optimizedSavings}%`.padStart(8);
 
       console.log(`${name} ${orig}  ${thumb}  ${opt}  ${savings}`);
     });
@@ -166,18 +531,28 @@ async function main() {
 
     console.log(`${'TOTAL'.padEnd(32)} ${formatBytes(totalOriginal).padStart(10)}  ${formatBytes(totalThumbs).padStart(10)}  ${formatBytes(totalOptimized).padStart(10)}  ${totalOptimizedSavings.padStart(7)}%`);
 
+    const processedCount = successfulResults.filter(result => !result.skipped).length;
+
     console.log('\n' + '='.repeat(80));
     console.log('SUMMARY');
     console.log('='.repeat(80));
+    console.log(`Images processed:       ${processedCount} (${successfulResults.length - processedCount} unchanged)`);
     console.log(`Original total size:    ${formatBytes(totalOriginal)}`);
     console.log(`Thumbnail total:        ${formatBytes(totalThumbs)} (${totalThumbSavings}% reduction)`);
     console.log(`Optimized total:        ${formatBytes(totalOptimized)} (${totalOptimizedSavings}% reduction)`);
+    console.log(`Responsive variants:    ${formatBytes(totalResponsive)} (all widths and formats)`);
     console.log(`\nGallery initial load:   ${formatBytes(totalThumbs)} (thumbnails only)`);
     console.log(`Full gallery size:      ${formatBytes(totalThumbs + totalOptimized)} (if all lightboxes opened)`);
     console.log(`\n✓ Images optimized successfully!`);
     console.log(`\nOriginal images backed up to: ${CONFIG.outputDirs.originals}`);
     console.log(`Thumbnails created in: ${CONFIG.outputDirs.thumbnails}`);
+    console.log(`Square thumbnails in: ${CONFIG.outputDirs.squares} (${Object.keys(focalPoints).length} cropped around a focal point, the rest by ${CONFIG.cropStrategy})`);
     console.log(`Optimized images in: ${CONFIG.outputDirs.optimized}`);
+    console.log(`Responsive variants in: ${CONFIG.outputDirs.responsive}`);
+    console.log(`Zoom tiles in: ${CONFIG.outputDirs.tiles} (images wider than ${CONFIG.fullSizeWidth}px: ${Object.values(manifest).filter(entry => entry.tiles).length})`);
+    console.log(`Image manifest written to: ${CONFIG.manifestPath}`);
+    console.log(`Painting paths updated: ${updatedPaths} in ${CONFIG.dataPath}`);
+    console.log(`Stale files removed: ${stalePaths.length}`);
 
   } catch (error) {
     console.error('✗ Fatal error:', error);
@@ -185,5 +560,23 @@ async function main() {
   }
 }
 
-// Run the script
-main();
+// Run the script when called directly (other scripts reuse the pipeline)
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  CONFIG,
+  createDirectories,
+  processImage,
+  readManifest,
+  writeManifest,
+  getOutputPaths,
+  removeFiles,
+  getCropRegion,
+  cropToAspect,
+  getSourceName,
+  findSourceImage,
+  toWebPath,
+  fromWebPath
+};
@@ -0,0 +1,231 @@
+/**
+ * Service Worker
+ *
+ * Keeps the gallery working offline:
+ * - The page in each language (/, /fr/), styles, scripts, painting data and thumbnails
+ *   are cached when the service worker installs (the PRECACHE list, written by
+ *   generate-service-worker.js)
+ * - Pages and painting data come from the network when possible, so sales show up
+ *   straight away, and from the cache when offline
+ * - Other images (such as the lightbox's optimized images) are cached once viewed
+ *
+ * Each PRECACHE entry has a hash of the file's contents. When the list changes this
+ * file changes too, so browsers install the new version, which downloads only the
+ * files whose hash changed and then deletes the old copies.
+ */
+
+// precache:start
+const PRECACHE = [
+  ['/', 'dd219ca0f3'],
+  ['/fr/', '20bcc557b1'],
+  ['/css/styles.css', 'de112eed36'],
+  ['/js/cart.js', '66371a0362'],
+  ['/js/catalog.js', '7c05584dfd'],
+  ['/js/gallery.js', 'c38b5c9191'],
+  ['/js/i18n.js', '130c6b5358'],
+  ['/js/inquiry.js', '96079da1c5'],
+  ['/js/lightbox.js', '36fdcf78ac'],
+  ['/js/messages.js', '6c7e6fca8c'],
+  ['/js/picture.js', '7da4de95bf'],
+  ['/js/router.js', '73b5bda8d3'],
+  ['/js/scale.js', '527ffdea87'],
+  ['/js/structured-data.js', 'a650fd00e4'],
+  ['/js/toolbar.js', '31b86cac65'],
+  ['/js/units.js', '1dbb4b1f0d'],
+  ['/js/utils.js', 'e20cfdbb77'],
+  ['/js/zoom.js', '384a27ea92'],
+  ['/public/data/paintings.json', '36112e0204'],
+  ['/public/data/images.json', '44136fa355'],
+  ['/public/data/series.json', '92c099f686'],
+  ['/public/data/exhibitions.json', '37517e5f3d'],
+  ['/site.webmanifest', 'd0bc00be75'],
+  ['/public/images/favicon.ico', 'ef1d2579eb'],
+  ['/public/images/favicon.svg', '0c76391c5d'],
+  ['/public/images/android-chrome-192x192.png', 'b0bee694ca'],
+  ['/public/images/android-chrome-512x512.png', 'aeff1a6809'],
+  ['/public/images/paintings/thumbs/1_bluethunder.jpeg', '782fbeb92e'],
+  ['/public/images/paintings/thumbs/2_fall.jpeg', 'eda9bf7f31'],
+  ['/public/images/paintings/thumbs/3_crossroads_front.jpeg', 'e0d75616e0'],
+  ['/public/images/paintings/thumbs/4_boscoestrip.jpeg', 'a30234725a'],
+  ['/public/images/paintings/thumbs/5_energy_front.jpeg', 'dc5b71d8ed'],
+  ['/public/images/paintings/thumbs/6_windy.jpeg', 'd69eaef770'],
+  ['/public/images/paintings/thumbs/7_thecliffsatgayhead.jpeg', '0ecb551d4a'],
+  ['/public/images/paintings/thumbs/8_purplestallion.jpeg', '12d6053a81'],
+  ['/public/images/paintings/thumbs/9_neworleans.jpeg', '2d1c32177a'],
+  ['/public/images/paintings/thumbs/10_maskformardigras.jpeg', 'e918a4bb95'],
+  ['/public/images/paintings/thumbs/11_fiesta.jpeg', 'c0df1a291c'],
+  ['/public/images/paintings/thumbs/12_Sunflower.jpeg', '25e141bb03'],
+  ['/public/images/paintings/thumbs/13_bluesdragon.jpeg', 'f99c53fbf5'],
+  ['/public/images/paintings/thumbs/14_falltears_front.jpeg', 'b75cee3847'],
+  ['/public/images/paintings/thumbs/15_fallbreeze_front.jpeg', '210e2f46bc'],
+  ['/public/images/paintings/thumbs/16_gowiththeflow.jpeg', '2e4ee3d4bf']
+];
+// precache:end
+
+const CACHES = {
+  precache: 'georgie-originals-precache',
+  pages: 'georgie-originals-pages-v1',
+  data: 'georgie-originals-data-v1',
+  images: 'georgie-originals-images-v1'
+};
+
+// Images viewed in the lightbox are kept up to this many, oldest dropped first
+const MAX_CACHED_IMAGES = 100;
+
+// Requests that always need the network
+const NETWORK_ONLY = ['/api/', '/_vercel/', '/public/images/paintings/tiles/'];
+
+// Precached entries are stored under a URL that includes their hash, the same URL
+// build-static.js gives the pages' styles and scripts (e.g. /js/gallery.js?v=1a2b3c4d5e)
+function getCacheKey(url, revision) {
+  return `${url}?v=${revision}`;
+}
+
+const precacheKeys = new Map(PRECACHE.map(([url, revision]) => [url, getCacheKey(url, revision)]));
+
+async function matchPrecache(path) {
+  const key = precacheKeys.get(path);
+  return key ? (await caches.open(CACHES.precache)).match(key) : undefined;
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHES.precache);
+
+    await Promise.all(PRECACHE.map(async ([url, revision]) => {
+      const key = getCacheKey(url, revision);
+
+      // Unchanged since the previous version
+      if (await cache.match(key)) return;
+
+      // Skip the HTTP cache, which may still hold the old file
+      const response = await fetch(key, { cache: 'reload' });
+
+      if (!response.ok) {
+        throw new Error(`Could not precache ${url} (HTTP ${response.status})`);
+      }
+
+      await cache.put(key, response);
+    }));
+
+    // Nothing cached is tied to a page, so the new version can take over at once
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const current = new Set(precacheKeys.values());
+    const cache = await caches.open(CACHES.precache);
+
+    // Drop files from previous versions
+    for (const request of await cache.keys()) {
+      const url = new URL(request.url);
+
+      if (!current.has(url.pathname + url.search)) {
+        await cache.delete(request);
+      }
+    }
+
+    // And runtime caches from older versions of this file
+    for (const name of await caches.keys()) {
+      if (!Object.values(CACHES).includes(name)) {
+        await caches.delete(name);
+      }
+    }
+
+    await self.clients.claim();
+  })());
+});
+
+// Fetch from the network and keep a copy; fall back to the copy, then to the precached fallback path
+async function networkFirst(request, cacheName, fallbackPath) {
+  const path = new URL(request.url).pathname;
+  const cache = await caches.open(cacheName);
+
+  try {
+    const response = await fetch(request);
+
+    if (response.ok) {
+      await cache.put(path, response.clone());
+    }
+
+    return response;
+  } catch (error) {
+    return (await cache.match(path)) || (await matchPrecache(fallbackPath)) || Response.error();
+  }
+}
+
+// The precached gallery page in the language of a path, e.g. /fr/ for /fr/paintings/fall/
+function findGalleryPage(path) {
+  const folder = `/${path.split('/')[1]}/`;
+  return precacheKeys.has(folder) ? folder : '/';
+}
+
+// Responsive variants (e.g. responsive/1_bluethunder.a1b2c3d4-800.webp) and square thumbnails
+// (squares/1_bluethunder.a1b2c3d4.jpeg) were made from the same image as a thumbnail
+// (thumbs/1_bluethunder.a1b2c3d4.jpeg), which is shown instead offline
+function findThumbnail(path) {
+  const match = /\/(?:responsive\/(.+)-\d+|squares\/(.+))\.\w+$/.exec(path);
+  if (!match) return null;
+
+  const prefix = `/public/images/paintings/thumbs/${match[1] || match[2]}.`;
+  return [...precacheKeys.keys()].find(url => url.startsWith(prefix)) || null;
+}
+
+async function cacheFirstImage(request) {
+  const path = new URL(request.url).pathname;
+  const cached = (await matchPrecache(path)) || (await caches.match(request));
+
+  if (cached) return cached;
+
+  try {
+    const response = await fetch(request);
+
+    if (response.ok) {
+      const cache = await caches.open(CACHES.images);
+      await cache.put(request, response.clone());
+
+      const keys = await cache.keys();
+      await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_CACHED_IMAGES)).map(key => cache.delete(key)));
+    }
+
+    return response;
+  } catch (error) {
+    const thumbnail = findThumbnail(path);
+    return (thumbnail && await matchPrecache(thumbnail)) || Response.error();
+  }
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method !== 'GET' || url.origin !== self.location.origin ||
+      NETWORK_ONLY.some(prefix => url.pathname.startsWith(prefix))) {
+    return;
+  }
+
+  // Pages (including /?painting=... links) fall back to the precached gallery in their language
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, CACHES.pages, findGalleryPage(url.pathname)));
+    return;
+  }
+
+  if (url.pathname.startsWith('/public/data/')) {
+    event.respondWith(networkFirst(request, CACHES.data, url.pathname));
+    return;
+  }
+
+  if (url.pathname.startsWith('/public/images/')) {
+    event.respondWith(cacheFirstImage(request));
+    return;
+  }
+
+  if (precacheKeys.has(url.pathname)) {
+    // A page built after this service worker asks for a newer version than it has
+    if (url.searchParams.has('v') && precacheKeys.get(url.pathname) !== url.pathname + url.search) return;
+
+    event.respondWith((async () => (await matchPrecache(url.pathname)) || fetch(request))());
+  }
+});
@@ -0,0 +1,65 @@
+/**
+ * Tests for checking photos are large enough for their prints (check-prints.js)
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkPrintResolution, findOriginalImage } = require('../check-prints.js');
+const paintings = require('../public/data/paintings.json');
+
+// A 4:3 photo
+const image = { width: 4800, height: 3600 };
+
+describe('checkPrintResolution', () => {
+  test('passes a paper print with 300 DPI, whichever way round it is', () => {
+    const landscape = checkPrintResolution({ width: 16, height: 12, unit: 'in' }, image, 'paper');
+    const portrait = checkPrintResolution({ width: 12, height: 16, unit: 'in' }, image, 'paper');
+
+    assert.deepEqual(landscape, { dpi: 300, targetDpi: 300, ok: true, cropped: false, needed: { width: 4800, height: 3600 } });
+    assert.equal(portrait.dpi, 300);
+    assert.equal(portrait.ok, true);
+  });
+
+  test('converts metric sizes to inches', () => {
+    const result = checkPrintResolution({ width: 40.64, height: 30.48, unit: 'cm' }, image, 'paper');
+
+    assert.equal(result.dpi, 300);
+  });
+
+  test('flags prints below the target DPI, with the pixels they would need', () => {
+    const result = checkPrintResolution({ width: 32, height: 24, unit: 'in' }, image, 'paper');
+
+    assert.equal(result.dpi, 150);
+    assert.equal(result.ok, false);
+    assert.deepEqual(result.needed, { width: 9600, height: 7200 });
+  });
+
+  test('expects less of canvas, and treats unknown materials as paper', () => {
+    assert.equal(checkPrintResolution({ width: 32, height: 24, unit: 'in' }, image, 'canvas').ok, true);
+    assert.equal(checkPrintResolution({ width: 32, height: 24, unit: 'in' }, image, 'vinyl').targetDpi, 300);
+  });
+
+  test('checks a print of another shape as the photo cropped to fill it', () => {
+    const result = checkPrintResolution({ width: 36, height: 24, unit: 'in' }, image, 'canvas');
+
+    // The photo's 4800px long side is what limits a 3:2 print
+    assert.equal(result.dpi, 133);
+    assert.equal(result.cropped, true);
+  });
+});
+
+describe('findOriginalImage', () => {
+  const findPainting = name => paintings.find(painting => painting.image.includes(name));
+
+  test('finds the original photo a painting was optimized from', async () => {
+    const result = await findOriginalImage(findPainting('1_bluethunder'));
+
+    assert.deepEqual(result, { path: 'public/images/paintings/1_bluethunder.jpeg', optimized: false });
+  });
+
+  test('doesn\'t pass off the optimized copy as the original', async () => {
+    const result = await findOriginalImage(findPainting('14_falltears'));
+
+    assert.deepEqual(result, { path: null, optimized: true });
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Tests for starting a checkout (api/checkout.js) and choosing the payment provider
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHandler } = require('../api/checkout.js');
+const { getProvider, providers } = require('../api/_lib/payments.js');
+const { createMemoryStore, callHandler, withEnv } = require('./helpers/api.js');
+
+// A provider that records the checkouts it's asked to create
+function createProvider() {
+  return {
+    checkouts: [],
+
+    async createCheckout(checkout) {
+      this.checkouts.push(checkout);
+      return { id: `test_${this.checkouts.length}`, url: `https://pay.example/${this.checkouts.length}` };
+    }
+  };
+}
+
+// Post a cart to a handler using the fixture catalog
+async function checkout(items, { provider = createProvider(), store = createMemoryStore() } = {}) {
+  const response = await callHandler(createHandler({ provider, store }), { body: { items } });
+  return { ...response, provider };
+}
+
+describe('Checkout', () => {
+  test('prices items from the catalog, not the request', async () => {
+    const { status, body, provider } = await checkout([
+      { paintingId: 'blue-thunder', option: 'original', price: 1 },
+      { paintingId: 'fall', option: 'poster', quantity: 3 }
+    ]);
+
+    assert.equal(status, 200);
+    assert.deepEqual(body, { ok: true, url: 'https://pay.example/1' });
+
+    const [{ lineItems, metadata, successUrl }] = provider.checkouts;
+    assert.deepEqual(lineItems.map(({ name, amount, currency, quantity }) => ({ name, amount, currency, quantity })), [
+      { name: 'Blue Thunder (original)', amount: 120000, currency: 'USD', quantity: 1 },
+      { name: 'Fall - Poster', amount: 2000, currency: 'USD', quantity: 3 }
+    ]);
+    assert.deepEqual(metadata, { originals: '1', editions: '' });
+    assert.equal(successUrl, 'https://georgieoriginals.com/?checkout=success');
+  });
+
+  test('records limited edition prints, adding up the same print listed twice', async () => {
+    const { status, provider } = await checkout([
+      { paintingId: 1, option: 'a3-giclee', quantity: 1 },
+      { paintingId: 1, option: 'a3-giclee', quantity: 1 }
+    ]);
+
+    assert.equal(status, 200);
+    assert.equal(provider.checkouts[0].metadata.editions, '1:a3-giclee:2');
+  });
+
+  test('sells an original only once, however many times it is listed', async () => {
+    const { provider } = await checkout([
+      { paintingId: 1, option: 'original' },
+      { paintingId: 1, option: 'original' }
+    ]);
+
+    assert.equal(provider.checkouts[0].lineItems.length, 1);
+    assert.equal(provider.checkouts[0].metadata.originals, '1');
+  });
+
+  test('refuses more of a limited edition than is left', async () => {
+    const { status, body, provider } = await checkout([
+      { paintingId: 1, option: 'a3-giclee', quantity: 2 },
+      { paintingId: 1, option: 'a3-giclee', quantity: 1 }
+    ]);
+
+    assert.equal(status, 400);
+    assert.match(body.error, /Only 2 of "Blue Thunder - A3 giclée print" are left/);
+    assert.equal(provider.checkouts.length, 0);
+  });
+
+  test('refuses what can no longer be bought', async () => {
+    const cases = [
+      [{ paintingId: 'fall', option: 'original' }, /"Fall" is no longer available/],
+      [{ paintingId: 'sunflower', option: 'original' }, /"Sunflower" is no longer available/],
+      [{ paintingId: 1, option: 'canvas-large' }, /"Blue Thunder" is no longer available/],
+      [{ paintingId: 99, option: 'original' }, /Something in your cart is no longer available/]
+    ];
+
+    for (const [item, error] of cases) {
+      const { status, body } = await checkout([item]);
+      assert.equal(status, 400);
+      assert.match(body.error, error);
+    }
+  });
+
+  test('sends each error as a message key and its params, with titles in the visitor\'s language', async () => {
+    const response = await callHandler(createHandler({ provider: createProvider(), store: createMemoryStore() }), {
+      body: { items: [{ paintingId: 1, option: 'a3-giclee', quantity: 3 }], locale: 'fr' }
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, 'cart.editionLeft');
+    assert.deepEqual(response.body.params, { count: 2, title: 'Tonnerre bleu', option: 'A3 giclée print' });
+    assert.equal(response.body.error, 'Only 2 of "Tonnerre bleu - A3 giclée print" are left.');
+
+    const { body } = await checkout([]);
+    assert.deepEqual(body, { ok: false, error: 'Your cart is empty.', code: 'cart.empty', params: {} });
+  });
+
+  test('checks sales the deployed catalog doesn\'t show yet', async () => {
+    const store = createMemoryStore();
+    store.paintings[0].status = 'sold';
+
+    const { status } = await checkout([{ paintingId: 1, option: 'original' }], { store });
+
+    assert.equal(status, 400);
+  });
+
+  test('limits the number of items and the quantity of each print', async () => {
+    const cases = [
+      [[], /Your cart is empty/],
+      [undefined, /Your cart is empty/],
+      [Array.from({ length: 21 }, () => ({ paintingId: 'fall', option: 'poster' })), /at most 20 items/],
+      [[{ paintingId: 'fall', option: 'poster', quantity: 11 }], /between 1 and 10/],
+      [[{ paintingId: 'fall', option: 'poster', quantity: 1.5 }], /between 1 and 10/],
+      [[{ paintingId: 'fall', option: 'poster', quantity: -1 }], /between 1 and 10/]
+    ];
+
+    for (const [items, error] of cases) {
+      const { status, body } = await checkout(items);
+      assert.equal(status, 400);
+      assert.match(body.error, error);
+    }
+  });
+
+  test('rejects other methods and malformed bodies', async () => {
+    const handler = createHandler({ provider: createProvider(), store: createMemoryStore() });
+
+    const get = await callHandler(handler, { method: 'GET' });
+    assert.equal(get.status, 405);
+    assert.equal(get.headers.allow, 'POST');
+
+    const malformed = await callHandler(handler, { body: '{"items": [' });
+    assert.equal(malformed.status, 400);
+  });
+
+  test('answers 502 when the payment provider fails', async () => {
+    const provider = { createCheckout: async () => { throw new Error('Provider down'); } };
+    const originalError = console.error;
+    console.error = () => {};
+
+    try {
+      const { status, body } = await checkout([{ paintingId: 1, option: 'original' }], { provider });
+      assert.equal(status, 502);
+      assert.match(body.error, /checkout is unavailable/);
+    } finally {
+      console.error = originalError;
+    }
+  });
+});
+
+describe('getProvider', () => {
+  test('uses the fake provider locally and Stripe in deployments', async () => {
+    await withEnv({ PAYMENT_PROVIDER: undefined, VERCEL_ENV: undefined }, () => {
+      assert.equal(getProvider(), providers.fake);
+    });
+
+    await withEnv({ PAYMENT_PROVIDER: undefined, VERCEL_ENV: 'development' }, () => {
+      assert.equal(getProvider(), providers.fake);
+    });
+
+    await withEnv({ PAYMENT_PROVIDER: undefined, VERCEL_ENV: 'preview' }, () => {
+      assert.equal(getProvider(), providers.stripe);
+    });
+  });
+
+  test('refuses the fake provider in preview and production deployments', async () => {
+    for (const env of ['preview', 'production']) {
+      await withEnv({ PAYMENT_PROVIDER: 'fake', VERCEL_ENV: env }, () => {
+        assert.throws(() => getProvider(), /can't be used in a Vercel deployment/);
+      });
+    }
+  });
+
+  test('rejects unknown providers', () => {
+    assert.throws(() => getProvider('paypal'), /Unknown PAYMENT_PROVIDER "paypal"/);
+  });
+});
@@ -0,0 +1,435 @@
+/**
+ * Tests for the gallery grid (js/gallery.js) on index.html
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, readFixture, jsonResponse } = require('./helpers/page.js');
+
+// Titles of the paintings shown in the grid, in order
+function getTitles(document) {
+  return [...document.querySelectorAll('.gallery-item .painting-title')].map(title => title.textContent);
+}
+
+describe('Gallery.init', () => {
+  test('shows a loading message until the paintings have loaded', async () => {
+    let respond;
+    const page = await loadPage({
+      fetch: (url) => url === '/public/data/paintings.json'
+        ? new Promise(resolve => { respond = resolve; })
+        : undefined
+    });
+
+    assert.equal(page.document.querySelector('.gallery-loading').textContent, 'Loading gallery...');
+    assert.equal(page.document.querySelectorAll('.gallery-item').length, 0);
+
+    respond(jsonResponse(readFixture('paintings.json')));
+    await page.settle();
+
+    assert.equal(page.document.querySelector('.gallery-loading'), null);
+    assert.equal(page.document.querySelectorAll('.gallery-item').length, 4);
+    page.close();
+  });
+
+  test('retries, then shows an error with a Retry button when the paintings can\'t be loaded', async () => {
+    let failing = true;
+    let requests = 0;
+    const page = await loadPage({
+      fetch: (url) => {
+        if (url !== '/public/data/paintings.json') return undefined;
+
+        requests++;
+        return failing ? jsonResponse({}, 500) : undefined;
+      }
+    });
+
+    // Retried after 500ms, then 1s
+    await page.settle(1600);
+
+    assert.equal(requests, 3);
+    assert.equal(
+      page.document.querySelector('.gallery-error').textContent,
+      'Failed to load gallery. Check your connection and try again.'
+    );
+    assert.ok(page.errors.some(error => error.includes('Gallery initialization error')));
+
+    failing = false;
+    page.document.querySelector('.gallery-retry').click();
+    await page.settle();
+
+    assert.equal(page.document.querySelector('.gallery-error'), null);
+    assert.equal(page.document.querySelectorAll('.gallery-item').length, 4);
+    page.close();
+  });
+
+  test('keeps the pre-rendered gallery when the paintings can\'t be loaded', async () => {
+    const page = await loadPage({
+      prerendered: true,
+      fetch: (url) => url === '/public/data/paintings.json' ? jsonResponse({}, 404) : undefined
+    });
+
+    assert.equal(page.document.querySelector('.gallery-error'), null);
+    assert.ok(page.document.querySelectorAll('.gallery-item').length > 0);
+    assert.ok(page.errors.some(error => error.includes('Gallery initialization error')));
+    page.close();
+  });
+
+  test('shows a message when there are no paintings', async () => {
+    const page = await loadPage({ paintings: [] });
+
+    assert.equal(
+      page.document.querySelector('.gallery-error').textContent,
+      'No paintings available at this time.'
+    );
+    page.close();
+  });
+
+  test('still loads without the image manifest', async () => {
+    const page = await loadPage({
+      fetch: (url) => url === '/public/data/images.json' ? jsonResponse({}, 404) : undefined
+    });
+
+    assert.equal(page.document.querySelectorAll('.gallery-item').length, 4);
+    assert.ok(!page.errors.some(error => error.includes('Gallery initialization error')));
+    page.close();
+  });
+
+  test('reuses the pre-rendered gallery when it matches the data', async () => {
+    // index.html is pre-rendered from the site's own data
+    const page = await loadPage({ prerendered: true, paintings: require('../public/data/paintings.json') });
+    const Gallery = page.global('Gallery');
+    const first = page.document.querySelector('.gallery-item');
+
+    assert.equal(page.document.querySelectorAll('.gallery-item').length, Gallery.paintings.length);
+
+    // Hydrated items open the lightbox just like rendered ones
+    first.click();
+    assert.equal(page.global('Lightbox').isOpen, true);
+    page.close();
+  });
+});
+
+describe('Gallery.createGalleryItem', () => {
+  test('renders a link to the painting\'s page with its title and details', async () => {
+    const page = await loadPage();
+    const Gallery = page.global('Gallery');
+    const painting = Gallery.paintings[0];
+    const item = Gallery.createGalleryItem(painting, 0);
+
+    assert.equal(item.tagName, 'A');
+    assert.equal(item.getAttribute('href'), '/paintings/blue-thunder/');
+    assert.equal(item.dataset.index, '0');
+    assert.equal(item.getAttribute('aria-label'), 'View Blue Thunder in lightbox');
+    assert.equal(item.querySelector('.painting-title').textContent, 'Blue Thunder');
+    assert.equal(item.querySelector('.painting-details').textContent, '2020 • Oil on Canvas • 36 × 24 in');
+
+    const img = item.querySelector('picture img');
+    assert.equal(img.getAttribute('src'), painting.thumbnail);
+    assert.equal(img.getAttribute('alt'), 'Blue Thunder by Georgie Originals');
+    assert.equal(img.getAttribute('loading'), 'lazy');
+    page.close();
+  });
+
+  test('shows a Sold badge on sold paintings only', async () => {
+    const page = await loadPage();
+    const Gallery = page.global('Gallery');
+
+    const sold = Gallery.createGalleryItem(Gallery.paintings[1], 1).querySelector('.status-badge');
+    assert.equal(sold.textContent, 'Sold');
+    assert.ok(sold.classList.contains('status-sold'));
+
+    assert.equal(Gallery.createGalleryItem(Gallery.paintings[0], 0).querySelector('.status-badge'), null);
+    page.close();
+  });
+
+  test('shows when a hold ends', async () => {
+    const page = await loadPage();
+    const Gallery = page.global('Gallery');
+    const badge = Gallery.createGalleryItem(Gallery.paintings[3], 3).querySelector('.status-badge');
+
+    assert.equal(badge.textContent, 'On hold until Dec 31');
+    assert.ok(badge.classList.contains('status-hold'));
+    page.close();
+  });
+
+  test('crops the grid image around the painting\'s focal point', async () => {
+    const page = await loadPage();
+    const Gallery = page.global('Gallery');
+
+    const sunflower = Gallery.createGalleryItem(Gallery.paintings[3], 3).querySelector('img');
+    assert.equal(sunflower.style.objectPosition, '52% 30%');
+
+    const blueThunder = Gallery.createGalleryItem(Gallery.paintings[0], 0).querySelector('img');
+    assert.equal(blueThunder.getAttribute('style'), null);
+    page.close();
+  });
+
+  test('lists a painting\'s tags', async () => {
+    const page = await loadPage();
+    const Gallery = page.global('Gallery');
+    const tags = Gallery.createGalleryItem(Gallery.paintings[0], 0).querySelectorAll('.tag-list .tag');
+
+    assert.deepEqual([...tags].map(tag => tag.textContent), ['nature', 'night']);
+    assert.equal(Gallery.createGalleryItem(Gallery.paintings[2], 2).querySelector('.tag-list'), null);
+    page.close();
+  });
+
+  test('renders every painting in the grid, in order', async () => {
+    const page = await loadPage();
+
+    assert.deepEqual(getTitles(page.document), ['Blue Thunder', 'Fall', 'Crossroads', 'Sunflower']);
+    assert.equal(page.document.querySelectorAll('.gallery-item .status-badge').length, 2);
+    page.close();
+  });
+});
+
+describe('Gallery.filter', () => {
+  test('shows sold or available paintings, or all of them again', async () => {
+    const page = await loadPage();
+    const Gallery = page.global('Gallery');
+
+    Gallery.filter(false);
+    assert.deepEqual(getTitles(page.document), ['Fall']);
+    assert.equal(page.window.location.search, '?status=sold');
+
+    Gallery.filter(true);
+    assert.deepEqual(getTitles(page.document), ['Blue Thunder', 'Crossroads']);
+
+    Gallery.filter('hold');
+    assert.deepEqual(getTitles(page.document), ['Sunflower']);
+
+    Gallery.filter(null);
+    assert.deepEqual(getTitles(page.document), ['Blue Thunder', 'Fall', 'Crossroads', 'Sunflower']);
+    assert.equal(page.window.location.search, '');
+    page.close();
+  });
+
+  test('combines criteria and limits lightbox navigation to the paintings shown', async () => {
+    const page = await loadPage();
+    const Gallery = page.global('Gallery');
+
+    Gallery.filter({ medium: 'acrylic' });
+    assert.deepEqual(getTitles(page.document), ['Crossroads', 'Sunflower']);
+    assert.deepEqual(page.global('Lightbox').sequence, [2, 3]);
+
+    Gallery.filter({ q: 'sun' });
+    assert.deepEqual(getTitles(page.document), ['Sunflower']);
+    page.close();
+  });
+
+  test('shows a message when nothing matches', async () => {
+    const page = await loadPage();
+
+    page.global('Gallery').filter({ q: 'no such painting' });
+
+    assert.equal(page.document.querySelector('.gallery-empty').textContent, 'No paintings match these filters.');
+    assert.equal(page.document.querySelectorAll('.gallery-item').length, 0);
+    page.close();
+  });
+
+  test('filters by tag, including tags in the search', async () => {
+    const page = await loadPage();
+    const Gallery = page.global('Gallery');
+
+    Gallery.filter({ tag: 'nature' });
+    assert.deepEqual(getTitles(page.document), ['Blue Thunder', 'Fall']);
+    assert.equal(page.window.location.search, '?tag=nature');
+    assert.equal(page.document.querySelector('.toolbar-select[name="tag"]').value, 'nature');
+
+    Gallery.filter({ tag: '', q: 'flowers' });
+    assert.deepEqual(getTitles(page.document), ['Sunflower']);
+    page.close();
+  });
+
+  test('restores the filters from a shared link', async () => {
+    const page = await loadPage({ url: '/?status=sold' });
+
+    assert.deepEqual(getTitles(page.document), ['Fall']);
+    page.close();
+  });
+});
+
+describe('Gallery series', () => {
+  // Headings of the series sections, in order
+  function getSections(document) {
+    return [...document.querySelectorAll('.gallery-series')].map(section => ({
+      title: section.querySelector('.gallery-series-title').textContent,
+      paintings: getTitles(section)
+    }));
+  }
+
+  test('groups the paintings by series, in the order of series.json, with the others last', async () => {
+    const page = await loadPage();
+    const Gallery = page.global('Gallery');
+
+    Gallery.filter({ view: 'series' });
+
+    assert.deepEqual(getSections(page.document), [
+      { title: 'Seasons', paintings: ['Fall', 'Sunflower'] },
+      { title: 'Journeys', paintings: ['Crossroads'] },
+      { title: 'Other paintings', paintings: ['Blue Thunder'] }
+    ]);
+    assert.equal(
+      page.document.querySelector('.gallery-series-description').textContent,
+      'Paintings of the turning year.'
+    );
+    assert.equal(page.window.location.search, '?view=series');
+
+    // The lightbox moves through the sections in order
+    assert.deepEqual([...page.global('Lightbox').sequence], [1, 3, 2, 0]);
+    page.close();
+  });
+
+  test('applies filters within the sections, leaving out empty ones', async () => {
+    const page = await loadPage({ url: '/?view=series&medium=acrylic' });
+
+    assert.deepEqual(getSections(page.document), [
+      { title: 'Seasons', paintings: ['Sunflower'] },
+      { title: 'Journeys', paintings: ['Crossroads'] }
+    ]);
+    page.close();
+  });
+
+  test('shows one series from its link, with its title and description', async () => {
+    const page = await loadPage({ url: '/?series=seasons' });
+
+    assert.deepEqual(getSections(page.document), [
+      { title: 'Seasons', paintings: ['Fall', 'Sunflower'] }
+    ]);
+    assert.equal(page.document.querySelector('.toolbar-select[name="series"]').value, 'seasons');
+    page.close();
+  });
+
+  test('shows a series on its own when its heading is clicked', async () => {
+    const page = await loadPage({ url: '/?view=series' });
+    const heading = page.document.querySelectorAll('.gallery-series-title a')[1];
+
+    assert.equal(heading.getAttribute('href'), '/?view=series&series=journeys');
+    heading.click();
+
+    assert.deepEqual(getSections(page.document), [
+      { title: 'Journeys', paintings: ['Crossroads'] }
+    ]);
+    assert.equal(page.window.location.search, '?view=series&series=journeys');
+    page.close();
+  });
+
+  test('renders the grid when the pre-rendered markup can\'t show the sections', async () => {
+    const page = await loadPage({
+      url: '/?view=series',
+      prerendered: true,
+      paintings: require('../public/data/paintings.json'),
+      series: require('../public/data/series.json')
+    });
+
+    assert.equal(page.document.querySelectorAll('.gallery-series').length, 3);
+    page.close();
+  });
+});
+
+describe('Gallery saved data', () => {
+  const paintingsKey = 'georgie-originals-data:/public/data/paintings.json';
+
+  // localStorage entries for data saved by an earlier visit
+  function saved(paintings, etag = null) {
+    return { [paintingsKey]: JSON.stringify({ etag, data: paintings }) };
+  }
+
+  test('starts from the paintings saved on an earlier visit, then shows the latest', async () => {
+    const paintings = readFixture('paintings.json');
+    let respond;
+    const page = await loadPage({
+      storage: saved(paintings.slice(0, 2)),
+      fetch: (url) => url === '/public/data/paintings.json'
+        ? new Promise(resolve => { respond = resolve; })
+        : undefined
+    });
+
+    assert.equal(page.document.querySelector('.gallery-loading'), null);
+    assert.deepEqual(getTitles(page.document), ['Blue Thunder', 'Fall']);
+
+    respond(jsonResponse(paintings));
+    await page.settle();
+
+    assert.deepEqual(getTitles(page.document), ['Blue Thunder', 'Fall', 'Crossroads', 'Sunflower']);
+    assert.equal(page.document.querySelector('.toolbar-count').textContent, '4 paintings');
+    assert.equal(page.document.querySelectorAll('.gallery-toolbar').length, 1);
+    assert.equal(JSON.parse(page.window.localStorage.getItem(paintingsKey)).data.length, 4);
+    page.close();
+  });
+
+  test('checks the cart against the latest paintings, and keeps one unit toggle', async () => {
+    const paintings = readFixture('paintings.json');
+    const latest = readFixture('paintings.json');
+    latest[0].status = 'sold';
+    latest[0].prints[0].edition.remaining = 1;
+
+    const page = await loadPage({
+      storage: {
+        ...saved(paintings),
+        'georgie-originals-cart': JSON.stringify([
+          { paintingId: 1, option: 'original', quantity: 1 },
+          { paintingId: 1, option: 'a3-giclee', quantity: 2 }
+        ])
+      },
+      fetch: (url) => url === '/public/data/paintings.json' ? jsonResponse(latest) : undefined
+    });
+    await page.settle();
+
+    const Cart = page.global('Cart');
+    const Units = page.global('Units');
+
+    const items = [{ paintingId: 1, option: 'a3-giclee', quantity: 1 }];
+    assert.deepEqual(JSON.parse(JSON.stringify(Cart.items)), items);
+    assert.deepEqual(JSON.parse(page.window.localStorage.getItem('georgie-originals-cart')), items);
+    assert.equal(page.document.querySelector('.cart-count').textContent, '1');
+
+    // The replaced toolbar's toggle is no longer kept up to date
+    assert.equal(Units.toggles.length, 1);
+    assert.ok(page.document.contains(Units.toggles[0]));
+    page.close();
+  });
+
+  test('saves the paintings with their ETag, and revalidates them with it', async () => {
+    const paintings = readFixture('paintings.json');
+    const first = await loadPage({
+      fetch: (url) => url === '/public/data/paintings.json'
+        ? new Response(JSON.stringify(paintings), { headers: { ETag: '"v1"' } })
+        : undefined
+    });
+    const storage = { [paintingsKey]: first.window.localStorage.getItem(paintingsKey) };
+    first.close();
+
+    let sent;
+    const page = await loadPage({
+      storage,
+      fetch: (url, init) => {
+        if (url !== '/public/data/paintings.json') return undefined;
+
+        sent = init.headers['If-None-Match'];
+        return new Response(null, { status: 304 });
+      }
+    });
+
+    assert.equal(sent, '"v1"');
+    assert.equal(page.document.querySelectorAll('.gallery-item').length, 4);
+    assert.deepEqual(page.errors, []);
+    page.close();
+  });
+
+  test('keeps showing the saved paintings when offline', async () => {
+    const page = await loadPage({
+      storage: saved(readFixture('paintings.json')),
+      fetch: (url) => url === '/public/data/paintings.json'
+        ? Promise.reject(new TypeError('Failed to fetch'))
+        : undefined
+    });
+
+    await page.settle(1600);
+
+    assert.equal(page.document.querySelector('.gallery-error'), null);
+    assert.equal(page.document.querySelectorAll('.gallery-item').length, 4);
+    assert.deepEqual(page.errors, []);
+    page.close();
+  });
+});
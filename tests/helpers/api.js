@@ -0,0 +1,134 @@
+/**
+ * Test helper: calls the serverless functions in api/ with stand-ins for Node's
+ * request and response, a catalog store and checkout log kept in memory and fixture data, so the
+ * tests never reach a payment provider, GitHub or a mail service.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Read the fixture paintings, as a fresh copy each time
+ * @returns {Array} Paintings
+ */
+function readPaintings() {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'paintings.json'), 'utf8'));
+}
+
+/**
+ * Create a catalog store that keeps paintings.json in memory
+ * @param {Array} paintings - Starting catalog (default: the fixture paintings)
+ * @returns {Object} Store with read() and update(), plus paintings and the commit messages written
+ */
+function createMemoryStore(paintings = readPaintings()) {
+  return {
+    paintings,
+    messages: [],
+
+    async read() {
+      return JSON.parse(JSON.stringify(this.paintings));
+    },
+
+    // Same contract as the stores in api/_lib/catalog-store.js
+    async update(change, message) {
+      const paintings = await this.read();
+
+      if (!change(paintings)) return;
+
+      this.paintings = paintings;
+      this.messages.push(typeof message === 'function' ? message() : message);
+    }
+  };
+}
+
+/**
+ * Create a checkout log kept in memory
+ * @param {Object} entries - Starting entries, checkout id → time claimed (default: none)
+ * @returns {Object} Store with read() and update(), plus entries and the commit messages written
+ */
+function createMemoryLog(entries = {}) {
+  return {
+    entries,
+    messages: [],
+
+    async read() {
+      return JSON.parse(JSON.stringify(this.entries));
+    },
+
+    async update(change, message) {
+      const entries = await this.read();
+
+      if (!change(entries)) return;
+
+      this.entries = entries;
+      this.messages.push(message);
+    }
+  };
+}
+
+/**
+ * Call a request handler
+ * @param {Function} handler - Handler taking (req, res)
+ * @param {Object} options - Request
+ * @param {string} options.method - HTTP method (default: POST)
+ * @param {Object|string} options.body - Body, sent as JSON unless it is already a string
+ * @param {Object} options.headers - Request headers, lowercase
+ * @returns {Promise<{status: number, headers: Object, body: Object}>} Response, with the body parsed
+ */
+async function callHandler(handler, { method = 'POST', body = '', headers = {} } = {}) {
+  const raw = typeof body === 'string' ? body : JSON.stringify(body);
+
+  // Streamed like an IncomingMessage, with no req.body, as under a bare http.createServer()
+  const req = {
+    method,
+    headers,
+    async *[Symbol.asyncIterator]() {
+      if (raw) yield Buffer.from(raw);
+    }
+  };
+
+  const res = {
+    statusCode: 200,
+    headers: {},
+    text: '',
+
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+
+    end(text = '') {
+      this.text = text;
+    }
+  };
+
+  await handler(req, res);
+
+  return { status: res.statusCode, headers: res.headers, body: res.text ? JSON.parse(res.text) : null };
+}
+
+/**
+ * Run a function with environment variables set, restoring them afterwards
+ * @param {Object} values - Variables to set (undefined to unset)
+ * @param {Function} fn - Function to run, may be async
+ * @returns {Promise<any>} What fn returned
+ */
+async function withEnv(values, fn) {
+  const previous = {};
+
+  Object.entries(values).forEach(([name, value]) => {
+    previous[name] = process.env[name];
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  });
+
+  try {
+    return await fn();
+  } finally {
+    Object.entries(previous).forEach(([name, value]) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+  }
+}
+
+module.exports = { readPaintings, createMemoryStore, createMemoryLog, callHandler, withEnv };
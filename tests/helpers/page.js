@@ -0,0 +1,168 @@
+/**
+ * Test helper: loads index.html in jsdom the way a browser would, running the site's
+ * scripts against fixture data. Nothing is fetched from the network, so the tests
+ * run offline and in CI.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole, requestInterceptor } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+const ORIGIN = 'https://georgieoriginals.test';
+
+/**
+ * Read a file from tests/fixtures
+ * @param {string} name - Fixture filename
+ * @returns {any} Parsed JSON
+ */
+function readFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'fixtures', name), 'utf8'));
+}
+
+// Build a JSON response for the page's fetch()
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+// Serve the site's scripts from the working tree; everything else (styles, fonts,
+// analytics) is left out, as the tests don't need it
+const serveScripts = requestInterceptor((request) => {
+  const url = new URL(request.url);
+
+  if (url.origin === ORIGIN && url.pathname.startsWith('/js/')) {
+    const filePath = path.join(ROOT, url.pathname);
+
+    if (fs.existsSync(filePath)) {
+      return new Response(fs.readFileSync(filePath), {
+        headers: { 'Content-Type': 'application/javascript' }
+      });
+    }
+  }
+
+  return new Response('', { status: 404 });
+});
+
+/**
+ * Wait for pending fetches, timers and promise callbacks in the page to run
+ * @param {number} ms - How long to wait (default: 20)
+ * @returns {Promise<void>}
+ */
+function settle(ms = 20) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Load the gallery page
+ * @param {Object} options - Options
+ * @param {string} options.url - Path and query string to load (default: '/'); /fr/ loads the
+ *   French home page written by build-static.js
+ * @param {Array} options.paintings - paintings.json contents (default: tests/fixtures/paintings.json)
+ * @param {Object} options.images - images.json contents (default: no responsive variants)
+ * @param {Array} options.series - series.json contents (default: tests/fixtures/series.json)
+ * @param {Array} options.exhibitions - exhibitions.json contents (default: tests/fixtures/exhibitions.json)
+ * @param {Function} options.fetch - Called with the path and options of each request the page makes;
+ *   return a Response (or a promise of one) to answer it, or undefined for the default
+ * @param {boolean} options.prerendered - Keep the gallery pre-rendered into index.html (default: false,
+ *   so the gallery is rendered from the fixture)
+ * @param {Object} options.storage - localStorage entries to set before the page's scripts run
+ * @returns {Promise<Object>} { window, document, errors, global(name), settle(), close() }
+ */
+async function loadPage(options = {}) {
+  const {
+    url = '/',
+    paintings = readFixture('paintings.json'),
+    images = {},
+    series = readFixture('series.json'),
+    exhibitions = readFixture('exhibitions.json'),
+    fetch = () => undefined,
+    prerendered = false,
+    storage = {}
+  } = options;
+
+  // console.error calls from the page, e.g. a failed load
+  const errors = [];
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('error', (...args) => errors.push(args.map(String).join(' ')));
+
+  const { pathname } = new URL(url, ORIGIN);
+  const html = fs.readFileSync(path.join(ROOT, pathname, 'index.html'), 'utf8');
+
+  const dom = new JSDOM(html, {
+    url: ORIGIN + url,
+    runScripts: 'dangerously',
+    resources: { interceptors: [serveScripts] },
+    pretendToBeVisual: true,
+    virtualConsole,
+    beforeParse(window) {
+      window.fetch = async (input, init = {}) => {
+        const requestUrl = new URL(input, window.location.href);
+        const response = await fetch(requestUrl.pathname, init);
+
+        if (response) return response;
+
+        switch (requestUrl.pathname) {
+          case '/public/data/paintings.json':
+            return jsonResponse(paintings);
+          case '/public/data/images.json':
+            return jsonResponse(images);
+          case '/public/data/series.json':
+            return jsonResponse(series);
+          case '/public/data/exhibitions.json':
+            return jsonResponse(exhibitions);
+          default:
+            return jsonResponse({ error: 'Not found' }, 404);
+        }
+      };
+
+      Object.entries(storage).forEach(([key, value]) => window.localStorage.setItem(key, value));
+
+      // Not implemented by jsdom
+      window.scrollTo = () => {};
+      window.HTMLElement.prototype.scrollIntoView = () => {};
+
+      // Runs before the page's own DOMContentLoaded handler starts the gallery
+      window.document.addEventListener('DOMContentLoaded', () => {
+        if (!prerendered) {
+          window.document.querySelector('#gallery-container').innerHTML = '';
+        }
+      });
+    }
+  });
+
+  const { window } = dom;
+
+  await new Promise(resolve => window.addEventListener('load', resolve));
+  await settle();
+
+  return {
+    window,
+    document: window.document,
+    errors,
+
+    /**
+     * Get one of the page's script modules (declared with const, so not on window)
+     * @param {string} name - e.g. 'Gallery'
+     * @returns {any} The module
+     */
+    global(name) {
+      return window.eval(name);
+    },
+
+    settle,
+
+    close() {
+      window.close();
+    }
+  };
+}
+
+module.exports = {
+  loadPage,
+  readFixture,
+  jsonResponse,
+  settle
+};
@@ -0,0 +1,194 @@
+/**
+ * Tests for translating the site (js/i18n.js and js/messages.js)
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const I18n = require('../js/i18n.js');
+const { loadPage, jsonResponse } = require('./helpers/page.js');
+const checkout = require('../api/checkout.js');
+const inquire = require('../api/inquire.js');
+const { createMemoryStore, callHandler } = require('./helpers/api.js');
+
+// Answer the page's request with a handler's response
+async function respondWith(handler, init) {
+  const { status, body } = await callHandler(handler, { body: init.body });
+  return jsonResponse(body, status);
+}
+
+// Titles of the paintings shown in the grid, in order
+function getTitles(document) {
+  return [...document.querySelectorAll('.gallery-item .painting-title')].map(title => title.textContent);
+}
+
+describe('I18n.t', () => {
+  test('fills in placeholders, formatting numbers for the language', () => {
+    assert.equal(I18n.t('inquiry.tooLong', { limit: 5000 }, 'en'), 'Please keep this under 5,000 characters');
+    assert.match(I18n.t('inquiry.tooLong', { limit: 5000 }, 'fr'), /5\s000/);
+  });
+
+  test('picks the plural form from the count', () => {
+    assert.equal(I18n.t('toolbar.count', { count: 1 }, 'en'), '1 painting');
+    assert.equal(I18n.t('toolbar.count', { count: 4 }, 'en'), '4 paintings');
+    assert.equal(I18n.t('toolbar.count', { count: 4 }, 'fr'), '4 peintures');
+  });
+
+  test('falls back to English, then to the key', () => {
+    assert.equal(I18n.t('nav.about', {}, 'de'), 'About');
+    assert.equal(I18n.t('no.such.message', {}, 'fr'), 'no.such.message');
+  });
+
+  test('has every English message in every language', () => {
+    const keys = Object.keys(I18n.messages[I18n.DEFAULT_LOCALE]);
+
+    Object.keys(I18n.LOCALES).forEach(locale => {
+      assert.deepEqual(keys.filter(key => !(key in I18n.messages[locale])), [], locale);
+    });
+  });
+});
+
+describe('I18n.translateError', () => {
+  test('translates an error sent as a message key, or falls back when the key is unknown', () => {
+    assert.equal(I18n.translateError({ code: 'cart.quantityRange', params: { max: 10 } }, 'cart.unavailable', 'fr'),
+      'Veuillez choisir entre 1 et 10 exemplaires de chaque reproduction.');
+    assert.equal(I18n.translateError({ error: 'Invalid request' }, 'cart.unavailable', 'fr'), I18n.t('cart.unavailable', {}, 'fr'));
+    assert.equal(I18n.translateError({ code: 'constructor' }, 'inquiry.failed'), I18n.t('inquiry.failed'));
+  });
+});
+
+describe('I18n.detect and I18n.localize', () => {
+  test('picks the first of the browser\'s languages the site is offered in', () => {
+    assert.equal(I18n.detect(['fr-CA', 'en-US']), 'fr');
+    assert.equal(I18n.detect(['de-DE', 'en-GB']), 'en');
+    assert.equal(I18n.detect(['de-DE']), 'en');
+  });
+
+  test('uses a translated field, or the English one if it hasn\'t been translated', () => {
+    const painting = { title: 'Fall', description: 'Leaves.', translations: { fr: { title: 'Automne' } } };
+
+    assert.equal(I18n.localize(painting, 'title', 'fr'), 'Automne');
+    assert.equal(I18n.localize(painting, 'description', 'fr'), 'Leaves.');
+    assert.equal(I18n.localize(painting, 'title', 'en'), 'Fall');
+  });
+});
+
+describe('I18n on index.html', () => {
+  test('translates the page and the gallery from ?lang=, remembering the choice', async () => {
+    const page = await loadPage({ url: '/?lang=fr' });
+
+    assert.equal(page.document.documentElement.lang, 'fr');
+    assert.equal(page.document.querySelector('#gallery h2').textContent, 'Galerie');
+    assert.equal(page.document.querySelector('.toolbar-count').textContent, '4 peintures');
+    assert.deepEqual(getTitles(page.document), ['Tonnerre bleu', 'Fall', 'Crossroads', 'Sunflower']);
+    assert.equal(page.window.localStorage.getItem(I18n.storageKey), 'fr');
+    page.close();
+  });
+
+  test('shows translated mediums, and the English one where there is no translation', async () => {
+    const page = await loadPage({ url: '/?lang=fr&painting=blue-thunder' });
+    const Catalog = page.global('Catalog');
+    const paintings = page.global('Gallery').paintings;
+
+    assert.match(page.document.querySelector('.lightbox-details').textContent, /Huile sur toile/);
+    assert.match(Catalog.getDetailsText(paintings[0]), /^2020 • Huile sur toile • /);
+    assert.match(Catalog.getDetailsText(paintings[2]), /Acrylic on Canvas/);
+    page.close();
+  });
+
+  test('uses the saved language when the URL doesn\'t name one', async () => {
+    const page = await loadPage({ storage: { [I18n.storageKey]: 'fr' } });
+
+    assert.equal(page.document.documentElement.lang, 'fr');
+    assert.equal(page.document.querySelector('.lightbox-close').getAttribute('aria-label'), 'Fermer');
+    page.close();
+  });
+
+  test('stays in English for English browsers, and ignores unknown languages', async () => {
+    const page = await loadPage({ url: '/?lang=xx' });
+
+    assert.equal(page.document.documentElement.lang, 'en');
+    assert.equal(page.document.querySelector('#gallery h2').textContent, 'Gallery');
+    assert.equal(page.window.localStorage.getItem(I18n.storageKey), null);
+    page.close();
+  });
+
+  test('adds links to the page in each language, keeping the filters being viewed', async () => {
+    const page = await loadPage({ url: '/?lang=fr&series=seasons' });
+    const links = [...page.document.querySelectorAll('.locale-switcher a')];
+
+    assert.equal(page.document.querySelector('.locale-nav').hidden, false);
+    assert.deepEqual(links.map(link => link.getAttribute('hreflang')), ['en', 'fr']);
+    assert.equal(links[0].getAttribute('href'), '/?lang=en&series=seasons');
+    assert.equal(links[1].getAttribute('href'), '/fr/?series=seasons');
+    assert.equal(links[1].getAttribute('aria-current'), 'true');
+    assert.equal(page.document.querySelector('.gallery-series-title').textContent, 'Saisons');
+    page.close();
+  });
+
+  test('serves the French home page from /fr/, remembering the choice', async () => {
+    const page = await loadPage({ url: '/fr/' });
+
+    assert.equal(page.document.documentElement.lang, 'fr');
+    assert.equal(page.document.querySelector('#gallery h2').textContent, 'Galerie');
+    assert.deepEqual(getTitles(page.document), ['Tonnerre bleu', 'Fall', 'Crossroads', 'Sunflower']);
+    assert.equal(page.window.localStorage.getItem(I18n.storageKey), 'fr');
+    assert.equal(page.document.querySelector('.locale-switcher a').getAttribute('href'), '/?lang=en');
+    page.close();
+  });
+
+  test('keeps the pre-rendered French gallery, and translates it back with ?lang=en', async () => {
+    // fr/index.html is pre-rendered from the site's own data
+    const french = await loadPage({ url: '/fr/', paintings: require('../public/data/paintings.json'), prerendered: true });
+
+    assert.equal(french.global('Gallery').hydrate(), true);
+    french.close();
+
+    const english = await loadPage({ url: '/fr/?lang=en' });
+
+    assert.equal(english.document.documentElement.lang, 'en');
+    assert.equal(english.document.querySelector('#gallery h2').textContent, 'Gallery');
+    assert.equal(getTitles(english.document)[0], 'Blue Thunder');
+    english.close();
+  });
+
+  test('shows errors from the API in the visitor\'s language', async () => {
+    const store = createMemoryStore();
+    store.paintings[0].status = 'sold';
+
+    const provider = { createCheckout: async () => ({ url: 'https://pay.example/1' }) };
+    const transport = { send: async () => {} };
+
+    const page = await loadPage({
+      url: '/fr/',
+      fetch: (pathname, init) => {
+        if (pathname === '/api/checkout') return respondWith(checkout.createHandler({ provider, store }), init);
+        if (pathname === '/api/inquire') return respondWith(inquire.createHandler({ transport }), init);
+        if (pathname === '/api/unknown') return jsonResponse({ ok: false, error: 'Oops', code: 'no.such.message' }, 500);
+      }
+    });
+    const Cart = page.global('Cart');
+    const Inquiry = page.global('Inquiry');
+
+    // Sold since the page loaded
+    Cart.add(page.global('Gallery').paintings[0]);
+    await Cart.checkout();
+    assert.equal(page.document.querySelector('.cart-message').textContent,
+      '« Tonnerre bleu » n\'est plus disponible. Veuillez le retirer de votre panier.');
+
+    // No longer listed, as far as the API knows
+    const form = Inquiry.form;
+    form.elements.name.value = 'Ada';
+    form.elements.email.value = 'ada@example.com';
+    form.elements.message.value = 'Bonjour';
+    form.elements.paintingId.value = '9999';
+    await Inquiry.submit();
+    assert.equal(form.querySelector('.inquiry-status').textContent,
+      'Cette peinture n\'est plus présentée. Veuillez recharger la page et réessayer.');
+
+    // Codes the page doesn't know fall back to the general message
+    Cart.endpoint = '/api/unknown';
+    await Cart.checkout();
+    assert.equal(page.document.querySelector('.cart-message').textContent, I18n.t('cart.unavailable', {}, 'fr'));
+    page.close();
+  });
+});
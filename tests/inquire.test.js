@@ -0,0 +1,111 @@
+/**
+ * Tests for sending inquiries (api/inquire.js)
+ */
+
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Catalog = require('../js/catalog.js');
+const { createHandler } = require('../api/inquire.js');
+const { transports } = require('../api/_lib/mail.js');
+const paintings = require('../public/data/paintings.json');
+const { callHandler } = require('./helpers/api.js');
+
+const stub = transports.stub;
+const fields = { name: 'Ada  Lovelace ', email: 'ada@example.com', message: 'Is it still available?' };
+
+// The handler looks paintings up in the real catalog, so pick one that is still for sale
+const painting = paintings.find(candidate => Catalog.getStatus(candidate) === 'available');
+
+function inquire(body, transport = stub) {
+  return callHandler(createHandler({ transport }), { body });
+}
+
+describe('Inquire', () => {
+  const originalLog = console.log;
+  const originalError = console.error;
+
+  before(() => {
+    console.log = () => {};
+    console.error = () => {};
+  });
+
+  after(() => {
+    console.log = originalLog;
+    console.error = originalError;
+  });
+
+  beforeEach(() => {
+    stub.sent.length = 0;
+  });
+
+  test('emails a general message to the artist, replying to the visitor', async () => {
+    const { status, body } = await inquire(fields);
+
+    assert.equal(status, 200);
+    assert.deepEqual(body, { ok: true });
+    assert.equal(stub.sent.length, 1);
+
+    const [message] = stub.sent;
+    assert.equal(message.replyTo, 'ada@example.com');
+    assert.equal(message.subject, 'Message from Ada Lovelace - Georgie Originals');
+    assert.match(message.text, /^Name: Ada Lovelace\nEmail: ada@example.com\n\nIs it still available\?$/);
+  });
+
+  test('names the painting asked about, with its link', async () => {
+    await inquire({ ...fields, paintingId: String(painting.id) });
+
+    const [message] = stub.sent;
+    assert.equal(message.subject, `Inquiry about "${painting.title}" - Georgie Originals`);
+    assert.match(message.text, new RegExp(`Painting: ${painting.title} \\(id ${painting.id}\\)`));
+    assert.match(message.text, new RegExp(`Link: https://georgieoriginals.com/paintings/${painting.slug}/`));
+  });
+
+  test('reports each invalid field', async () => {
+    const { status, body } = await inquire({ name: ' ', email: 'not-an-email', message: 'x'.repeat(5001) });
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Please correct the highlighted fields.');
+    assert.equal(body.code, 'inquiry.checkFields');
+    assert.deepEqual(Object.keys(body.errors).sort(), ['email', 'message', 'name']);
+    assert.deepEqual(body.codes.message, { code: 'inquiry.tooLong', params: { limit: 5000 } });
+    assert.equal(body.errors.message, 'Please keep this under 5,000 characters');
+    assert.equal(stub.sent.length, 0);
+  });
+
+  test('asks the visitor to reload when the painting is no longer listed', async () => {
+    const { status, body } = await inquire({ ...fields, paintingId: 9999 });
+
+    assert.equal(status, 400);
+    assert.match(body.error, /no longer listed/);
+    assert.equal(body.code, 'inquiry.paintingRemoved');
+    assert.deepEqual(body.codes, { paintingId: { code: 'inquiry.unknownPainting', params: {} } });
+  });
+
+  test('pretends to accept spam that fills in the honeypot', async () => {
+    const { status, body } = await inquire({ ...fields, website: 'https://spam.example' });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body, { ok: true });
+    assert.equal(stub.sent.length, 0);
+  });
+
+  test('rejects other methods and malformed bodies', async () => {
+    const get = await callHandler(createHandler({ transport: stub }), { method: 'GET' });
+    assert.equal(get.status, 405);
+
+    const malformed = await inquire('{"name":');
+    assert.equal(malformed.status, 400);
+
+    const notAnObject = await inquire('"hello"');
+    assert.equal(notAnObject.status, 400);
+  });
+
+  test('answers 502 when the message can\'t be sent', async () => {
+    const transport = { send: async () => { throw new Error('Mail down'); } };
+
+    const { status, body } = await inquire(fields, transport);
+
+    assert.equal(status, 502);
+    assert.match(body.error, /could not be sent/);
+  });
+});
@@ -0,0 +1,407 @@
+/**
+ * Tests for the lightbox (js/lightbox.js) opened from the gallery on index.html
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/page.js');
+
+// Load the page and open the lightbox by clicking a gallery item
+async function openFromGallery(position = 0, options = {}) {
+  const page = await loadPage(options);
+  const item = page.document.querySelectorAll('.gallery-item')[position];
+
+  item.focus();
+  item.click();
+
+  return { page, item, Lightbox: page.global('Lightbox'), lightbox: page.document.querySelector('.lightbox') };
+}
+
+function getTitle(page) {
+  return page.document.querySelector('.lightbox-title').textContent;
+}
+
+function pressKey(page, key, target = page.document) {
+  target.dispatchEvent(new page.window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+}
+
+// Resolves once the history entry the lightbox added has been left (history.back() is asynchronous)
+function nextPopstate(page) {
+  return new Promise(resolve => page.window.addEventListener('popstate', () => setTimeout(resolve), { once: true }));
+}
+
+// jsdom has no Touch constructor, so give plain events the one property the lightbox reads
+function swipe(page, fromX, toX) {
+  const area = page.document.querySelector('.lightbox-image-container');
+  const touch = (type, screenX) => Object.assign(new page.window.Event(type), { changedTouches: [{ screenX }] });
+
+  area.dispatchEvent(touch('touchstart', fromX));
+  area.dispatchEvent(touch('touchend', toX));
+}
+
+describe('Lightbox open and close', () => {
+  test('opens on the clicked painting as a labelled modal dialog', async () => {
+    const { page, Lightbox, lightbox } = await openFromGallery(1);
+
+    assert.equal(Lightbox.isOpen, true);
+    assert.ok(lightbox.classList.contains('active'));
+    assert.equal(lightbox.getAttribute('aria-hidden'), 'false');
+    assert.equal(lightbox.getAttribute('role'), 'dialog');
+    assert.equal(lightbox.getAttribute('aria-modal'), 'true');
+    assert.equal(page.document.getElementById(lightbox.getAttribute('aria-labelledby')).textContent, 'Fall');
+    assert.equal(page.document.querySelector('.lightbox-image').getAttribute('src'), '/public/images/paintings/optimized/2_fall.jpeg');
+    assert.equal(page.document.activeElement, page.document.querySelector('.lightbox-close'));
+    page.close();
+  });
+
+  test('puts the painting in the URL and page title', async () => {
+    const { page } = await openFromGallery(2);
+
+    assert.equal(page.window.location.search, '?painting=crossroads');
+    assert.equal(page.document.title, 'Crossroads - Georgie Originals');
+    page.close();
+  });
+
+  test('makes the rest of the page inert while open', async () => {
+    const { page, Lightbox, lightbox } = await openFromGallery();
+    const inert = () => [...page.document.body.children].filter(element => element.hasAttribute('inert'));
+
+    assert.ok(inert().some(element => element.tagName === 'MAIN'));
+    assert.ok(!inert().includes(lightbox));
+    assert.ok(!inert().includes(page.document.querySelector('dialog.cart')));
+
+    Lightbox.close();
+    assert.deepEqual(inert(), []);
+    page.close();
+  });
+
+  test('closes with the close button and returns focus to the gallery item', async () => {
+    const { page, item, Lightbox, lightbox } = await openFromGallery(1);
+    const pageTitle = Lightbox.pageTitle;
+    const popstate = nextPopstate(page);
+
+    page.document.querySelector('.lightbox-close').click();
+    await popstate;
+
+    assert.equal(Lightbox.isOpen, false);
+    assert.ok(!lightbox.classList.contains('active'));
+    assert.equal(lightbox.getAttribute('aria-hidden'), 'true');
+    assert.equal(page.window.location.search, '');
+    assert.equal(page.document.title, pageTitle);
+    assert.equal(page.document.activeElement, item);
+    page.close();
+  });
+
+  test('closes when the overlay is clicked', async () => {
+    const { page, Lightbox } = await openFromGallery();
+
+    page.document.querySelector('.lightbox-overlay').click();
+
+    assert.equal(Lightbox.isOpen, false);
+    page.close();
+  });
+
+  test('opens the painting named in a shared link, and focuses its item when closed', async () => {
+    const page = await loadPage({ url: '/?painting=sunflower' });
+    const Lightbox = page.global('Lightbox');
+
+    assert.equal(Lightbox.isOpen, true);
+    assert.equal(getTitle(page), 'Sunflower');
+
+    Lightbox.close();
+    assert.equal(page.window.location.search, '');
+    assert.equal(page.document.activeElement.dataset.index, '3');
+    page.close();
+  });
+
+  test('closes when Back is pressed', async () => {
+    const { page, Lightbox } = await openFromGallery();
+    const popstate = nextPopstate(page);
+
+    page.window.history.back();
+    await popstate;
+
+    assert.equal(Lightbox.isOpen, false);
+    page.close();
+  });
+});
+
+describe('Lightbox navigation', () => {
+  test('moves to the next and previous painting', async () => {
+    const { page, Lightbox } = await openFromGallery(1);
+
+    Lightbox.next();
+    assert.equal(getTitle(page), 'Crossroads');
+    assert.equal(page.window.location.search, '?painting=crossroads');
+    assert.equal(page.document.querySelector('.lightbox-counter').textContent, '3 / 4');
+
+    Lightbox.prev();
+    assert.equal(getTitle(page), 'Fall');
+    page.close();
+  });
+
+  test('wraps around at either end', async () => {
+    const { page, Lightbox } = await openFromGallery(3);
+
+    page.document.querySelector('.lightbox-next').click();
+    assert.equal(getTitle(page), 'Blue Thunder');
+    assert.equal(page.document.querySelector('.lightbox-counter').textContent, '1 / 4');
+
+    page.document.querySelector('.lightbox-prev').click();
+    assert.equal(getTitle(page), 'Sunflower');
+    page.close();
+  });
+
+  test('only moves through the paintings the filters show', async () => {
+    const page = await loadPage({ url: '/?medium=acrylic' });
+    const Lightbox = page.global('Lightbox');
+
+    page.document.querySelector('.gallery-item').click();
+    assert.equal(getTitle(page), 'Crossroads');
+
+    Lightbox.next();
+    assert.equal(getTitle(page), 'Sunflower');
+    Lightbox.next();
+    assert.equal(getTitle(page), 'Crossroads');
+    page.close();
+  });
+
+  test('announces the new painting to screen readers', async () => {
+    const { page, Lightbox } = await openFromGallery();
+    const status = page.document.querySelector('.lightbox-status');
+
+    Lightbox.next();
+
+    assert.equal(status.getAttribute('role'), 'status');
+    assert.equal(status.textContent, 'Fall, 2 of 4');
+    page.close();
+  });
+
+  test('shows a painting\'s other views and the status of sold paintings', async () => {
+    const { page, Lightbox } = await openFromGallery(1);
+
+    assert.equal(page.document.querySelector('.lightbox .status-badge').textContent, 'Sold');
+    assert.equal(page.document.querySelector('.lightbox-views'), null);
+
+    Lightbox.next();
+    const views = page.document.querySelectorAll('.lightbox-view');
+    assert.equal(views.length, 2);
+
+    views[1].click();
+    assert.equal(page.document.querySelector('.lightbox-image').getAttribute('src'), '/public/images/paintings/optimized/3_crossroads_side.jpeg');
+    assert.equal(views[1].getAttribute('aria-pressed'), 'true');
+    page.close();
+  });
+});
+
+describe('Lightbox series and tags', () => {
+  test('shows the painting\'s series and tags', async () => {
+    const { page, Lightbox } = await openFromGallery(1);
+
+    assert.equal(page.document.querySelector('.lightbox-series').textContent, 'Part of the Seasons series');
+    assert.deepEqual([...page.document.querySelectorAll('.lightbox-tags .tag')].map(tag => tag.textContent), ['nature']);
+
+    Lightbox.prev();
+    assert.equal(page.document.querySelector('.lightbox-series'), null);
+    page.close();
+  });
+
+  test('choosing a tag closes the lightbox and shows the paintings with that tag', async () => {
+    const { page, Lightbox } = await openFromGallery();
+    const popstate = nextPopstate(page);
+
+    page.document.querySelectorAll('.lightbox-tags .tag')[1].click();
+    await popstate;
+
+    assert.equal(Lightbox.isOpen, false);
+    assert.equal(page.window.location.search, '?tag=night');
+    assert.deepEqual([...page.document.querySelectorAll('.gallery-item .painting-title')].map(title => title.textContent), ['Blue Thunder']);
+    assert.equal(page.document.activeElement, page.document.querySelector('.gallery-item'));
+    page.close();
+  });
+
+  test('choosing the series shows the series on its own', async () => {
+    const page = await loadPage({ url: '/?painting=sunflower' });
+
+    page.document.querySelector('.lightbox-series').click();
+
+    assert.equal(page.global('Lightbox').isOpen, false);
+    assert.equal(page.window.location.search, '?series=seasons');
+    assert.equal(page.document.querySelector('.gallery-series-title').textContent, 'Seasons');
+    page.close();
+  });
+});
+
+describe('Lightbox exhibitions', () => {
+  test('lists where the painting has been exhibited, most recent first, under its description', async () => {
+    const { page, Lightbox } = await openFromGallery();
+    const list = page.document.querySelector('.lightbox-exhibitions');
+    const Catalog = page.global('Catalog');
+    const dates = Catalog.formatExhibitionDates({ start: '2022-06-01', end: '2022-06-30' });
+
+    assert.equal(list.previousElementSibling.className, 'lightbox-description');
+    assert.deepEqual([...list.querySelectorAll('li')].map(item => item.textContent), [
+      'Exhibited at The Studio, Portland (Apr 15, 2023)',
+      `Exhibited at Harbor Gallery, Portland (Harbor Show, ${dates})`
+    ]);
+
+    Lightbox.next();
+    assert.equal(page.document.querySelector('.lightbox-exhibitions'), null);
+    page.close();
+  });
+
+  test('leaves exhibitions out when exhibitions.json can\'t be loaded', async () => {
+    const { page } = await openFromGallery(0, {
+      fetch: (pathname) => pathname === '/public/data/exhibitions.json' ? new Response('', { status: 404 }) : undefined
+    });
+
+    assert.equal(page.document.querySelector('.lightbox-exhibitions'), null);
+    assert.equal(getTitle(page), 'Blue Thunder');
+    page.close();
+  });
+});
+
+describe('Lightbox purchase', () => {
+  test('offers the original and its prints in a picker, leaving out sold-out editions', async () => {
+    const { page } = await openFromGallery();
+    const variants = [...page.document.querySelectorAll('.lightbox-variant')];
+    const buyBtn = page.document.querySelector('.lightbox-buy');
+
+    assert.deepEqual(variants.map(variant => variant.querySelector('.lightbox-variant-label').textContent), ['Original painting', 'A3 giclée print']);
+    assert.equal(variants[1].querySelector('.lightbox-variant-details').textContent, '16.5 × 11.7 in • Fine art paper • Limited edition of 50, 2 left');
+    assert.equal(variants[0].querySelector('input').checked, true);
+    assert.equal(buyBtn.textContent, 'Buy original · $1,200');
+
+    const radio = variants[1].querySelector('input');
+    radio.checked = true;
+    radio.dispatchEvent(new page.window.Event('change', { bubbles: true }));
+    assert.equal(buyBtn.textContent, 'Buy A3 giclée print · $45');
+
+    buyBtn.click();
+    assert.deepEqual({ ...page.global('Cart').items[0] }, { paintingId: 1, option: 'a3-giclee', quantity: 1 });
+    page.close();
+  });
+
+  test('shows a single print as a Buy button with its details', async () => {
+    const { page } = await openFromGallery(1);
+
+    assert.equal(page.document.querySelector('.lightbox-variants'), null);
+    assert.equal(page.document.querySelector('.lightbox-purchase .lightbox-variant-details').textContent, '24 × 18 in • Fine art paper');
+    assert.equal(page.document.querySelector('.lightbox-buy').textContent, 'Buy Poster · $20');
+    page.close();
+  });
+
+  test('arrow keys in the picker move between its choices, not the paintings', async () => {
+    const { page } = await openFromGallery();
+
+    pressKey(page, 'ArrowRight', page.document.querySelector('.lightbox-variant input'));
+    assert.equal(getTitle(page), 'Blue Thunder');
+    page.close();
+  });
+
+  test('the cart holds no more of a limited edition than are left', async () => {
+    const page = await loadPage();
+    const Cart = page.global('Cart');
+    const painting = page.global('Gallery').paintings[0];
+
+    [1, 2, 3].forEach(() => Cart.add(painting, 'a3-giclee'));
+
+    assert.equal(Cart.items[0].quantity, 2);
+    assert.equal(page.document.querySelector('.cart-message').textContent, 'Only 2 of this print are left.');
+    page.close();
+  });
+});
+
+describe('Lightbox keyboard', () => {
+  test('arrow keys move between paintings and Escape closes', async () => {
+    const { page, Lightbox } = await openFromGallery();
+
+    pressKey(page, 'ArrowRight');
+    assert.equal(getTitle(page), 'Fall');
+
+    pressKey(page, 'ArrowLeft');
+    pressKey(page, 'ArrowLeft');
+    assert.equal(getTitle(page), 'Sunflower');
+
+    pressKey(page, 'Escape');
+    assert.equal(Lightbox.isOpen, false);
+    page.close();
+  });
+
+  test('ignores keys while closed', async () => {
+    const page = await loadPage();
+    const Lightbox = page.global('Lightbox');
+
+    pressKey(page, 'ArrowRight');
+
+    assert.equal(Lightbox.isOpen, false);
+    assert.equal(page.window.location.search, '');
+    page.close();
+  });
+
+  test('leaves keys pressed in a dialog over the lightbox to that dialog', async () => {
+    const { page, Lightbox } = await openFromGallery();
+
+    pressKey(page, 'Escape', page.document.querySelector('dialog.cart'));
+
+    assert.equal(Lightbox.isOpen, true);
+    page.close();
+  });
+
+  test('keeps Tab within the lightbox', async () => {
+    const { page, lightbox } = await openFromGallery();
+    const focusable = lightbox.querySelectorAll('button');
+    const last = focusable[focusable.length - 1];
+
+    last.focus();
+    pressKey(page, 'Tab', last);
+
+    assert.equal(page.document.activeElement, focusable[0]);
+    page.close();
+  });
+
+  test('opening and closing repeatedly leaves a single focus trap', async () => {
+    const { page, Lightbox, lightbox } = await openFromGallery();
+
+    for (let i = 0; i < 3; i++) {
+      Lightbox.close({ updateHistory: false });
+      Lightbox.open(0, { updateHistory: false });
+    }
+
+    // A second trap would move focus twice and land back on the last button
+    const focusable = lightbox.querySelectorAll('button');
+    const last = focusable[focusable.length - 1];
+    let focusCalls = 0;
+    focusable[0].addEventListener('focus', () => focusCalls++);
+
+    last.focus();
+    pressKey(page, 'Tab', last);
+
+    assert.equal(focusCalls, 1);
+    assert.equal(page.document.activeElement, focusable[0]);
+    page.close();
+  });
+});
+
+describe('Lightbox swipe', () => {
+  test('swiping left shows the next painting and swiping right the previous one', async () => {
+    const { page } = await openFromGallery();
+
+    swipe(page, 300, 100);
+    assert.equal(getTitle(page), 'Fall');
+
+    swipe(page, 100, 300);
+    swipe(page, 100, 300);
+    assert.equal(getTitle(page), 'Sunflower');
+    page.close();
+  });
+
+  test('ignores short movements', async () => {
+    const { page } = await openFromGallery();
+
+    swipe(page, 200, 170);
+
+    assert.equal(getTitle(page), 'Blue Thunder');
+    page.close();
+  });
+});
@@ -0,0 +1,281 @@
+/**
+ * Tests for the helpers in js/utils.js
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+// A blank page with utils.js loaded, as the site's other scripts see it
+function loadUtils() {
+  // A real origin, so localStorage is available
+  const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', {
+    url: 'https://georgieoriginals.test/',
+    runScripts: 'outside-only'
+  });
+  dom.window.eval(fs.readFileSync(path.join(__dirname, '..', 'js', 'utils.js'), 'utf8'));
+  return dom.window;
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('createElement', () => {
+  test('sets the class name, data attributes and other attributes', () => {
+    const window = loadUtils();
+    const element = window.createElement('a', {
+      className: 'gallery-item featured',
+      dataset: { index: 3 },
+      href: '/paintings/fall/',
+      'aria-label': 'View Fall in lightbox'
+    });
+
+    assert.equal(element.tagName, 'A');
+    assert.equal(element.className, 'gallery-item featured');
+    assert.equal(element.dataset.index, '3');
+    assert.equal(element.getAttribute('href'), '/paintings/fall/');
+    assert.equal(element.getAttribute('aria-label'), 'View Fall in lightbox');
+  });
+
+  test('sets text content from a string child', () => {
+    const window = loadUtils();
+    const element = window.createElement('h3', {}, '<b>Fall</b>');
+
+    assert.equal(element.textContent, '<b>Fall</b>');
+    assert.equal(element.children.length, 0);
+  });
+
+  test('appends an element child', () => {
+    const window = loadUtils();
+    const img = window.createElement('img', { alt: '' });
+    const picture = window.createElement('picture', {}, img);
+
+    assert.equal(picture.firstChild, img);
+  });
+
+  test('appends an array of strings and elements in order', () => {
+    const window = loadUtils();
+    const element = window.createElement('p', {}, [
+      'By ',
+      window.createElement('strong', {}, 'Georgie'),
+      ', 2020'
+    ]);
+
+    assert.equal(element.textContent, 'By Georgie, 2020');
+    assert.equal(element.childNodes.length, 3);
+    assert.equal(element.querySelector('strong').textContent, 'Georgie');
+  });
+
+  test('creates an empty element without attributes or children', () => {
+    const window = loadUtils();
+    const element = window.createElement('div');
+
+    assert.equal(element.attributes.length, 0);
+    assert.equal(element.childNodes.length, 0);
+  });
+});
+
+describe('debounce', () => {
+  test('calls the function once, with the last arguments, after the calls stop', async () => {
+    const window = loadUtils();
+    const calls = [];
+    const debounced = window.debounce((...args) => calls.push(args), 20);
+
+    debounced('f');
+    debounced('fa');
+    debounced('fal');
+
+    assert.deepEqual(calls, []);
+
+    await wait(40);
+
+    assert.deepEqual(calls, [['fal']]);
+  });
+
+  test('calls the function again for a later burst of calls', async () => {
+    const window = loadUtils();
+    let count = 0;
+    const debounced = window.debounce(() => count++, 10);
+
+    debounced();
+    await wait(30);
+    debounced();
+    debounced();
+    await wait(30);
+
+    assert.equal(count, 2);
+  });
+});
+
+describe('on', () => {
+  function setUp() {
+    const window = loadUtils();
+    const { document } = window;
+
+    document.body.innerHTML = `
+      <ul class="list">
+        <li class="item" id="first"><span class="label">First</span></li>
+        <li class="item" id="second">Second</li>
+        <li class="other">Other</li>
+      </ul>`;
+
+    return { window, document };
+  }
+
+  test('calls the handler for events on matching elements and their descendants', () => {
+    const { window, document } = setUp();
+    const targets = [];
+
+    window.on('.item', 'click', function () {
+      targets.push(this.id);
+    });
+
+    document.querySelector('.label').click();
+    document.querySelector('#second').click();
+
+    assert.deepEqual(targets, ['first', 'second']);
+  });
+
+  test('ignores events on elements that don\'t match', () => {
+    const { window, document } = setUp();
+    let count = 0;
+
+    window.on('.item', 'click', () => count++);
+    document.querySelector('.other').click();
+
+    assert.equal(count, 0);
+  });
+
+  test('passes the event and listens on the given parent', () => {
+    const { window, document } = setUp();
+    const list = document.querySelector('.list');
+    let received = null;
+
+    window.on('.item', 'click', (e) => { received = e; }, list);
+    document.querySelector('#first').click();
+
+    assert.equal(received.type, 'click');
+    assert.equal(received.target.id, 'first');
+  });
+});
+
+describe('trapFocus', () => {
+  function pressTab(window, shiftKey = false) {
+    const event = new window.KeyboardEvent('keydown', { key: 'Tab', shiftKey, bubbles: true, cancelable: true });
+    window.document.activeElement.dispatchEvent(event);
+    return event;
+  }
+
+  function setUp() {
+    const window = loadUtils();
+    const { document } = window;
+
+    document.body.innerHTML = `
+      <div class="dialog">
+        <button id="first">First</button>
+        <button id="hidden" hidden>Hidden</button>
+        <button id="last">Last</button>
+      </div>`;
+
+    return { window, document, dialog: document.querySelector('.dialog') };
+  }
+
+  test('wraps Tab from the last element to the first, and Shift+Tab back', () => {
+    const { window, document, dialog } = setUp();
+    window.trapFocus(dialog);
+
+    document.querySelector('#last').focus();
+    assert.ok(pressTab(window).defaultPrevented);
+    assert.equal(document.activeElement.id, 'first');
+
+    assert.ok(pressTab(window, true).defaultPrevented);
+    assert.equal(document.activeElement.id, 'last');
+  });
+
+  test('includes elements added after the trap was set', () => {
+    const { window, document, dialog } = setUp();
+    window.trapFocus(dialog);
+
+    dialog.appendChild(window.createElement('button', { id: 'added' }, 'Added'));
+    document.querySelector('#added').focus();
+    pressTab(window);
+
+    assert.equal(document.activeElement.id, 'first');
+  });
+
+  test('stops trapping focus once released', () => {
+    const { window, document, dialog } = setUp();
+    const release = window.trapFocus(dialog);
+
+    release();
+    document.querySelector('#last').focus();
+
+    assert.equal(pressTab(window).defaultPrevented, false);
+  });
+});
+
+describe('fetchJSON', () => {
+  // utils.js with a stubbed fetch, recording each request's URL and options
+  function loadWithFetch(handler) {
+    const window = loadUtils();
+    const requests = [];
+
+    window.fetch = (url, init) => {
+      requests.push({ url, init });
+      return handler(requests.length, init);
+    };
+
+    // Failures are logged; keep the test output readable
+    window.console.error = () => {};
+    window.console.warn = () => {};
+
+    return { window, requests };
+  }
+
+  const json = (data, init) => new Response(JSON.stringify(data), init);
+
+  test('retries network and server errors, waiting longer each time', async () => {
+    const { window, requests } = loadWithFetch(attempt => attempt === 1
+      ? Promise.reject(new TypeError('Failed to fetch'))
+      : attempt === 2 ? json({}, { status: 503 }) : json({ ok: true }));
+
+    const data = await window.fetchJSON('/data.json', { retryDelay: 5 });
+
+    assert.deepEqual({ ...data }, { ok: true });
+    assert.equal(requests.length, 3);
+  });
+
+  test('gives up straight away on other errors, such as a missing file', async () => {
+    const { window, requests } = loadWithFetch(() => json({}, { status: 404 }));
+
+    await assert.rejects(window.fetchJSON('/data.json', { retryDelay: 5 }), /status: 404/);
+    assert.equal(requests.length, 1);
+  });
+
+  test('aborts an attempt that takes longer than the timeout', async () => {
+    const { window, requests } = loadWithFetch((attempt, init) => new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(new Error('aborted')));
+    }));
+
+    await assert.rejects(window.fetchJSON('/data.json', { timeout: 10, retries: 1, retryDelay: 5 }), /Timed out after 10ms/);
+    assert.equal(requests.length, 2);
+  });
+
+  test('keeps the last good copy, revalidates it and falls back to it', async () => {
+    const { window, requests } = loadWithFetch(attempt => attempt === 1
+      ? json([1, 2], { headers: { ETag: '"v1"' } })
+      : attempt === 2 ? new Response(null, { status: 304 }) : json({}, { status: 500 }));
+
+    assert.equal(window.getCachedJSON('/data.json'), null);
+    assert.deepEqual([...await window.fetchJSON('/data.json', { cache: true })], [1, 2]);
+    assert.deepEqual([...window.getCachedJSON('/data.json')], [1, 2]);
+
+    assert.deepEqual([...await window.fetchJSON('/data.json', { cache: true })], [1, 2]);
+    assert.equal(requests[1].init.headers['If-None-Match'], '"v1"');
+
+    assert.deepEqual([...await window.fetchJSON('/data.json', { cache: true, retries: 0 })], [1, 2]);
+  });
+});
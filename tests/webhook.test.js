@@ -0,0 +1,186 @@
+/**
+ * Tests for recording sales from payment webhooks (api/webhook.js)
+ */
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createHandler } = require('../api/webhook.js');
+const { providers } = require('../api/_lib/payments.js');
+const { claimCheckout, CONFIG: LOG_CONFIG } = require('../api/_lib/checkout-log.js');
+const { createMemoryStore, createMemoryLog, callHandler } = require('./helpers/api.js');
+
+const SECRET = 'whsec_test';
+
+// Build a Stripe checkout event, signed as Stripe would sign it
+function stripeEvent({ type = 'checkout.session.completed', id = 'cs_test_1', paid = true, metadata = {}, secret = SECRET, age = 0 } = {}) {
+  const body = JSON.stringify({
+    type,
+    data: { object: { id, payment_status: paid ? 'paid' : 'unpaid', metadata } }
+  });
+  const timestamp = Math.floor(Date.now() / 1000) - age;
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+  return { body, headers: { 'stripe-signature': `t=${timestamp},v1=${signature}` } };
+}
+
+// Post an event to a handler using the Stripe provider
+function post(request, store = createMemoryStore(), log = createMemoryLog()) {
+  return callHandler(createHandler({ provider: providers.stripe, store, log }), request);
+}
+
+describe('Webhook', () => {
+  const originalSecret = process.env.STRIPE_WEBHOOK_SECRET;
+  const originalLog = console.log;
+  const originalError = console.error;
+
+  before(() => {
+    process.env.STRIPE_WEBHOOK_SECRET = SECRET;
+    console.log = () => {};
+    console.error = () => {};
+  });
+
+  after(() => {
+    if (originalSecret === undefined) delete process.env.STRIPE_WEBHOOK_SECRET;
+    else process.env.STRIPE_WEBHOOK_SECRET = originalSecret;
+    console.log = originalLog;
+    console.error = originalError;
+  });
+
+  test('marks originals as sold and takes prints off their editions', async () => {
+    const store = createMemoryStore();
+
+    const { status, body } = await post(stripeEvent({ metadata: { originals: '1', editions: '1:a3-giclee:2' } }), store);
+
+    assert.equal(status, 200);
+    assert.deepEqual(body, { ok: true, sold: ['Blue Thunder'], prints: ['2 × "Blue Thunder" a3-giclee (0 left)'] });
+    assert.equal(store.paintings[0].status, 'sold');
+    assert.equal(store.paintings[0].prints[0].edition.remaining, 0);
+    assert.deepEqual(store.messages, ['Mark "Blue Thunder" as sold; sell 2 × "Blue Thunder" a3-giclee (0 left)']);
+  });
+
+  test('counts each checkout once, however many times its event is sent', async () => {
+    const store = createMemoryStore();
+    const log = createMemoryLog();
+    const event = stripeEvent({ metadata: { originals: '1', editions: '1:a3-giclee:1' } });
+
+    await post(event, store, log);
+    const resent = await post(event, store, log);
+
+    assert.equal(resent.status, 200);
+    assert.deepEqual(resent.body, { ok: true, sold: [], prints: [] });
+    assert.deepEqual(store.paintings[0].prints[0].edition, { size: 50, remaining: 1 });
+    assert.equal(store.messages.length, 1);
+
+    // Another checkout of the same print still counts
+    await post(stripeEvent({ id: 'cs_test_2', metadata: { editions: '1:a3-giclee:1' } }), store, log);
+
+    assert.deepEqual(store.paintings[0].prints[0].edition, { size: 50, remaining: 0 });
+    assert.deepEqual(Object.keys(log.entries), ['cs_test_1', 'cs_test_2']);
+  });
+
+  test('keeps checkout ids out of the public catalog and its commits', async () => {
+    const store = createMemoryStore();
+
+    await post(stripeEvent({ metadata: { originals: '1', editions: '1:a3-giclee:1' } }), store);
+
+    assert.doesNotMatch(JSON.stringify(store.paintings), /cs_test/);
+    assert.doesNotMatch(store.messages.join('\n'), /cs_test/);
+  });
+
+  test('forgets checkouts once the provider has stopped resending them', async () => {
+    const now = new Date('2026-10-18T12:00:00Z');
+    const old = new Date(now.getTime() - (LOG_CONFIG.keepDays + 1) * 24 * 60 * 60 * 1000).toISOString();
+    const log = createMemoryLog({ cs_old: old, cs_recent: '2026-10-17T12:00:00.000Z' });
+
+    assert.equal(await claimCheckout(log, 'cs_new', now), true);
+    assert.equal(await claimCheckout(log, 'cs_recent', now), false);
+    assert.deepEqual(log.entries, { cs_recent: '2026-10-17T12:00:00.000Z', cs_new: now.toISOString() });
+  });
+
+  test('clears a hold on an original that sells', async () => {
+    const store = createMemoryStore();
+
+    await post(stripeEvent({ metadata: { originals: '4' } }), store);
+
+    assert.equal(store.paintings[3].status, 'sold');
+    assert.equal('statusUntil' in store.paintings[3], false);
+  });
+
+  test('doesn\'t take an edition below zero', async () => {
+    const store = createMemoryStore();
+
+    const { body } = await post(stripeEvent({ metadata: { editions: '1:a3-giclee:5' } }), store);
+
+    assert.deepEqual(body.prints, ['5 × "Blue Thunder" a3-giclee (0 left)']);
+    assert.equal(store.paintings[0].prints[0].edition.remaining, 0);
+  });
+
+  test('records delayed payments when they succeed, and ignores unpaid checkouts', async () => {
+    const store = createMemoryStore();
+
+    const unpaid = await post(stripeEvent({ paid: false, metadata: { originals: '1' } }), store);
+    assert.deepEqual(unpaid.body, { ok: true });
+    assert.equal(store.paintings[0].status, 'available');
+
+    const succeeded = await post(stripeEvent({ type: 'checkout.session.async_payment_succeeded', paid: false, metadata: { originals: '1' } }), store);
+    assert.deepEqual(succeeded.body.sold, ['Blue Thunder']);
+  });
+
+  test('acknowledges other events without changing the catalog', async () => {
+    const store = createMemoryStore();
+
+    const { status, body } = await post(stripeEvent({ type: 'payment_intent.created', metadata: { originals: '1' } }), store);
+
+    assert.equal(status, 200);
+    assert.deepEqual(body, { ok: true });
+    assert.deepEqual(store.messages, []);
+  });
+
+  test('rejects events that weren\'t signed with the webhook secret', async () => {
+    const store = createMemoryStore();
+    const forged = stripeEvent({ metadata: { originals: '1' }, secret: 'whsec_other' });
+    const unsigned = { ...stripeEvent({ metadata: { originals: '1' } }), headers: {} };
+
+    // Signed, then changed
+    const tampered = stripeEvent({ metadata: { originals: '2' } });
+    tampered.body = tampered.body.replace('"originals":"2"', '"originals":"1"');
+
+    for (const request of [forged, unsigned, tampered]) {
+      const { status, body } = await post(request, store);
+      assert.equal(status, 400);
+      assert.deepEqual(body, { ok: false, error: 'Invalid webhook' });
+    }
+
+    assert.equal(store.paintings[0].status, 'available');
+  });
+
+  test('rejects signatures older than the tolerance, so requests can\'t be replayed', async () => {
+    const tolerance = providers.stripe.signatureTolerance;
+
+    const recent = await post(stripeEvent({ metadata: { originals: '1' }, age: tolerance - 10 }));
+    assert.equal(recent.status, 200);
+
+    const stale = await post(stripeEvent({ metadata: { originals: '1' }, age: tolerance + 10 }));
+    assert.equal(stale.status, 400);
+  });
+
+  test('answers 500 when the catalog can\'t be saved, so the provider retries', async () => {
+    const store = {
+      read: async () => [],
+      update: async () => { throw new Error('GitHub down'); }
+    };
+    const log = createMemoryLog();
+    const event = stripeEvent({ metadata: { originals: '1' } });
+
+    const { status, body } = await post(event, store, log);
+
+    assert.equal(status, 500);
+    assert.equal(body.ok, false);
+
+    // The retry still counts the checkout
+    assert.deepEqual(log.entries, {});
+    const retry = await post(event, createMemoryStore(), log);
+    assert.deepEqual(retry.body.sold, ['Blue Thunder']);
+  });
+});
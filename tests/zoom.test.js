@@ -0,0 +1,123 @@
+/**
+ * Tests for zooming the lightbox image (js/zoom.js)
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/page.js');
+
+// Load the page and open the lightbox on the first painting
+async function openLightbox() {
+  const page = await loadPage({ url: '/?painting=blue-thunder' });
+  const Zoom = page.global('Zoom');
+  const container = page.document.querySelector('.lightbox-image-container');
+
+  // Not implemented by jsdom
+  container.setPointerCapture = () => {};
+
+  return { page, Zoom, container };
+}
+
+// jsdom has no PointerEvent, so give mouse events the properties Zoom reads
+function pointer(page, target, type, { id = 1, pointerType = 'touch', x = 100, y = 100 } = {}) {
+  const event = new page.window.MouseEvent(type, { clientX: x, clientY: y, button: 0, bubbles: true });
+  Object.assign(event, { pointerId: id, pointerType });
+  target.dispatchEvent(event);
+}
+
+function tap(page, target, options) {
+  pointer(page, target, 'pointerdown', options);
+  pointer(page, target, 'pointerup', options);
+}
+
+function doubleClick(page, target) {
+  target.dispatchEvent(new page.window.MouseEvent('dblclick', { clientX: 100, clientY: 100, bubbles: true }));
+}
+
+function pressKey(page, key) {
+  page.document.dispatchEvent(new page.window.KeyboardEvent('keydown', { key, bubbles: true }));
+}
+
+describe('Zoom', () => {
+  test('zooms in on a double click, and back out on the next', async () => {
+    const { page, Zoom, container } = await openLightbox();
+
+    tap(page, container, { pointerType: 'mouse' });
+    tap(page, container, { pointerType: 'mouse' });
+    doubleClick(page, container);
+
+    assert.equal(Zoom.scale, Zoom.doubleTapScale);
+    assert.ok(container.classList.contains('zoomed'));
+
+    doubleClick(page, container);
+
+    assert.equal(Zoom.isZoomed(), false);
+    assert.equal(container.classList.contains('zoomed'), false);
+    page.close();
+  });
+
+  test('zooms in once on a touch double tap, even when the browser also sends a dblclick', async () => {
+    const { page, Zoom, container } = await openLightbox();
+
+    tap(page, container);
+    tap(page, container);
+    doubleClick(page, container);
+
+    assert.equal(Zoom.scale, Zoom.doubleTapScale);
+    page.close();
+  });
+
+  test('doesn\'t count taps far apart as a double tap', async () => {
+    const { page, Zoom, container } = await openLightbox();
+
+    tap(page, container, { x: 100 });
+    tap(page, container, { x: 200 });
+
+    assert.equal(Zoom.isZoomed(), false);
+    page.close();
+  });
+
+  test('pinch-zooms with two fingers, which stops swipes changing painting', async () => {
+    const { page, Zoom, container } = await openLightbox();
+
+    pointer(page, container, 'pointerdown', { id: 1, x: 100 });
+    pointer(page, container, 'pointerdown', { id: 2, x: 200 });
+    pointer(page, container, 'pointermove', { id: 2, x: 300 });
+
+    assert.equal(Zoom.scale, 2);
+    assert.equal(Zoom.isGesturing(), true);
+
+    pointer(page, container, 'pointerup', { id: 1, x: 100 });
+    pointer(page, container, 'pointerup', { id: 2, x: 300 });
+
+    // Lifting the fingers isn't a tap
+    assert.equal(Zoom.scale, 2);
+    page.close();
+  });
+
+  test('zooms with the scroll wheel, up to the maximum scale', async () => {
+    const { page, Zoom, container } = await openLightbox();
+
+    container.dispatchEvent(new page.window.WheelEvent('wheel', { deltaY: -100, clientX: 100, clientY: 100, cancelable: true }));
+    assert.ok(Zoom.scale > 1 && Zoom.scale < Zoom.maxScale);
+
+    container.dispatchEvent(new page.window.WheelEvent('wheel', { deltaY: -10000, clientX: 100, clientY: 100, cancelable: true }));
+    assert.equal(Zoom.scale, Zoom.maxScale);
+    page.close();
+  });
+
+  test('zooms with the keyboard, and resets when the painting changes', async () => {
+    const { page, Zoom } = await openLightbox();
+
+    pressKey(page, '+');
+    assert.equal(Zoom.scale, 1.5);
+
+    pressKey(page, '-');
+    assert.equal(Zoom.isZoomed(), false);
+
+    pressKey(page, '+');
+    pressKey(page, 'ArrowRight');
+    assert.equal(Zoom.isZoomed(), false);
+    page.close();
+  });
+});
@@ -0,0 +1,403 @@
+/**
+ * Painting Data Validation Script
+ *
+ * Checks public/data/paintings.json before it breaks the gallery:
+ * 1. Every entry matches the schema (required fields, types, no unknown fields)
+ * 2. Ids and slugs are unique, and so are print ids within each painting
+ * 3. Only holds, reservations and loans have an end date, which reservations need
+ * 4. No limited edition print has more left than the edition's size
+ * 5. public/data/series.json matches its schema and has unique slugs, and every
+ *    painting's series is one of them
+ * 6. public/data/exhibitions.json does too, every exhibition a painting lists is in it,
+ *    and exhibition and provenance dates are real and don't end before they start
+ * 7. Paintings and series are only translated into the site's other languages (see I18n.LOCALES)
+ * 8. Every referenced image (including extra views) exists under public/images/paintings/
+ * 9. Every source image in public/images/paintings/ is used by a painting or view
+ *
+ * Exits with a non-zero status if any problems are found.
+ */
+
+const Ajv = require('ajv');
+const fs = require('fs').promises;
+const path = require('path');
+const Catalog = require('./js/catalog.js');
+const I18n = require('./js/i18n.js');
+const { CONFIG: IMAGE_CONFIG, getSourceName, fromWebPath } = require('./optimize-images.js');
+
+const CONFIG = {
+  dataPath: './public/data/paintings.json',
+  schemaPath: './public/data/paintings.schema.json',
+  seriesPath: './public/data/series.json',
+  seriesSchemaPath: './public/data/series.schema.json',
+  exhibitionsPath: './public/data/exhibitions.json',
+  exhibitionsSchemaPath: './public/data/exhibitions.schema.json',
+  imagesDir: IMAGE_CONFIG.inputDir
+};
+
+// Helper: Describe a painting for error messages
+function describe(paintings, index) {
+  const painting = paintings[index];
+  const title = painting && typeof painting.title === 'string' ? ` "${painting.title}"` : '';
+  return `Painting ${index + 1}${title}`;
+}
+
+// Helper: List the image paths of a painting and its views, with the field each is in
+function getImagePaths(painting) {
+  if (!painting) return [];
+
+  const views = Array.isArray(painting.views) ? painting.views : [];
+  const holders = [['', painting], ...views.map((view, index) => [`views.${index}.`, view])];
+  const paths = [];
+
+  holders.forEach(([prefix, holder]) => {
+    ['image', 'thumbnail'].forEach(field => {
+      if (holder && typeof holder[field] === 'string') {
+        paths.push({ field: prefix + field, webPath: holder[field] });
+      }
+    });
+  });
+
+  return paths;
+}
+
+// Helper: Check whether a YYYY-MM-DD (or YYYY-MM, or YYYY) date is a day that doesn't exist,
+// like 2025-02-30, which Date rolls over. The schema checks the format.
+function isImpossibleDate(value) {
+  const [year, month = '01', day = '01'] = value.split('-');
+  const date = new Date(`${year}-${month}-${day}T00:00:00Z`);
+
+  return !isNaN(date) && date.toISOString().slice(0, 10) !== `${year}-${month}-${day}`;
+}
+
+// Helper: Check whether a file exists
+async function fileExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Helper: Turn an Ajv error into a readable message
+// describeEntry is called with the index of the entry at fault (undefined for the whole file)
+function formatSchemaError(error, describeEntry) {
+  // instancePath looks like /3/available
+  const [index, ...field] = error.instancePath.split('/').slice(1);
+  const prefix = describeEntry(index === undefined ? undefined : Number(index));
+
+  if (error.keyword === 'additionalProperties') {
+    return `${prefix}: unknown field "${error.params.additionalProperty}"`;
+  }
+
+  if (error.keyword === 'required') {
+    return `${prefix}: missing required field "${error.params.missingProperty}"`;
+  }
+
+  return `${prefix}: ${field.length ? `"${field.join('.')}" ` : ''}${error.message}`;
+}
+
+// Check entries against the JSON schema
+async function checkSchema(paintings) {
+  const schema = JSON.parse(await fs.readFile(CONFIG.schemaPath, 'utf8'));
+  const ajv = new Ajv({ allErrors: true });
+  const validate = ajv.compile(schema);
+
+  if (validate(paintings)) return [];
+
+  return validate.errors.map(error => formatSchemaError(error, index =>
+    index === undefined ? 'paintings.json' : describe(paintings, index)
+  ));
+}
+
+// Check that ids and slugs are not repeated, nor print ids within a painting
+function checkUnique(paintings) {
+  const errors = [];
+  const seen = { id: new Map(), slug: new Map() };
+
+  paintings.forEach((painting, index) => {
+    if (!painting || typeof painting.title !== 'string') return;
+
+    const keys = { id: painting.id, slug: Catalog.getSlug(painting) };
+
+    Object.entries(keys).forEach(([key, value]) => {
+      if (seen[key].has(value)) {
+        errors.push(`${describe(paintings, index)}: ${key} "${value}" is already used by ${describe(paintings, seen[key].get(value))}`);
+      } else {
+        seen[key].set(value, index);
+      }
+    });
+
+    const printIds = new Set();
+
+    (Array.isArray(painting.prints) ? painting.prints : []).forEach(print => {
+      if (!print || typeof print.id !== 'string') return;
+
+      if (printIds.has(print.id)) {
+        errors.push(`${describe(paintings, index)}: print id "${print.id}" is used more than once`);
+      }
+      printIds.add(print.id);
+    });
+  });
+
+  return errors;
+}
+
+// Check that statusUntil is a real date, and is given only where the status can end
+function checkStatusDates(paintings) {
+  const errors = [];
+  const expiring = Object.keys(Catalog.STATUSES).filter(key => Catalog.STATUSES[key].canExpire);
+
+  paintings.forEach((painting, index) => {
+    if (!painting || !Catalog.STATUSES[painting.status]) return;
+
+    const until = painting.statusUntil;
+
+    if (until === undefined) {
+      if (painting.status === 'reserved') {
+        errors.push(`${describe(paintings, index)}: "statusUntil" is required for reserved paintings`);
+      }
+      return;
+    }
+
+    if (!Catalog.STATUSES[painting.status].canExpire) {
+      errors.push(`${describe(paintings, index)}: "statusUntil" only applies to ${expiring.join(', ')}`);
+      return;
+    }
+
+    if (isImpossibleDate(until)) {
+      errors.push(`${describe(paintings, index)}: "statusUntil" ${until} is not a real date`);
+    }
+  });
+
+  return errors;
+}
+
+// Check that limited editions don't have more prints left than they were made with
+function checkEditions(paintings) {
+  const errors = [];
+
+  paintings.forEach((painting, index) => {
+    (painting && Array.isArray(painting.prints) ? painting.prints : []).forEach(print => {
+      const edition = print && print.edition;
+
+      if (edition && edition.remaining > edition.size) {
+        errors.push(`${describe(paintings, index)}: print "${print.id}" has ${edition.remaining} left of an edition of ${edition.size}`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+// Read an optional list such as series.json, checking it against its schema and for repeated
+// slugs. list is null if it couldn't be read or doesn't match the schema.
+async function readDataset(filePath, schemaPath) {
+  let list;
+
+  try {
+    list = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    // A missing file is an empty list, e.g. no painting can be in a series without series.json
+    if (error.code !== 'ENOENT') {
+      return { list: null, errors: [`${filePath}: ${error.message}`] };
+    }
+    list = [];
+  }
+
+  const name = path.basename(filePath);
+  const schema = JSON.parse(await fs.readFile(schemaPath, 'utf8'));
+  const validate = new Ajv({ allErrors: true }).compile(schema);
+
+  if (!validate(list)) {
+    return {
+      list: null,
+      errors: validate.errors.map(error => formatSchemaError(error, index =>
+        index === undefined ? name : `${name} entry ${index + 1}`
+      ))
+    };
+  }
+
+  const errors = [];
+  const slugs = new Set();
+
+  list.forEach(entry => {
+    if (slugs.has(entry.slug)) {
+      errors.push(`${name}: slug "${entry.slug}" is used more than once`);
+    }
+    slugs.add(entry.slug);
+  });
+
+  return { list, errors };
+}
+
+// Helper: Languages an entry is translated into that the site isn't offered in
+// (English is the language of the data files themselves)
+function getUnknownLanguages(entry) {
+  const translations = entry && entry.translations && typeof entry.translations === 'object' ? entry.translations : {};
+  return Object.keys(translations).filter(locale => !I18n.LOCALES[locale] || locale === I18n.DEFAULT_LOCALE);
+}
+
+// Check that paintings are only translated into the site's other languages
+function checkTranslations(paintings) {
+  const languages = Object.keys(I18n.LOCALES).filter(locale => locale !== I18n.DEFAULT_LOCALE).join(', ');
+
+  return paintings.flatMap((painting, index) => getUnknownLanguages(painting).map(locale =>
+    `${describe(paintings, index)}: translation "${locale}" is not one of the site's other languages (${languages})`
+  ));
+}
+
+// Check series.json, and that paintings only use the series it lists
+async function checkSeries(paintings) {
+  const { list: seriesList, errors } = await readDataset(CONFIG.seriesPath, CONFIG.seriesSchemaPath);
+  if (!seriesList) return errors;
+
+  seriesList.forEach(series => {
+    getUnknownLanguages(series).forEach(locale => {
+      errors.push(`${path.basename(CONFIG.seriesPath)}: "${series.slug}" translation "${locale}" is not one of the site's other languages`);
+    });
+  });
+
+  paintings.forEach((painting, index) => {
+    if (painting && typeof painting.series === 'string' && !Catalog.findSeries(seriesList, painting.series)) {
+      errors.push(`${describe(paintings, index)}: series "${painting.series}" is not in ${CONFIG.seriesPath}`);
+    }
+  });
+
+  return errors;
+}
+
+// Check exhibitions.json, that paintings only list exhibitions in it, and that
+// exhibition and provenance dates are real and in order
+async function checkExhibitions(paintings) {
+  const { list: exhibitions, errors } = await readDataset(CONFIG.exhibitionsPath, CONFIG.exhibitionsSchemaPath);
+  if (!exhibitions) return errors;
+
+  exhibitions.forEach(exhibition => {
+    const dates = [exhibition.start, exhibition.end].filter(Boolean);
+    const name = path.basename(CONFIG.exhibitionsPath);
+
+    dates.filter(isImpossibleDate).forEach(date => {
+      errors.push(`${name}: "${exhibition.slug}" date ${date} is not a real date`);
+    });
+
+    if (exhibition.end && exhibition.end < exhibition.start) {
+      errors.push(`${name}: "${exhibition.slug}" ends before it starts`);
+    }
+  });
+
+  paintings.forEach((painting, index) => {
+    if (!painting) return;
+
+    (Array.isArray(painting.exhibitions) ? painting.exhibitions : []).forEach(slug => {
+      if (typeof slug === 'string' && !Catalog.findExhibition(exhibitions, slug)) {
+        errors.push(`${describe(paintings, index)}: exhibition "${slug}" is not in ${CONFIG.exhibitionsPath}`);
+      }
+    });
+
+    (Array.isArray(painting.provenance) ? painting.provenance : []).forEach((ownership, entry) => {
+      if (!ownership) return;
+
+      const dates = [ownership.from, ownership.to].filter(date => typeof date === 'string');
+
+      dates.filter(isImpossibleDate).forEach(date => {
+        errors.push(`${describe(paintings, index)}: provenance ${entry + 1} date ${date} is not a real date`);
+      });
+
+      // Shorter dates sort before longer ones in the same period, so "2021" to "2021-05" is in order
+      if (dates.length === 2 && ownership.to < ownership.from) {
+        errors.push(`${describe(paintings, index)}: provenance ${entry + 1} ends before it starts`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+// Check that every referenced image file exists
+async function checkImageFiles(paintings) {
+  const errors = [];
+
+  for (const [index, painting] of paintings.entries()) {
+    for (const { field, webPath } of getImagePaths(painting)) {
+      if (!await fileExists(fromWebPath(webPath))) {
+        errors.push(`${describe(paintings, index)}: ${field} file not found: ${webPath}`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Check that every source image is used by a painting
+async function checkSourceImages(paintings) {
+  const files = await fs.readdir(CONFIG.imagesDir);
+  const sourceImages = files.filter(file =>
+    /\.(jpe?g|png)$/i.test(file) && !file.startsWith('.')
+  );
+
+  const referenced = new Set();
+
+  paintings.forEach(painting => {
+    getImagePaths(painting).forEach(({ webPath }) => referenced.add(getSourceName(webPath)));
+  });
+
+  return sourceImages
+    .filter(file => !referenced.has(file))
+    .map(file => `${path.join(CONFIG.imagesDir, file)} is not used by any painting`);
+}
+
+/**
+ * Validate painting data
+ * @param {Array} paintings - Parsed contents of paintings.json
+ * @returns {Promise<Array<string>>} Readable error messages (empty if valid)
+ */
+async function validatePaintings(paintings) {
+  const errors = await checkSchema(paintings);
+
+  // The remaining checks need an array to work with
+  if (!Array.isArray(paintings)) return errors;
+
+  return [
+    ...errors,
+    ...checkUnique(paintings),
+    ...checkStatusDates(paintings),
+    ...checkEditions(paintings),
+    ...checkTranslations(paintings),
+    ...await checkSeries(paintings),
+    ...await checkExhibitions(paintings),
+    ...await checkImageFiles(paintings),
+    ...await checkSourceImages(paintings)
+  ];
+}
+
+async function main() {
+  console.log('🎨 Georgie Originals - Painting Data Validation\n');
+  console.log('='.repeat(60) + '\n');
+
+  try {
+    const paintings = JSON.parse(await fs.readFile(CONFIG.dataPath, 'utf8'));
+    const errors = await validatePaintings(paintings);
+
+    if (errors.length > 0) {
+      errors.forEach(error => console.error(`✗ ${error}`));
+      console.error(`\nFound ${errors.length} problem${errors.length === 1 ? '' : 's'} in ${CONFIG.dataPath}`);
+      process.exit(1);
+    }
+
+    console.log(`✓ ${paintings.length} paintings are valid`);
+
+  } catch (error) {
+    console.error('✗ Fatal error:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run the script when called directly (other scripts reuse the checks)
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  validatePaintings
+};